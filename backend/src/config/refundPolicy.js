@@ -0,0 +1,40 @@
+/**
+ * Share of the amount paid that is refunded when a customer cancels,
+ * keyed by the order status at the time of cancellation.
+ * Override with REFUND_POLICY, e.g. {"pending":100,"picked_up":50}
+ */
+const DEFAULT_REFUND_POLICY = {
+  pending: 100,
+  picked_up: 50
+};
+
+function loadRefundPolicy() {
+  if (!process.env.REFUND_POLICY) {
+    return DEFAULT_REFUND_POLICY;
+  }
+
+  try {
+    return { ...DEFAULT_REFUND_POLICY, ...JSON.parse(process.env.REFUND_POLICY) };
+  } catch (error) {
+    console.error('Invalid REFUND_POLICY, using defaults:', error.message);
+    return DEFAULT_REFUND_POLICY;
+  }
+}
+
+const refundPolicy = loadRefundPolicy();
+
+/**
+ * Percentage (0-100) of the payment refunded when cancelling from a status
+ */
+function getRefundPercentage(status) {
+  const percentage = refundPolicy[status];
+  if (!Number.isFinite(percentage)) {
+    return 0;
+  }
+  return Math.min(Math.max(percentage, 0), 100);
+}
+
+module.exports = {
+  refundPolicy,
+  getRefundPercentage
+};
@@ -0,0 +1,144 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const Joi = require('joi');
+const memberships = require('../services/memberships');
+const { toCents } = require('../services/pricing');
+
+// Validation schemas
+const createPlanSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().allow('').max(500),
+  serviceType: Joi.string().valid('standard', 'express', 'premium').allow(null).default(null),
+  includedLoads: Joi.number().integer().min(1).required(),
+  monthlyPrice: Joi.number().positive().precision(2).required(),
+  stripePriceId: Joi.string()
+});
+
+const updatePlanSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(500),
+  serviceType: Joi.string().valid('standard', 'express', 'premium').allow(null),
+  includedLoads: Joi.number().integer().min(1),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Request fields and the columns they update
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  serviceType: 'service_type',
+  includedLoads: 'included_loads',
+  isActive: 'is_active'
+};
+
+/**
+ * List membership plans, including inactive ones
+ */
+async function listPlans(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      plans: await memberships.listPlans({ includeInactive: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a membership plan. Without stripePriceId a Stripe product and
+ * monthly price are created for it.
+ */
+async function createPlan(req, res, next) {
+  try {
+    const { error, value } = createPlanSchema.validate(req.body);
+    if (error) throw error;
+
+    let stripePriceId = value.stripePriceId;
+    if (!stripePriceId) {
+      const price = await stripe.prices.create({
+        currency: 'usd',
+        unit_amount: toCents(value.monthlyPrice),
+        recurring: { interval: 'month' },
+        product_data: { name: value.name },
+        metadata: { planCode: value.code }
+      });
+      stripePriceId = price.id;
+    }
+
+    const result = await db.query(
+      `INSERT INTO membership_plans (
+        code,
+        name,
+        description,
+        service_type,
+        included_loads,
+        monthly_price,
+        stripe_price_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        value.code,
+        value.name,
+        value.description,
+        value.serviceType,
+        value.includedLoads,
+        value.monthlyPrice,
+        stripePriceId
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      plan: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a membership plan. The price is fixed by its Stripe price;
+ * create a new plan and deactivate this one to change it.
+ */
+async function updatePlan(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = updatePlanSchema.validate(req.body);
+    if (error) throw error;
+
+    // Only set the fields that were sent, so nullable columns can be cleared
+    const assignments = [];
+    const params = [];
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (value[field] !== undefined) {
+        params.push(value[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    });
+
+    params.push(id);
+    const result = await db.query(
+      `UPDATE membership_plans SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Membership plan not found' });
+    }
+
+    res.json({
+      success: true,
+      plan: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listPlans,
+  createPlan,
+  updatePlan
+};
@@ -0,0 +1,256 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const orderItems = require('../services/orderItems');
+const orderModifications = require('../services/orderModifications');
+const orderProofs = require('../services/orderProofs');
+const orderStatus = require('../services/orderStatus');
+
+// Sortable fields, their columns and the type used to compare cursor values
+const SORT_FIELDS = {
+  createdAt: { column: 'o.created_at', type: 'timestamp' },
+  updatedAt: { column: 'o.updated_at', type: 'timestamp' },
+  scheduledTime: { column: 'o.scheduled_time', type: 'timestamp' },
+  price: { column: 'o.price', type: 'numeric' },
+  status: { column: 'o.status', type: 'order_status' }
+};
+
+// Validation schema
+const listOrdersSchema = Joi.object({
+  status: Joi.string(),
+  serviceType: Joi.string().valid('standard', 'express', 'premium'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  dateField: Joi.string().valid('createdAt', 'scheduledTime').default('createdAt'),
+  driverId: Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid('unassigned')),
+  zipCode: Joi.string().trim().max(10),
+  customerId: Joi.string().uuid(),
+  itemMismatch: Joi.boolean(),
+  search: Joi.string().trim().max(100),
+  sort: Joi.string().valid(...Object.keys(SORT_FIELDS)).default('createdAt'),
+  direction: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  cursor: Joi.string()
+});
+
+/**
+ * Cursors carry the last row's sort value (as text, so timestamps keep
+ * their full precision) and ID, for keyset pagination
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_value, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof value !== 'string' || typeof id !== 'string') {
+      return null;
+    }
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List and search orders across all customers
+ */
+async function listOrders(req, res, next) {
+  try {
+    const { error, value } = listOrdersSchema.validate(req.query);
+    if (error) throw error;
+
+    const conditions = [];
+    const params = [];
+    const addParam = param => {
+      params.push(param);
+      return `$${params.length}`;
+    };
+
+    if (value.status) {
+      const statuses = value.status.split(',').map(s => s.trim());
+      const invalid = statuses.find(s => !orderStatus.ORDER_STATUSES.includes(s));
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid status: ${invalid}` });
+      }
+      conditions.push(`o.status = ANY(${addParam(statuses)}::order_status[])`);
+    }
+
+    if (value.serviceType) {
+      conditions.push(`o.service_type = ${addParam(value.serviceType)}`);
+    }
+
+    const dateColumn = value.dateField === 'scheduledTime' ? 'o.scheduled_time' : 'o.created_at';
+    if (value.from) {
+      conditions.push(`${dateColumn} >= ${addParam(value.from)}`);
+    }
+    if (value.to) {
+      conditions.push(`${dateColumn} < ${addParam(value.to)}`);
+    }
+
+    if (value.driverId === 'unassigned') {
+      conditions.push('o.driver_id IS NULL');
+    } else if (value.driverId) {
+      conditions.push(`o.driver_id = ${addParam(value.driverId)}`);
+    }
+
+    if (value.zipCode) {
+      const zip = addParam(value.zipCode);
+      conditions.push(`(o.pickup_address->>'zipCode' = ${zip} OR o.delivery_address->>'zipCode' = ${zip})`);
+    }
+
+    if (value.customerId) {
+      conditions.push(`o.user_id = ${addParam(value.customerId)}`);
+    }
+
+    if (value.itemMismatch !== undefined) {
+      conditions.push(`o.item_mismatch = ${addParam(value.itemMismatch)}`);
+    }
+
+    // Customer name or phone, or the start of an order ID
+    if (value.search) {
+      const pattern = addParam(`%${value.search}%`);
+      const prefix = addParam(`${value.search.toLowerCase()}%`);
+      conditions.push(`(c.name ILIKE ${pattern} OR c.phone ILIKE ${pattern} OR o.id::text LIKE ${prefix})`);
+    }
+
+    const sortField = SORT_FIELDS[value.sort];
+    const descending = value.direction === 'desc';
+
+    if (value.cursor) {
+      const cursor = decodeCursor(value.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      conditions.push(
+        `(${sortField.column}, o.id) ${descending ? '<' : '>'} ` +
+        `(${addParam(cursor.value)}::${sortField.type}, ${addParam(cursor.id)}::uuid)`
+      );
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sortDirection = descending ? 'DESC' : 'ASC';
+
+    // Fetch one extra row to know whether there is a next page
+    const result = await db.query(
+      `SELECT o.*,
+              ${sortField.column}::text AS cursor_value,
+              c.name AS customer_name,
+              c.phone AS customer_phone,
+              d.name AS driver_name,
+              p.status AS payment_status
+       FROM orders o
+       JOIN users c ON c.id = o.user_id
+       LEFT JOIN users d ON d.id = o.driver_id
+       LEFT JOIN LATERAL (
+         SELECT status FROM payments
+         WHERE order_id = o.id
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) p ON TRUE
+       ${where}
+       ORDER BY ${sortField.column} ${sortDirection}, o.id ${sortDirection}
+       LIMIT ${addParam(value.limit + 1)}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, value.limit);
+    const hasMore = result.rows.length > value.limit;
+
+    res.json({
+      success: true,
+      orders: rows.map(({ cursor_value, ...order }) => order),
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Full order detail: customer, driver, items, proof of pickup and delivery,
+ * payments, refunds, status history and customer changes
+ */
+async function getOrder(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = orderResult.rows[0];
+
+    const customerResult = await db.query(
+      'SELECT id, clerk_id, name, phone, default_address, created_at FROM users WHERE id = $1',
+      [order.user_id]
+    );
+
+    const driverResult = order.driver_id
+      ? await db.query('SELECT id, clerk_id, name, phone FROM users WHERE id = $1', [order.driver_id])
+      : { rows: [] };
+
+    const paymentsResult = await db.query(
+      'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC',
+      [id]
+    );
+
+    const refundsResult = await db.query(
+      'SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at DESC',
+      [id]
+    );
+
+    const historyResult = await db.query(
+      `SELECT h.*, u.name AS changed_by_name
+       FROM order_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.order_id = $1
+       ORDER BY h.created_at`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      order,
+      customer: customerResult.rows[0] || null,
+      driver: driverResult.rows[0] || null,
+      items: await orderItems.list(id),
+      proofs: await orderProofs.list(id, '/api/admin/orders'),
+      payments: paymentsResult.rows,
+      refunds: refundsResult.rows,
+      allowedTransitions: orderStatus.getAllowedTransitions(order.status),
+      statusHistory: historyResult.rows,
+      modifications: await orderModifications.list(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a proof photo or signature of any order
+ */
+async function getProofFile(req, res, next) {
+  try {
+    const { id, fileId } = req.params;
+
+    const proofFile = await orderProofs.getFile(id, fileId);
+
+    if (!proofFile) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(proofFile.file.content_type).send(proofFile.data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listOrders,
+  getOrder,
+  getProofFile
+};
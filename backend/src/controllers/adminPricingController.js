@@ -0,0 +1,604 @@
+const db = require('../config/database');
+const Joi = require('joi');
+
+// Validation schemas
+const SERVICE_TYPES = ['standard', 'express', 'premium'];
+
+const tierPriceSchema = Joi.object({
+  basePrice: Joi.number().min(0).precision(2).required(),
+  rateType: Joi.string().valid('flat', 'per_item', 'per_pound').default('flat'),
+  unitPrice: Joi.number().min(0).precision(2).default(0),
+  includedUnits: Joi.number().min(0).default(0),
+  effectiveFrom: Joi.date().iso()
+});
+
+const createTierSchema = tierPriceSchema.keys({
+  serviceType: Joi.string().valid(...SERVICE_TYPES).required(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('').max(500),
+  sortOrder: Joi.number().integer().default(0),
+  features: Joi.array().items(Joi.string().max(255)).default([])
+});
+
+const updateTierSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow('').max(500),
+  sortOrder: Joi.number().integer(),
+  turnaroundMinHours: Joi.number().integer().min(0),
+  turnaroundMaxHours: Joi.number().integer().min(0),
+  isActive: Joi.boolean()
+}).min(1);
+
+const featureSchema = Joi.object({
+  description: Joi.string().max(255).required(),
+  sortOrder: Joi.number().integer().default(0)
+});
+
+const updateFeatureSchema = Joi.object({
+  description: Joi.string().max(255),
+  sortOrder: Joi.number().integer()
+}).min(1);
+
+const addonPriceSchema = Joi.object({
+  price: Joi.number().min(0).precision(2).required(),
+  effectiveFrom: Joi.date().iso()
+});
+
+const createAddonSchema = addonPriceSchema.keys({
+  code: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('').max(500)
+});
+
+const updateAddonSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().allow('').max(500),
+  isActive: Joi.boolean()
+}).min(1);
+
+/**
+ * Get the admin's user ID for created_by columns
+ */
+async function getAdminUserId(clerkId) {
+  const result = await db.query(
+    'SELECT id FROM users WHERE clerk_id = $1',
+    [clerkId]
+  );
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * List all tiers (including inactive) with features and full price history
+ */
+async function listTiers(req, res, next) {
+  try {
+    const tiersResult = await db.query(
+      'SELECT * FROM pricing_tiers ORDER BY sort_order, service_type'
+    );
+
+    const featuresResult = await db.query(
+      'SELECT * FROM pricing_tier_features ORDER BY sort_order, created_at'
+    );
+
+    const versionsResult = await db.query(
+      'SELECT * FROM pricing_tier_versions ORDER BY effective_from DESC, created_at DESC'
+    );
+
+    const tiers = tiersResult.rows.map(tier => ({
+      ...tier,
+      features: featuresResult.rows.filter(f => f.service_type === tier.service_type),
+      priceVersions: versionsResult.rows.filter(v => v.service_type === tier.service_type)
+    }));
+
+    res.json({
+      success: true,
+      tiers
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a tier with its features and first price version
+ */
+async function createTier(req, res, next) {
+  const client = await db.pool.connect();
+  try {
+    const { error, value } = createTierSchema.validate(req.body);
+    if (error) throw error;
+
+    const adminId = await getAdminUserId(req.user.clerkId);
+
+    await client.query('BEGIN');
+
+    const tierResult = await client.query(
+      `INSERT INTO pricing_tiers (service_type, name, description, sort_order)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [value.serviceType, value.name, value.description, value.sortOrder]
+    );
+
+    for (const [index, description] of value.features.entries()) {
+      await client.query(
+        `INSERT INTO pricing_tier_features (service_type, description, sort_order)
+         VALUES ($1, $2, $3)`,
+        [value.serviceType, description, index + 1]
+      );
+    }
+
+    const versionResult = await client.query(
+      `INSERT INTO pricing_tier_versions (
+        service_type, base_price, rate_type, unit_price, included_units, effective_from, created_by
+      ) VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP), $7)
+      RETURNING *`,
+      [
+        value.serviceType,
+        value.basePrice,
+        value.rateType,
+        value.unitPrice,
+        value.includedUnits,
+        value.effectiveFrom,
+        adminId
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      tier: tierResult.rows[0],
+      priceVersion: versionResult.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update tier details (name, description, ordering, turnaround, active flag)
+ */
+async function updateTier(req, res, next) {
+  try {
+    const { serviceType } = req.params;
+    const { error, value } = updateTierSchema.validate(req.body);
+    if (error) throw error;
+
+    const result = await db.query(
+      `UPDATE pricing_tiers
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           sort_order = COALESCE($3, sort_order),
+           is_active = COALESCE($4, is_active),
+           turnaround_min_hours = COALESCE($5, turnaround_min_hours),
+           turnaround_max_hours = COALESCE($6, turnaround_max_hours)
+       WHERE service_type::text = $7
+       RETURNING *`,
+      [
+        value.name,
+        value.description,
+        value.sortOrder,
+        value.isActive,
+        value.turnaroundMinHours,
+        value.turnaroundMaxHours,
+        serviceType
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    res.json({
+      success: true,
+      tier: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate a tier. Tiers are never deleted because orders reference their price versions.
+ */
+async function deactivateTier(req, res, next) {
+  try {
+    const { serviceType } = req.params;
+
+    const result = await db.query(
+      `UPDATE pricing_tiers SET is_active = FALSE
+       WHERE service_type::text = $1
+       RETURNING *`,
+      [serviceType]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    res.json({
+      success: true,
+      tier: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Schedule a new price version for a tier
+ */
+async function createTierPriceVersion(req, res, next) {
+  try {
+    const { serviceType } = req.params;
+    const { error, value } = tierPriceSchema.validate(req.body);
+    if (error) throw error;
+
+    const tierResult = await db.query(
+      'SELECT service_type FROM pricing_tiers WHERE service_type::text = $1',
+      [serviceType]
+    );
+
+    if (tierResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    const adminId = await getAdminUserId(req.user.clerkId);
+
+    const result = await db.query(
+      `INSERT INTO pricing_tier_versions (
+        service_type, base_price, rate_type, unit_price, included_units, effective_from, created_by
+      ) VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP), $7)
+      RETURNING *`,
+      [
+        tierResult.rows[0].service_type,
+        value.basePrice,
+        value.rateType,
+        value.unitPrice,
+        value.includedUnits,
+        value.effectiveFrom,
+        adminId
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      priceVersion: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a tier price version that has not taken effect yet
+ */
+async function deleteTierPriceVersion(req, res, next) {
+  try {
+    const { serviceType, versionId } = req.params;
+
+    const result = await db.query(
+      `DELETE FROM pricing_tier_versions
+       WHERE id = $1
+         AND service_type::text = $2
+         AND effective_from > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [versionId, serviceType]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scheduled price version not found' });
+    }
+
+    res.json({
+      success: true,
+      priceVersion: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a feature bullet to a tier
+ */
+async function addTierFeature(req, res, next) {
+  try {
+    const { serviceType } = req.params;
+    const { error, value } = featureSchema.validate(req.body);
+    if (error) throw error;
+
+    const tierResult = await db.query(
+      'SELECT service_type FROM pricing_tiers WHERE service_type::text = $1',
+      [serviceType]
+    );
+
+    if (tierResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO pricing_tier_features (service_type, description, sort_order)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [tierResult.rows[0].service_type, value.description, value.sortOrder]
+    );
+
+    res.status(201).json({
+      success: true,
+      feature: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a tier feature
+ */
+async function updateTierFeature(req, res, next) {
+  try {
+    const { serviceType, featureId } = req.params;
+    const { error, value } = updateFeatureSchema.validate(req.body);
+    if (error) throw error;
+
+    const result = await db.query(
+      `UPDATE pricing_tier_features
+       SET description = COALESCE($1, description),
+           sort_order = COALESCE($2, sort_order)
+       WHERE id = $3 AND service_type::text = $4
+       RETURNING *`,
+      [value.description, value.sortOrder, featureId, serviceType]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Feature not found' });
+    }
+
+    res.json({
+      success: true,
+      feature: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a tier feature
+ */
+async function deleteTierFeature(req, res, next) {
+  try {
+    const { serviceType, featureId } = req.params;
+
+    const result = await db.query(
+      `DELETE FROM pricing_tier_features
+       WHERE id = $1 AND service_type::text = $2
+       RETURNING *`,
+      [featureId, serviceType]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Feature not found' });
+    }
+
+    res.json({
+      success: true,
+      feature: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List all add-ons (including inactive) with full price history
+ */
+async function listAddons(req, res, next) {
+  try {
+    const addonsResult = await db.query(
+      'SELECT * FROM pricing_addons ORDER BY name'
+    );
+
+    const versionsResult = await db.query(
+      'SELECT * FROM pricing_addon_versions ORDER BY effective_from DESC, created_at DESC'
+    );
+
+    const addons = addonsResult.rows.map(addon => ({
+      ...addon,
+      priceVersions: versionsResult.rows.filter(v => v.addon_code === addon.code)
+    }));
+
+    res.json({
+      success: true,
+      addons
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create an add-on with its first price version
+ */
+async function createAddon(req, res, next) {
+  const client = await db.pool.connect();
+  try {
+    const { error, value } = createAddonSchema.validate(req.body);
+    if (error) throw error;
+
+    const adminId = await getAdminUserId(req.user.clerkId);
+
+    await client.query('BEGIN');
+
+    const addonResult = await client.query(
+      `INSERT INTO pricing_addons (code, name, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [value.code, value.name, value.description]
+    );
+
+    const versionResult = await client.query(
+      `INSERT INTO pricing_addon_versions (addon_code, price, effective_from, created_by)
+       VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), $4)
+       RETURNING *`,
+      [value.code, value.price, value.effectiveFrom, adminId]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      addon: addonResult.rows[0],
+      priceVersion: versionResult.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update add-on details (name, description, active flag)
+ */
+async function updateAddon(req, res, next) {
+  try {
+    const { code } = req.params;
+    const { error, value } = updateAddonSchema.validate(req.body);
+    if (error) throw error;
+
+    const result = await db.query(
+      `UPDATE pricing_addons
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           is_active = COALESCE($3, is_active)
+       WHERE code = $4
+       RETURNING *`,
+      [value.name, value.description, value.isActive, code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+
+    res.json({
+      success: true,
+      addon: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate an add-on. Add-ons are never deleted because orders reference their price versions.
+ */
+async function deactivateAddon(req, res, next) {
+  try {
+    const { code } = req.params;
+
+    const result = await db.query(
+      'UPDATE pricing_addons SET is_active = FALSE WHERE code = $1 RETURNING *',
+      [code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+
+    res.json({
+      success: true,
+      addon: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Schedule a new price version for an add-on
+ */
+async function createAddonPriceVersion(req, res, next) {
+  try {
+    const { code } = req.params;
+    const { error, value } = addonPriceSchema.validate(req.body);
+    if (error) throw error;
+
+    const addonResult = await db.query(
+      'SELECT code FROM pricing_addons WHERE code = $1',
+      [code]
+    );
+
+    if (addonResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+
+    const adminId = await getAdminUserId(req.user.clerkId);
+
+    const result = await db.query(
+      `INSERT INTO pricing_addon_versions (addon_code, price, effective_from, created_by)
+       VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), $4)
+       RETURNING *`,
+      [code, value.price, value.effectiveFrom, adminId]
+    );
+
+    res.status(201).json({
+      success: true,
+      priceVersion: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete an add-on price version that has not taken effect yet
+ */
+async function deleteAddonPriceVersion(req, res, next) {
+  try {
+    const { code, versionId } = req.params;
+
+    const result = await db.query(
+      `DELETE FROM pricing_addon_versions
+       WHERE id = $1
+         AND addon_code = $2
+         AND effective_from > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [versionId, code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scheduled price version not found' });
+    }
+
+    res.json({
+      success: true,
+      priceVersion: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listTiers,
+  createTier,
+  updateTier,
+  deactivateTier,
+  createTierPriceVersion,
+  deleteTierPriceVersion,
+  addTierFeature,
+  updateTierFeature,
+  deleteTierFeature,
+  listAddons,
+  createAddon,
+  updateAddon,
+  deactivateAddon,
+  createAddonPriceVersion,
+  deleteAddonPriceVersion
+};
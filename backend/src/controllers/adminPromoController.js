@@ -0,0 +1,216 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const { normalizeCode } = require('../services/promotions');
+
+// Validation schemas
+const createPromoSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(50).required(),
+  description: Joi.string().allow('').max(500),
+  discountType: Joi.string().valid('percentage', 'fixed').required(),
+  discountValue: Joi.number().positive().precision(2).required()
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().positive().precision(2).allow(null),
+  minOrderValue: Joi.number().min(0).precision(2).default(0),
+  startsAt: Joi.date().iso().allow(null),
+  expiresAt: Joi.date().iso().allow(null),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  maxRedemptionsPerUser: Joi.number().integer().min(1).allow(null).default(1),
+  firstOrderOnly: Joi.boolean().default(false)
+});
+
+const updatePromoSchema = Joi.object({
+  description: Joi.string().allow('').max(500),
+  maxDiscount: Joi.number().positive().precision(2).allow(null),
+  minOrderValue: Joi.number().min(0).precision(2),
+  startsAt: Joi.date().iso().allow(null),
+  expiresAt: Joi.date().iso().allow(null),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  maxRedemptionsPerUser: Joi.number().integer().min(1).allow(null),
+  firstOrderOnly: Joi.boolean(),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Request fields and the columns they update
+const UPDATABLE_FIELDS = {
+  description: 'description',
+  maxDiscount: 'max_discount',
+  minOrderValue: 'min_order_value',
+  startsAt: 'starts_at',
+  expiresAt: 'expires_at',
+  maxRedemptions: 'max_redemptions',
+  maxRedemptionsPerUser: 'max_redemptions_per_user',
+  firstOrderOnly: 'first_order_only',
+  isActive: 'is_active'
+};
+
+/**
+ * List promo codes
+ */
+async function listPromoCodes(req, res, next) {
+  try {
+    const { active } = req.query;
+
+    let query = 'SELECT * FROM promo_codes';
+    const params = [];
+
+    if (active !== undefined) {
+      query += ' WHERE is_active = $1';
+      params.push(active === 'true');
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      promoCodes: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a promo code
+ */
+async function createPromoCode(req, res, next) {
+  try {
+    const { error, value } = createPromoSchema.validate(req.body);
+    if (error) throw error;
+
+    const result = await db.query(
+      `INSERT INTO promo_codes (
+        code,
+        description,
+        discount_type,
+        discount_value,
+        max_discount,
+        min_order_value,
+        starts_at,
+        expires_at,
+        max_redemptions,
+        max_redemptions_per_user,
+        first_order_only
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        normalizeCode(value.code),
+        value.description,
+        value.discountType,
+        value.discountValue,
+        value.maxDiscount,
+        value.minOrderValue,
+        value.startsAt,
+        value.expiresAt,
+        value.maxRedemptions,
+        value.maxRedemptionsPerUser,
+        value.firstOrderOnly
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      promoCode: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a promo code. The code, discount type and value cannot change
+ * once created so existing redemptions stay meaningful.
+ */
+async function updatePromoCode(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = updatePromoSchema.validate(req.body);
+    if (error) throw error;
+
+    // Only set the fields that were sent, so nullable columns can be cleared
+    const assignments = [];
+    const params = [];
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (value[field] !== undefined) {
+        params.push(value[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    });
+
+    params.push(id);
+    const result = await db.query(
+      `UPDATE promo_codes SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json({
+      success: true,
+      promoCode: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate a promo code
+ */
+async function deactivatePromoCode(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'UPDATE promo_codes SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json({
+      success: true,
+      promoCode: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List redemptions of a promo code
+ */
+async function getPromoRedemptions(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT r.*, o.price AS order_price, o.status AS order_status
+       FROM promo_redemptions r
+       JOIN orders o ON o.id = r.order_id
+       WHERE r.promo_code_id = $1
+       ORDER BY r.created_at DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      redemptions: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoRedemptions
+};
@@ -0,0 +1,137 @@
+const Joi = require('joi');
+const reports = require('../services/reports');
+const orderStatus = require('../services/orderStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const rangeSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const periodSchema = rangeSchema.keys({
+  period: Joi.string().valid(...reports.PERIODS).default('day')
+});
+
+const revenueSchema = periodSchema.keys({
+  groupBy: Joi.string().valid('serviceType')
+});
+
+const turnaroundSchema = rangeSchema.keys({
+  serviceType: Joi.string().valid('standard', 'express', 'premium'),
+  fromStatus: Joi.string().valid(...orderStatus.ORDER_STATUSES),
+  toStatus: Joi.string().valid(...orderStatus.ORDER_STATUSES)
+}).and('fromStatus', 'toStatus');
+
+/**
+ * Validate report query parameters; the range defaults to the last 30 days
+ */
+function parseQuery(schema, query) {
+  const { error, value } = schema.validate(query);
+  if (error) throw error;
+
+  const to = value.to || new Date();
+  const from = value.from || new Date(to.getTime() - 30 * DAY_MS);
+
+  if (from >= to) {
+    const rangeError = new Error('from must be before to');
+    rangeError.statusCode = 400;
+    throw rangeError;
+  }
+
+  return { ...value, from, to };
+}
+
+/**
+ * Send a report as JSON, or as a CSV download with ?format=csv
+ */
+function sendReport(res, name, options, report) {
+  if (options.format === 'csv') {
+    const range = `${options.from.toISOString().slice(0, 10)}_${options.to.toISOString().slice(0, 10)}`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}_${range}.csv"`);
+    return res.send(reports.toCsv(report));
+  }
+
+  res.json({
+    success: true,
+    from: options.from,
+    to: options.to,
+    ...(options.period && { period: options.period }),
+    rows: report.rows
+  });
+}
+
+/**
+ * Revenue per day, week or month, optionally split by service tier
+ */
+async function getRevenueReport(req, res, next) {
+  try {
+    const options = parseQuery(revenueSchema, req.query);
+
+    const report = await reports.revenue({
+      from: options.from,
+      to: options.to,
+      period: options.period,
+      byServiceType: options.groupBy === 'serviceType'
+    });
+
+    sendReport(res, 'revenue', options, report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Order counts by status and service tier
+ */
+async function getOrderVolumeReport(req, res, next) {
+  try {
+    const options = parseQuery(rangeSchema, req.query);
+
+    const report = await reports.orderVolume(options);
+
+    sendReport(res, 'orders', options, report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Refund totals per day, week or month
+ */
+async function getRefundReport(req, res, next) {
+  try {
+    const options = parseQuery(periodSchema, req.query);
+
+    const report = await reports.refunds(options);
+
+    sendReport(res, 'refunds', options, report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Average time between status transitions
+ */
+async function getTurnaroundReport(req, res, next) {
+  try {
+    const options = parseQuery(turnaroundSchema, req.query);
+
+    const report = await reports.turnaround(options);
+
+    sendReport(res, 'turnaround', options, report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getRevenueReport,
+  getOrderVolumeReport,
+  getRefundReport,
+  getTurnaroundReport
+};
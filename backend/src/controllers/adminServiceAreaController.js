@@ -0,0 +1,281 @@
+const db = require('../config/database');
+const Joi = require('joi');
+
+// Validation schemas
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// GeoJSON Polygon: an outer ring followed by optional holes,
+// each a list of [longitude, latitude] positions
+const position = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+const boundarySchema = Joi.object({
+  type: Joi.string().valid('Polygon').required(),
+  coordinates: Joi.array().items(Joi.array().items(position).min(4)).min(1).required()
+});
+
+const createAreaSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  timezone: Joi.string().max(64).default('America/Los_Angeles'),
+  zipCodes: Joi.array().items(Joi.string().trim().max(10)).unique().default([]),
+  boundary: boundarySchema,
+  surcharge: Joi.number().min(0).precision(2).default(0),
+  priceMultiplier: Joi.number().positive().precision(3).default(1)
+});
+
+const updateAreaSchema = Joi.object({
+  name: Joi.string().max(255),
+  timezone: Joi.string().max(64),
+  zipCodes: Joi.array().items(Joi.string().trim().max(10)).unique(),
+  boundary: boundarySchema.allow(null),
+  surcharge: Joi.number().min(0).precision(2),
+  priceMultiplier: Joi.number().positive().precision(3),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Fields that can be changed with PUT, mapped to their columns
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  timezone: 'timezone',
+  zipCodes: 'zip_codes',
+  boundary: 'boundary',
+  surcharge: 'surcharge',
+  priceMultiplier: 'price_multiplier',
+  isActive: 'is_active'
+};
+
+const hoursSchema = Joi.object({
+  hours: Joi.array().items(Joi.object({
+    dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+    opensAt: Joi.string().pattern(TIME_PATTERN).required(),
+    closesAt: Joi.string().pattern(TIME_PATTERN).required(),
+    slotMinutes: Joi.number().integer().min(15).max(480).default(60),
+    slotCapacity: Joi.number().integer().min(0).default(5)
+  })).required()
+});
+
+/**
+ * Reject timezones Postgres does not know
+ */
+async function isValidTimezone(timezone) {
+  const result = await db.query(
+    'SELECT 1 FROM pg_timezone_names WHERE name = $1',
+    [timezone]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * List all service areas
+ */
+async function listServiceAreas(req, res, next) {
+  try {
+    const result = await db.query(
+      'SELECT * FROM service_areas ORDER BY name'
+    );
+
+    res.json({
+      success: true,
+      serviceAreas: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a service area
+ */
+async function createServiceArea(req, res, next) {
+  try {
+    const { error, value } = createAreaSchema.validate(req.body);
+    if (error) throw error;
+
+    if (value.zipCodes.length === 0 && !value.boundary) {
+      return res.status(400).json({ error: 'A service area needs zipCodes, a boundary, or both' });
+    }
+
+    if (!(await isValidTimezone(value.timezone))) {
+      return res.status(400).json({ error: 'Unknown timezone' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO service_areas (
+        name, timezone, zip_codes, boundary, surcharge, price_multiplier
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *`,
+      [
+        value.name,
+        value.timezone,
+        value.zipCodes,
+        value.boundary ? JSON.stringify(value.boundary) : null,
+        value.surcharge,
+        value.priceMultiplier
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      serviceArea: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a service area
+ */
+async function updateServiceArea(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = updateAreaSchema.validate(req.body);
+    if (error) throw error;
+
+    if (value.timezone && !(await isValidTimezone(value.timezone))) {
+      return res.status(400).json({ error: 'Unknown timezone' });
+    }
+
+    const assignments = [];
+    const params = [];
+
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (value[field] !== undefined) {
+        params.push(field === 'boundary' && value.boundary ? JSON.stringify(value.boundary) : value[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    });
+
+    params.push(id);
+    const result = await db.query(
+      `UPDATE service_areas SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service area not found' });
+    }
+
+    res.json({
+      success: true,
+      serviceArea: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate a service area
+ */
+async function deactivateServiceArea(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'UPDATE service_areas SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service area not found' });
+    }
+
+    res.json({
+      success: true,
+      serviceArea: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get weekly operating hours for a service area
+ */
+async function getHours(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT * FROM service_area_hours
+       WHERE service_area_id = $1
+       ORDER BY day_of_week, opens_at`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      hours: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace the weekly operating hours of a service area.
+ * Existing reservations are kept even if their slot no longer exists.
+ */
+async function setHours(req, res, next) {
+  const client = await db.pool.connect();
+  try {
+    const { id } = req.params;
+    const { error, value } = hoursSchema.validate(req.body);
+    if (error) throw error;
+
+    const invalid = value.hours.find(h => h.closesAt <= h.opensAt);
+    if (invalid) {
+      return res.status(400).json({ error: 'closesAt must be after opensAt' });
+    }
+
+    await client.query('BEGIN');
+
+    const areaResult = await client.query(
+      'SELECT id FROM service_areas WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (areaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Service area not found' });
+    }
+
+    await client.query('DELETE FROM service_area_hours WHERE service_area_id = $1', [id]);
+
+    const hours = [];
+    for (const h of value.hours) {
+      const result = await client.query(
+        `INSERT INTO service_area_hours (
+          service_area_id, day_of_week, opens_at, closes_at, slot_minutes, slot_capacity
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [id, h.dayOfWeek, h.opensAt, h.closesAt, h.slotMinutes, h.slotCapacity]
+      );
+      hours.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      hours
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  listServiceAreas,
+  createServiceArea,
+  updateServiceArea,
+  deactivateServiceArea,
+  getHours,
+  setHours
+};
@@ -0,0 +1,122 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const stripeEvents = require('../services/stripeEvents');
+
+// Validation schemas
+const listEventsSchema = Joi.object({
+  status: Joi.string().valid('pending', 'processed', 'unmatched', 'failed', 'ignored'),
+  type: Joi.string().max(100),
+  paymentIntentId: Joi.string().max(255),
+  subscriptionId: Joi.string().max(255),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Filters and the columns they match
+const FILTERS = {
+  status: 'status',
+  type: 'type',
+  paymentIntentId: 'payment_intent_id',
+  subscriptionId: 'subscription_id'
+};
+
+/**
+ * List stored Stripe events, newest first, without their payloads
+ */
+async function listEvents(req, res, next) {
+  try {
+    const { error, value } = listEventsSchema.validate(req.query);
+    if (error) throw error;
+
+    const conditions = [];
+    const params = [];
+
+    Object.entries(FILTERS).forEach(([filter, column]) => {
+      if (value[filter] !== undefined) {
+        params.push(value[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    });
+
+    let query = `SELECT id, type, payment_intent_id, subscription_id, status, attempts, next_attempt_at,
+                        last_error, stripe_created_at, processed_at, created_at, updated_at
+                 FROM stripe_events`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    params.push(value.limit, value.offset);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      events: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a stored event with its payload
+ */
+async function getEvent(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM stripe_events WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+
+    res.json({
+      success: true,
+      event: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Handle an event again, whatever its status
+ */
+async function reprocessEvent(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT id FROM stripe_events WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+
+    const event = await stripeEvents.processEvent(id, { force: true });
+
+    if (!event) {
+      return res.status(409).json({ error: 'Event is being processed, try again shortly' });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listEvents,
+  getEvent,
+  reprocessEvent
+};
@@ -0,0 +1,255 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const webhooks = require('../services/webhooks');
+
+// Validation schemas
+const urlSchema = Joi.string().uri({ scheme: ['https', 'http'] }).max(2000);
+const eventTypesSchema = Joi.array().items(Joi.string().valid(...webhooks.EVENT_TYPES)).min(1).unique();
+
+const createEndpointSchema = Joi.object({
+  url: urlSchema.required(),
+  description: Joi.string().allow('').max(500),
+  eventTypes: eventTypesSchema.required()
+});
+
+const updateEndpointSchema = Joi.object({
+  url: urlSchema,
+  description: Joi.string().allow('').max(500),
+  eventTypes: eventTypesSchema,
+  isActive: Joi.boolean()
+}).min(1);
+
+const listDeliveriesSchema = Joi.object({
+  status: Joi.string().valid('pending', 'sending', 'succeeded', 'failed'),
+  eventType: Joi.string().valid(...webhooks.EVENT_TYPES),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Request fields and the columns they update
+const UPDATABLE_FIELDS = {
+  url: 'url',
+  description: 'description',
+  eventTypes: 'event_types',
+  isActive: 'is_active'
+};
+
+/**
+ * The secret is only shown when an endpoint is created or its secret rotated
+ */
+function formatEndpoint({ secret, ...endpoint }) {
+  return {
+    ...endpoint,
+    secret_hint: `${secret.slice(0, 10)}...`
+  };
+}
+
+/**
+ * List webhook endpoints
+ */
+async function listEndpoints(req, res, next) {
+  try {
+    const result = await db.query(
+      'SELECT * FROM webhook_endpoints ORDER BY created_at DESC'
+    );
+
+    res.json({
+      success: true,
+      eventTypes: webhooks.EVENT_TYPES,
+      endpoints: result.rows.map(formatEndpoint)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register a webhook endpoint
+ */
+async function createEndpoint(req, res, next) {
+  try {
+    const { error, value } = createEndpointSchema.validate(req.body);
+    if (error) throw error;
+
+    const adminResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    const result = await db.query(
+      `INSERT INTO webhook_endpoints (url, description, event_types, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        value.url,
+        value.description || null,
+        value.eventTypes,
+        webhooks.generateSecret(),
+        adminResult.rows[0]?.id || null
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      endpoint: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update an endpoint's URL, description, events or active flag
+ */
+async function updateEndpoint(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = updateEndpointSchema.validate(req.body);
+    if (error) throw error;
+
+    const assignments = [];
+    const params = [];
+
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (value[field] !== undefined) {
+        params.push(value[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    });
+
+    params.push(id);
+    const result = await db.query(
+      `UPDATE webhook_endpoints SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      endpoint: formatEndpoint(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Deactivate an endpoint; its delivery log is kept
+ */
+async function deactivateEndpoint(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'UPDATE webhook_endpoints SET is_active = FALSE WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      endpoint: formatEndpoint(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace an endpoint's signing secret
+ */
+async function rotateSecret(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'UPDATE webhook_endpoints SET secret = $1 WHERE id = $2 RETURNING *',
+      [webhooks.generateSecret(), id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      endpoint: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delivery log for an endpoint
+ */
+async function listDeliveries(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = listDeliveriesSchema.validate(req.query);
+    if (error) throw error;
+
+    let query = 'SELECT * FROM webhook_deliveries WHERE endpoint_id = $1';
+    const params = [id];
+
+    if (value.status) {
+      params.push(value.status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    if (value.eventType) {
+      params.push(value.eventType);
+      query += ` AND event_type = $${params.length}`;
+    }
+
+    params.push(value.limit, value.offset);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      deliveries: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a past delivery again
+ */
+async function replayDelivery(req, res, next) {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = await webhooks.replay(deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deactivateEndpoint,
+  rotateSecret,
+  listDeliveries,
+  replayDelivery
+};
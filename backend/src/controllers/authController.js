@@ -1,5 +1,6 @@
 const db = require('../config/database');
 const Joi = require('joi');
+const notifications = require('../services/notifications');
 
 // Validation schemas
 const profileSchema = Joi.object({
@@ -15,6 +16,24 @@ const profileSchema = Joi.object({
   })
 });
 
+const channelPreferencesSchema = Joi.object({
+  push: Joi.boolean(),
+  email: Joi.boolean(),
+  sms: Joi.boolean()
+});
+
+const notificationPreferencesSchema = Joi.object(
+  Object.fromEntries(
+    Object.keys(notifications.ORDER_EVENTS).map(event => [event, channelPreferencesSchema])
+  )
+).min(1);
+
+const deviceSchema = Joi.object({
+  token: Joi.string().trim().lowercase().pattern(/^[0-9a-f]{64,200}$/).required(),
+  environment: Joi.string().valid('sandbox', 'production').required(),
+  appVersion: Joi.string().max(50)
+});
+
 const addressSchema = Joi.object({
   label: Joi.string().required(),
   street: Joi.string().required(),
@@ -49,18 +68,19 @@ async function upsertProfile(req, res, next) {
         `UPDATE users 
          SET name = COALESCE($1, name),
              phone = COALESCE($2, phone),
-             default_address = COALESCE($3, default_address)
+             default_address = COALESCE($3, default_address),
+             email = COALESCE($5, email)
          WHERE clerk_id = $4
          RETURNING *`,
-        [name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null, clerkId]
+        [name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null, clerkId, req.user.email || null]
       );
     } else {
       // Create new user
       result = await db.query(
-        `INSERT INTO users (clerk_id, name, phone, default_address)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO users (clerk_id, name, phone, default_address, email)
+         VALUES ($1, $2, $3, $4, $5)
          RETURNING *`,
-        [clerkId, name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null]
+        [clerkId, name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null, req.user.email || null]
       );
     }
 
@@ -113,10 +133,11 @@ async function updateProfile(req, res, next) {
       `UPDATE users 
        SET name = COALESCE($1, name),
            phone = COALESCE($2, phone),
-           default_address = COALESCE($3, default_address)
+           default_address = COALESCE($3, default_address),
+           email = COALESCE($5, email)
        WHERE clerk_id = $4
        RETURNING *`,
-      [name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null, clerkId]
+      [name, phone, defaultAddress ? JSON.stringify(defaultAddress) : null, clerkId, req.user.email || null]
     );
 
     if (result.rows.length === 0) {
@@ -208,11 +229,168 @@ async function removeAddress(req, res, next) {
   }
 }
 
+/**
+ * Get notification preferences, with defaults for events not yet set
+ */
+async function getNotificationPreferences(req, res, next) {
+  try {
+    const result = await db.query(
+      'SELECT notification_preferences FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({
+      success: true,
+      preferences: notifications.getPreferences(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update notification preferences per event and channel
+ */
+async function updateNotificationPreferences(req, res, next) {
+  try {
+    const { error, value } = notificationPreferencesSchema.validate(req.body);
+    if (error) throw error;
+
+    const current = await db.query(
+      'SELECT notification_preferences FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    // Merge per event so unspecified channels keep their setting
+    const saved = current.rows[0].notification_preferences || {};
+    const merged = { ...saved };
+    Object.entries(value).forEach(([event, channels]) => {
+      merged[event] = { ...saved[event], ...channels };
+    });
+
+    const result = await db.query(
+      `UPDATE users SET notification_preferences = $1
+       WHERE clerk_id = $2
+       RETURNING notification_preferences`,
+      [JSON.stringify(merged), req.user.clerkId]
+    );
+
+    res.json({
+      success: true,
+      preferences: notifications.getPreferences(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the user's registered devices
+ */
+async function listDevices(req, res, next) {
+  try {
+    const result = await db.query(
+      `SELECT d.token, d.environment, d.app_version, d.last_registered_at, d.created_at
+       FROM device_tokens d
+       JOIN users u ON u.id = d.user_id
+       WHERE u.clerk_id = $1
+       ORDER BY d.last_registered_at DESC`,
+      [req.user.clerkId]
+    );
+
+    res.json({
+      success: true,
+      devices: result.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register an APNs device token. Registering again refreshes it, and a
+ * token registered by another account moves to this one.
+ */
+async function registerDevice(req, res, next) {
+  try {
+    const { error, value } = deviceSchema.validate(req.body);
+    if (error) throw error;
+
+    const userResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO device_tokens (user_id, token, environment, app_version)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (token) DO UPDATE
+       SET user_id = EXCLUDED.user_id,
+           environment = EXCLUDED.environment,
+           app_version = EXCLUDED.app_version,
+           last_registered_at = CURRENT_TIMESTAMP
+       RETURNING token, environment, app_version, last_registered_at, created_at`,
+      [userResult.rows[0].id, value.token, value.environment, value.appVersion || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      device: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Unregister a device token, e.g. on sign-out
+ */
+async function unregisterDevice(req, res, next) {
+  try {
+    const { token } = req.params;
+
+    const result = await db.query(
+      `DELETE FROM device_tokens d
+       USING users u
+       WHERE u.id = d.user_id AND u.clerk_id = $1 AND d.token = $2
+       RETURNING d.token`,
+      [req.user.clerkId, token.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   upsertProfile,
   getProfile,
   updateProfile,
   addAddress,
-  removeAddress
+  removeAddress,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  listDevices,
+  registerDevice,
+  unregisterDevice
 };
 
@@ -0,0 +1,270 @@
+const db = require('../config/database');
+const { clerkClient } = require('@clerk/clerk-sdk-node');
+const Joi = require('joi');
+const realtime = require('../services/realtime');
+const { ORDER_STATUSES } = require('../services/orderStatus');
+
+// Validation schemas
+const assignDriverSchema = Joi.object({
+  driverId: Joi.string().uuid().required(),
+  notes: Joi.string().allow('').max(500)
+});
+
+const listOrdersSchema = Joi.object({
+  status: Joi.string().valid(...ORDER_STATUSES),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Record an assignment change in the order's status history.
+ * The status itself does not change, so old and new status are the same.
+ */
+async function logAssignment(order, driverId, changedBy, notes) {
+  await db.query(
+    `INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, driver_id, notes)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [order.id, order.status, order.status, changedBy, driverId, notes]
+  );
+}
+
+/**
+ * Assign or reassign a driver to an order (admin only)
+ */
+async function assignDriver(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = assignDriverSchema.validate(req.body);
+    if (error) throw error;
+
+    const { driverId, notes } = value;
+
+    // Get admin user ID
+    const adminResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+    const adminId = adminResult.rows[0]?.id || null;
+
+    // Make sure the target user exists and has the driver role
+    const driverResult = await db.query(
+      'SELECT id, clerk_id FROM users WHERE id = $1',
+      [driverId]
+    );
+
+    if (driverResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const driverUser = await clerkClient.users.getUser(driverResult.rows[0].clerk_id);
+    const role = driverUser.publicMetadata?.role;
+    if (role !== 'driver' && role !== 'admin') {
+      return res.status(400).json({ error: 'User is not a driver' });
+    }
+
+    const currentOrder = await db.query(
+      'SELECT * FROM orders WHERE id = $1',
+      [id]
+    );
+
+    if (currentOrder.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(currentOrder.rows[0].status)) {
+      return res.status(400).json({ error: 'Cannot assign a driver to a closed order' });
+    }
+
+    const previousDriverId = currentOrder.rows[0].driver_id;
+
+    const result = await db.query(
+      `UPDATE orders
+       SET driver_id = $1, assigned_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [driverId, id]
+    );
+
+    await logAssignment(
+      result.rows[0],
+      driverId,
+      adminId,
+      notes || (previousDriverId ? 'Driver reassigned' : 'Driver assigned')
+    );
+
+    realtime.publishDriverAssignment(result.rows[0]);
+
+    res.json({
+      success: true,
+      order: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove the driver from an order (admin only)
+ */
+async function unassignDriver(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const adminResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+    const adminId = adminResult.rows[0]?.id || null;
+
+    const result = await db.query(
+      `UPDATE orders
+       SET driver_id = NULL, assigned_at = NULL
+       WHERE id = $1 AND driver_id IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Assigned order not found' });
+    }
+
+    await logAssignment(result.rows[0], null, adminId, 'Driver unassigned');
+
+    realtime.publishDriverAssignment(result.rows[0]);
+
+    res.json({
+      success: true,
+      order: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List pending orders that no driver has claimed yet (driver/admin only)
+ */
+async function getAvailableOrders(req, res, next) {
+  try {
+    const { error, value } = listOrdersSchema.validate(req.query);
+    if (error) throw error;
+
+    const { limit, offset } = value;
+
+    const result = await db.query(
+      `SELECT * FROM orders
+       WHERE driver_id IS NULL AND status = 'pending'
+       ORDER BY scheduled_time ASC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    res.json({
+      success: true,
+      orders: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Claim an unassigned pending order for the calling driver
+ */
+async function claimOrder(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const driverResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (driverResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Driver profile not found. Please complete your profile first.' });
+    }
+
+    const driverId = driverResult.rows[0].id;
+
+    // Conditional update so two drivers cannot claim the same order
+    const result = await db.query(
+      `UPDATE orders
+       SET driver_id = $1, assigned_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND driver_id IS NULL AND status = 'pending'
+       RETURNING *`,
+      [driverId, id]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await db.query('SELECT id FROM orders WHERE id = $1', [id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      return res.status(409).json({ error: 'Order is no longer available' });
+    }
+
+    await logAssignment(result.rows[0], driverId, driverId, 'Claimed by driver');
+
+    realtime.publishDriverAssignment(result.rows[0]);
+
+    res.json({
+      success: true,
+      order: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List orders assigned to the calling driver
+ */
+async function getAssignedOrders(req, res, next) {
+  try {
+    const { error, value } = listOrdersSchema.validate(req.query);
+    if (error) throw error;
+
+    const { status, limit, offset } = value;
+
+    const driverResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (driverResult.rows.length === 0) {
+      return res.json({ success: true, orders: [], count: 0 });
+    }
+
+    let query = 'SELECT * FROM orders WHERE driver_id = $1';
+    const params = [driverResult.rows[0].id];
+
+    if (status) {
+      query += ' AND status = $2';
+      params.push(status);
+    } else {
+      query += " AND status NOT IN ('completed', 'cancelled')";
+    }
+
+    query += ' ORDER BY scheduled_time ASC LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      orders: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  assignDriver,
+  unassignDriver,
+  getAvailableOrders,
+  claimOrder,
+  getAssignedOrders
+};
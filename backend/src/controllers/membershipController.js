@@ -0,0 +1,119 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const memberships = require('../services/memberships');
+const stripeEvents = require('../services/stripeEvents');
+
+// Validation schemas
+const subscribeSchema = Joi.object({
+  planCode: Joi.string().trim().max(50).required(),
+  paymentMethodId: Joi.string()
+});
+
+const cancelSchema = Joi.object({
+  immediately: Joi.boolean().default(false)
+});
+
+/**
+ * The caller's user ID
+ */
+async function getUserId(req) {
+  const result = await db.query(
+    'SELECT id FROM users WHERE clerk_id = $1',
+    [req.user.clerkId]
+  );
+
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * List the plans on sale
+ */
+async function getPlans(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      plans: await memberships.listPlans()
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the caller's membership and remaining loads
+ */
+async function getCurrentMembership(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+
+    res.json({
+      success: true,
+      membership: userId ? await memberships.getCurrent(userId) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Subscribe to a plan
+ */
+async function subscribe(req, res, next) {
+  try {
+    const { error, value } = subscribeSchema.validate(req.body);
+    if (error) throw error;
+
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(404).json({ error: 'User profile not found. Please complete your profile first.' });
+    }
+
+    const result = await memberships.subscribe({
+      userId,
+      clerkId: req.user.clerkId,
+      email: req.user.email
+    }, value, req.idempotencyKey);
+
+    // Apply subscription events that arrived before the membership was saved
+    stripeEvents.retryUnmatchedSubscription(result.membership.stripe_subscription_id)
+      .catch(error => console.error('Failed to retry Stripe events:', error));
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel the caller's membership at the end of the period, or immediately
+ */
+async function cancelMembership(req, res, next) {
+  try {
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) throw error;
+
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(404).json({ error: 'No active membership' });
+    }
+
+    const membership = await memberships.cancel(userId, value);
+
+    res.json({
+      success: true,
+      membership
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getPlans,
+  getCurrentMembership,
+  subscribe,
+  cancelMembership
+};
@@ -1,41 +1,83 @@
 const db = require('../config/database');
 const Joi = require('joi');
+const realtime = require('../services/realtime');
+const orderStatus = require('../services/orderStatus');
+const memberships = require('../services/memberships');
+const orders = require('../services/orders');
+const orderItems = require('../services/orderItems');
+const orderModifications = require('../services/orderModifications');
+const orderProofs = require('../services/orderProofs');
+const promotions = require('../services/promotions');
+const refunds = require('../services/refunds');
+const scheduling = require('../services/scheduling');
+const driverLocations = require('../services/driverLocations');
+const notifications = require('../services/notifications');
+const stripeEvents = require('../services/stripeEvents');
+const webhooks = require('../services/webhooks');
 
 // Validation schemas
+const addressSchema = Joi.object({
+  street: Joi.string().required(),
+  city: Joi.string().required(),
+  state: Joi.string().required(),
+  zipCode: Joi.string().required(),
+  latitude: Joi.number(),
+  longitude: Joi.number()
+});
+
 const createOrderSchema = Joi.object({
-  pickupAddress: Joi.object({
-    street: Joi.string().required(),
-    city: Joi.string().required(),
-    state: Joi.string().required(),
-    zipCode: Joi.string().required(),
-    latitude: Joi.number(),
-    longitude: Joi.number()
-  }).required(),
-  deliveryAddress: Joi.object({
-    street: Joi.string().required(),
-    city: Joi.string().required(),
-    state: Joi.string().required(),
-    zipCode: Joi.string().required(),
-    latitude: Joi.number(),
-    longitude: Joi.number()
-  }).required(),
+  pickupAddress: addressSchema.required(),
+  deliveryAddress: addressSchema.required(),
   scheduledTime: Joi.date().iso().required(),
   serviceType: Joi.string().valid('standard', 'express', 'premium').required(),
   itemCount: Joi.number().integer().min(0).default(0),
-  notes: Joi.string().allow('').max(500)
+  weightLbs: Joi.number().positive().precision(2),
+  addons: Joi.array().items(Joi.string()).unique().default([]),
+  promoCode: Joi.string().trim().max(50),
+  notes: Joi.string().allow('').max(500),
+  useMembership: Joi.boolean().default(true)
 });
 
-const updateStatusSchema = Joi.object({
-  status: Joi.string().valid(
-    'pending',
-    'picked_up',
-    'in_laundry',
-    'ready',
-    'out_for_delivery',
-    'completed',
-    'cancelled'
-  ).required(),
+const modifyOrderSchema = Joi.object({
+  pickupAddress: addressSchema,
+  deliveryAddress: addressSchema,
+  scheduledTime: Joi.date().iso(),
+  serviceType: Joi.string().valid('standard', 'express', 'premium'),
+  itemCount: Joi.number().integer().min(0),
   notes: Joi.string().allow('').max(500)
+}).min(1);
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid(...orderStatus.ORDER_STATUSES).required(),
+  notes: Joi.string().allow('').max(500),
+  proof: Joi.object({
+    photos: Joi.array().items(Joi.string()).max(orderProofs.MAX_PHOTOS).default([]),
+    signature: Joi.string(),
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0)
+  }).when('status', {
+    is: Joi.valid(...orderProofs.PROOF_STATUSES),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const pickupItemsSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    category: Joi.string().valid(...orderItems.CATEGORIES).required(),
+    bagTag: Joi.string().trim().max(100),
+    description: Joi.string().allow('').max(255),
+    count: Joi.number().integer().min(1).required(),
+    photos: Joi.array().items(Joi.string().max(500)).max(10).default([])
+  })).min(1).max(100).unique('bagTag', { ignoreUndefined: true }).required()
+});
+
+const itemCheckSchema = Joi.object({
+  stage: Joi.string().valid(...orderItems.STAGES).required(),
+  counts: Joi.array().items(Joi.object({
+    itemId: Joi.string().uuid().required(),
+    count: Joi.number().integer().min(0).required()
+  })).min(1).unique('itemId').required()
 });
 
 /**
@@ -52,7 +94,11 @@ async function createOrder(req, res, next) {
       scheduledTime,
       serviceType,
       itemCount,
-      notes
+      weightLbs,
+      addons,
+      promoCode,
+      notes,
+      useMembership
     } = value;
 
     const clerkId = req.user.clerkId;
@@ -69,49 +115,23 @@ async function createOrder(req, res, next) {
 
     const userId = userResult.rows[0].id;
 
-    // Calculate price based on service type
-    const pricingMap = {
-      standard: 25.00,
-      express: 40.00,
-      premium: 60.00
-    };
-    const price = pricingMap[serviceType];
-
-    // Create order
-    const result = await db.query(
-      `INSERT INTO orders (
-        user_id,
-        pickup_address,
-        delivery_address,
-        scheduled_time,
-        service_type,
-        item_count,
-        price,
-        notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *`,
-      [
-        userId,
-        JSON.stringify(pickupAddress),
-        JSON.stringify(deliveryAddress),
-        scheduledTime,
-        serviceType,
-        itemCount,
-        price,
-        notes
-      ]
-    );
-
-    // Log status history
-    await db.query(
-      `INSERT INTO order_status_history (order_id, new_status, changed_by)
-       VALUES ($1, $2, $3)`,
-      [result.rows[0].id, 'pending', userId]
-    );
+    const order = await orders.createOrder({
+      userId,
+      pickupAddress,
+      deliveryAddress,
+      scheduledTime,
+      serviceType,
+      itemCount,
+      weightLbs,
+      addons,
+      promoCode,
+      notes,
+      useMembership
+    });
 
     res.status(201).json({
       success: true,
-      order: result.rows[0]
+      order
     });
   } catch (error) {
     next(error);
@@ -201,6 +221,10 @@ async function getOrderById(req, res, next) {
     res.json({
       success: true,
       order: result.rows[0],
+      items: await orderItems.list(id),
+      proofs: await orderProofs.list(id),
+      modifications: await orderModifications.list(id),
+      allowedTransitions: orderStatus.getAllowedTransitions(result.rows[0].status),
       statusHistory: historyResult.rows
     });
   } catch (error) {
@@ -208,6 +232,72 @@ async function getOrderById(req, res, next) {
   }
 }
 
+/**
+ * Change a pending order (customer only). The price is recalculated and
+ * the difference charged or refunded if the order was already paid.
+ */
+async function modifyOrder(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = modifyOrderSchema.validate(req.body);
+    if (error) throw error;
+
+    const userResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await orderModifications.modify(userResult.rows[0].id, id, value, req.idempotencyKey);
+
+    // Apply webhook events that arrived before the extra payment was saved
+    if (result.payment) {
+      stripeEvents.retryUnmatched(result.payment.stripe_payment_intent_id)
+        .catch(error => console.error('Failed to retry Stripe events:', error));
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Load an order together with the caller's user ID for driver/admin mutations
+ */
+async function getOrderForDriver(req, id) {
+  const userResult = await db.query(
+    'SELECT id FROM users WHERE clerk_id = $1',
+    [req.user.clerkId]
+  );
+
+  const orderResult = await db.query(
+    'SELECT * FROM orders WHERE id = $1',
+    [id]
+  );
+
+  return {
+    userId: userResult.rows[0]?.id || null,
+    order: orderResult.rows[0] || null
+  };
+}
+
+/**
+ * Admins may act on any order; drivers only on orders assigned to them
+ */
+function canModifyOrder(req, order, userId) {
+  if (req.user.role === 'admin') {
+    return true;
+  }
+  return Boolean(userId) && order.driver_id === userId;
+}
+
 /**
  * Update order status (driver/admin only)
  */
@@ -217,32 +307,100 @@ async function updateOrderStatus(req, res, next) {
     const { error, value } = updateStatusSchema.validate(req.body);
     if (error) throw error;
 
-    const { status, notes } = value;
+    const { status, notes, proof } = value;
 
     // Get current order
-    const currentOrder = await db.query(
-      'SELECT * FROM orders WHERE id = $1',
-      [id]
-    );
+    const { userId, order } = await getOrderForDriver(req, id);
 
-    if (currentOrder.rows.length === 0) {
+    if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    const oldStatus = currentOrder.rows[0].status;
+    if (!canModifyOrder(req, order, userId)) {
+      return res.status(403).json({ error: 'Order is not assigned to you' });
+    }
 
-    // Update order status
-    const result = await db.query(
-      'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
-      [status, id]
-    );
+    const oldStatus = order.status;
 
-    // Log status change
-    await db.query(
-      `INSERT INTO order_status_history (order_id, old_status, new_status, notes)
-       VALUES ($1, $2, $3, $4)`,
-      [id, oldStatus, status, notes]
-    );
+    if (!orderStatus.canTransition(oldStatus, status)) {
+      return res.status(409).json(orderStatus.transitionError(oldStatus, status));
+    }
+
+    // Orders with an item inventory are counted again before ready and completed
+    if (await orderItems.needsCheck(id, status)) {
+      return res.status(409).json({
+        error: `Record the ${orderItems.STAGE_BY_STATUS[status]} item counts before marking the order ${status}`
+      });
+    }
+
+    // Drivers must attach proof when picking up and completing; admins may
+    if (!proof && req.user.role === 'driver' && orderProofs.PROOF_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Proof is required to mark an order ${status}` });
+    }
+
+    // Stored before the change is saved, and removed again if it is not
+    const files = proof ? await orderProofs.storeFiles(id, status, proof) : [];
+
+    const client = await db.pool.connect();
+    let result;
+    let queuedNotifications;
+    try {
+      await client.query('BEGIN');
+
+      // Update order status, guarding against a concurrent change
+      result = await client.query(
+        'UPDATE orders SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+        [status, id, oldStatus]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        await orderProofs.discardFiles(files);
+        return res.status(409).json({ error: 'Order status changed, please retry' });
+      }
+
+      // Log status change
+      const historyResult = await client.query(
+        `INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [id, oldStatus, status, userId, notes]
+      );
+
+      if (proof) {
+        await orderProofs.record(client, {
+          orderId: id,
+          status,
+          historyId: historyResult.rows[0].id,
+          userId,
+          proof,
+          files
+        });
+      }
+
+      // Queued with the change so a failure after commit cannot lose them
+      queuedNotifications = await notifications.notifyStatusChange(result.rows[0], client);
+      await webhooks.emit(
+        'order.status_changed',
+        { order: result.rows[0], previousStatus: oldStatus },
+        `${id}:${status}`,
+        client
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await orderProofs.discardFiles(files);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    realtime.publishStatusChange(result.rows[0], oldStatus);
+
+    if (queuedNotifications.length > 0) {
+      setImmediate(notifications.processOutbox);
+    }
 
     res.json({
       success: true,
@@ -259,28 +417,173 @@ async function updateOrderStatus(req, res, next) {
 async function updateDriverLocation(req, res, next) {
   try {
     const { id } = req.params;
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, accuracy } = req.body;
 
     // Use Number.isFinite to properly validate numeric coordinates (allows 0)
     if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
       return res.status(400).json({ error: 'Valid latitude and longitude coordinates required' });
     }
 
-    const location = { latitude, longitude, timestamp: new Date().toISOString() };
+    if (accuracy !== undefined && !(Number.isFinite(accuracy) && accuracy >= 0)) {
+      return res.status(400).json({ error: 'accuracy must be a non-negative number of meters' });
+    }
 
-    const result = await db.query(
-      'UPDATE orders SET driver_location = $1 WHERE id = $2 RETURNING *',
-      [JSON.stringify(location), id]
-    );
+    const { userId, order } = await getOrderForDriver(req, id);
 
-    if (result.rows.length === 0) {
+    if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    if (!canModifyOrder(req, order, userId)) {
+      return res.status(403).json({ error: 'Order is not assigned to you' });
+    }
+
+    const result = await driverLocations.recordPing(id, userId, {
+      latitude,
+      longitude,
+      accuracy: accuracy ?? null
+    });
+
+    realtime.publishDriverLocation(result.order);
+
     res.json({
       success: true,
-      order: result.rows[0]
+      order: result.order
     });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    next(error);
+  }
+}
+
+/**
+ * Estimate when the driver reaches the pickup or delivery address.
+ * Available to the order's customer and its assigned driver.
+ */
+async function getOrderEta(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const { userId, order } = await getOrderForDriver(req, id);
+
+    if (!order || !userId || (order.user_id !== userId && order.driver_id !== userId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const eta = await driverLocations.estimateArrival(order);
+
+    res.json({
+      success: true,
+      eta
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List an order's items. Available to the order's customer and its
+ * assigned driver.
+ */
+async function getOrderItems(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const { userId, order } = await getOrderForDriver(req, id);
+
+    if (!order || !userId || (order.user_id !== userId && order.driver_id !== userId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      items: await orderItems.list(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record the items collected at pickup (driver/admin only)
+ */
+async function recordPickupItems(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = pickupItemsSchema.validate(req.body);
+    if (error) throw error;
+
+    const { userId, order } = await getOrderForDriver(req, id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canModifyOrder(req, order, userId)) {
+      return res.status(403).json({ error: 'Order is not assigned to you' });
+    }
+
+    const items = await orderItems.recordPickup(id, value.items, userId);
+
+    res.json({
+      success: true,
+      items
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Count the items again when the order is ready or at delivery
+ * (driver/admin only)
+ */
+async function recordItemCheck(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = itemCheckSchema.validate(req.body);
+    if (error) throw error;
+
+    const { userId, order } = await getOrderForDriver(req, id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canModifyOrder(req, order, userId)) {
+      return res.status(403).json({ error: 'Order is not assigned to you' });
+    }
+
+    const items = await orderItems.recordCheck(id, value.stage, value.counts, userId);
+
+    res.json({
+      success: true,
+      items,
+      mismatch: items.some(item => item.mismatch)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a proof photo or signature of the caller's order
+ */
+async function getProofFile(req, res, next) {
+  try {
+    const { id, fileId } = req.params;
+
+    const { userId, order } = await getOrderForDriver(req, id);
+    const proofFile = order && order.user_id === userId && await orderProofs.getFile(id, fileId);
+
+    if (!proofFile) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(proofFile.file.content_type).send(proofFile.data);
   } catch (error) {
     next(error);
   }
@@ -318,26 +621,73 @@ async function cancelOrder(req, res, next) {
 
     // Check if order can be cancelled
     const order = currentOrder.rows[0];
-    if (['completed', 'cancelled'].includes(order.status)) {
-      return res.status(400).json({ error: 'Order cannot be cancelled' });
+    if (!orderStatus.canTransition(order.status, 'cancelled')) {
+      return res.status(409).json(orderStatus.transitionError(order.status, 'cancelled'));
     }
 
-    // Update to cancelled
-    const result = await db.query(
-      'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
-      ['cancelled', id]
-    );
+    // Cancel and release what the order holds (promo redemption, pickup
+    // slot, membership load) together, so none is left held on failure
+    const client = await db.pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+
+      // Update to cancelled, guarding against a concurrent change
+      result = await client.query(
+        'UPDATE orders SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+        ['cancelled', id, order.status]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Order status changed, please retry' });
+      }
+
+      // Log status change
+      await client.query(
+        `INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, order.status, 'cancelled', userId, 'Cancelled by customer']
+      );
+
+      await promotions.releaseRedemption(id, client);
+      await scheduling.releaseReservation(id, client);
+      await memberships.returnLoad(order, client);
+
+      await webhooks.emit(
+        'order.status_changed',
+        { order: result.rows[0], previousStatus: order.status },
+        `${id}:cancelled`,
+        client
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    // Log status change
-    await db.query(
-      `INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [id, order.status, 'cancelled', userId, 'Cancelled by customer']
-    );
+    realtime.publishStatusChange(result.rows[0], order.status);
+
+    // Refund according to the status the order was cancelled from. The
+    // cancellation stands even if Stripe fails; admins can retry the refund.
+    let issued = [];
+    let refundError;
+    try {
+      issued = await refunds.refundCancelledOrder(id, order.status, userId);
+    } catch (err) {
+      console.error('Cancellation refund failed:', err);
+      refundError = 'Refund could not be processed automatically';
+    }
 
     res.json({
       success: true,
-      order: result.rows[0]
+      order: result.rows[0],
+      refund: issued.length > 0 ? issued[0].refund : null,
+      refunds: issued.map(r => r.refund),
+      ...(refundError && { refundError })
     });
   } catch (error) {
     next(error);
@@ -348,8 +698,14 @@ module.exports = {
   createOrder,
   getUserOrders,
   getOrderById,
+  modifyOrder,
   updateOrderStatus,
   updateDriverLocation,
+  getOrderEta,
+  getOrderItems,
+  recordPickupItems,
+  recordItemCheck,
+  getProofFile,
   cancelOrder
 };
 
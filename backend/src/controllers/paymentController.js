@@ -1,25 +1,120 @@
 const db = require('../config/database');
-const Stripe = require('stripe');
-const { clerkClient } = require('@clerk/clerk-sdk-node');
+const stripe = require('../config/stripe');
 const Joi = require('joi');
+const refunds = require('../services/refunds');
+const stripeCustomers = require('../services/stripeCustomers');
+const stripeEvents = require('../services/stripeEvents');
+const { PAYMENT_STATUS_BY_INTENT, syncPaymentIntent, chargeDefinitelyFailed } = require('../services/payments');
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-// Validation schema
+// Validation schemas
 const paymentSchema = Joi.object({
   orderId: Joi.string().uuid().required(),
-  paymentMethodId: Joi.string().required()
+  paymentMethodId: Joi.string()
+});
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2),
+  reason: Joi.string().allow('').max(500)
+});
+
+const confirmSchema = Joi.object({
+  paymentIntentId: Joi.string().required()
 });
 
+// Payments still waiting on Stripe
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'processing'];
+
+/**
+ * Response body for a payment and its PaymentIntent.
+ * When the card needs 3-D Secure, the app completes authentication with
+ * the client secret and then calls POST /api/payments/confirm.
+ */
+function paymentResponse(payment, intent) {
+  return {
+    success: true,
+    payment,
+    clientSecret: intent.client_secret,
+    requiresAction: intent.status === 'requires_action',
+    nextAction: intent.next_action?.type || null
+  };
+}
+
+/**
+ * Lock the order and find the payment attempt to charge it with: its
+ * open attempt if it has one, otherwise a new pending payment, recorded
+ * before Stripe is called so the charge always has a row and a stable
+ * idempotency key. The lock is released before Stripe is called.
+ * Resolves with `{ reply }` when the order cannot be charged.
+ */
+async function startAttempt({ orderId, userId, paymentMethodId }) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [orderId, userId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { reply: { status: 404, body: { error: 'Order not found' } } };
+    }
+
+    const order = orderResult.rows[0];
+
+    // Covered in full by a membership load
+    if (parseFloat(order.price) === 0) {
+      await client.query('ROLLBACK');
+      return { reply: { status: 400, body: { error: 'Order has nothing to pay' } } };
+    }
+
+    // Check if payment already exists
+    const existingPayment = await client.query(
+      `SELECT * FROM payments
+       WHERE order_id = $1 AND status IN ('completed', 'refunded', 'pending', 'requires_action', 'processing')
+       ORDER BY created_at DESC`,
+      [orderId]
+    );
+
+    if (existingPayment.rows.some(p => !OPEN_PAYMENT_STATUSES.includes(p.status))) {
+      await client.query('ROLLBACK');
+      return { reply: { status: 400, body: { error: 'Order already paid' } } };
+    }
+
+    if (existingPayment.rows.length > 0) {
+      await client.query('COMMIT');
+      return { payment: existingPayment.rows[0] };
+    }
+
+    const paymentResult = await client.query(
+      `INSERT INTO payments (order_id, user_id, amount, status, payment_method_id)
+       VALUES ($1, $2, $3, 'pending', $4)
+       RETURNING *`,
+      [orderId, userId, order.price, paymentMethodId]
+    );
+
+    await client.query('COMMIT');
+    return { payment: paymentResult.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Process payment for an order
  */
 async function processPayment(req, res, next) {
+  let payment;
+
   try {
     const { error, value } = paymentSchema.validate(req.body);
     if (error) throw error;
 
-    const { orderId, paymentMethodId } = value;
+    const { orderId } = value;
     const clerkId = req.user.clerkId;
 
     // Get user
@@ -34,104 +129,110 @@ async function processPayment(req, res, next) {
 
     const userId = userResult.rows[0].id;
 
-    // Get order
-    const orderResult = await db.query(
-      'SELECT * FROM orders WHERE id = $1 AND user_id = $2',
-      [orderId, userId]
-    );
+    const customerId = await stripeCustomers.getOrCreateCustomerId({
+      userId,
+      clerkId,
+      email: req.user.email
+    });
 
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    // Fall back to the customer's default card
+    const paymentMethodId = value.paymentMethodId ||
+      await stripeCustomers.getDefaultPaymentMethodId(customerId);
+
+    if (!paymentMethodId) {
+      return res.status(400).json({ error: 'No payment method provided and no default payment method saved' });
     }
 
-    const order = orderResult.rows[0];
+    let attempt = await startAttempt({ orderId, userId, paymentMethodId });
 
-    // Check if payment already exists
-    const existingPayment = await db.query(
-      'SELECT * FROM payments WHERE order_id = $1 AND status = $2',
-      [orderId, 'completed']
-    );
+    // Resume an open intent instead of creating a second one
+    if (attempt.payment?.stripe_payment_intent_id) {
+      const intent = await stripe.paymentIntents.retrieve(attempt.payment.stripe_payment_intent_id);
+      const synced = await syncPaymentIntent(intent);
 
-    if (existingPayment.rows.length > 0) {
-      return res.status(400).json({ error: 'Order already paid' });
+      if (!['requires_payment_method', 'canceled'].includes(intent.status)) {
+        return res.json(paymentResponse(synced || attempt.payment, intent));
+      }
+
+      // The old intent can no longer succeed; it is now failed/canceled, charge again
+      attempt = await startAttempt({ orderId, userId, paymentMethodId });
+
+      if (attempt.payment?.stripe_payment_intent_id) {
+        return res.status(409).json({ error: 'A payment for this order is already in progress' });
+      }
     }
 
-    // Get Clerk user to retrieve Stripe customer ID
-    const clerkUser = await clerkClient.users.getUser(clerkId);
-    let customerId = clerkUser.publicMetadata?.stripeCustomerId;
+    if (attempt.reply) {
+      return res.status(attempt.reply.status).json(attempt.reply.body);
+    }
 
-    // Create Stripe customer if doesn't exist
-    if (!customerId) {
-      const customer = await stripe.customers.create({
-        email: req.user.email,
+    payment = attempt.payment;
+
+    // Keyed on the attempt, so a retry of an attempt whose outcome is
+    // unknown gets the same intent back instead of charging twice. A
+    // retried attempt is charged as it was recorded.
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(parseFloat(payment.amount) * 100),
+        currency: 'usd',
+        customer: customerId,
+        payment_method: payment.payment_method_id,
+        confirm: true,
+        automatic_payment_methods: {
+          enabled: true,
+          allow_redirects: 'never'
+        },
         metadata: {
-          clerkId: clerkId
+          orderId: orderId,
+          userId: userId,
+          clerkId: clerkId,
+          paymentId: payment.id
         }
-      });
-      customerId = customer.id;
-
-      // Store customer ID in Clerk metadata
-      await clerkClient.users.updateUserMetadata(clerkId, {
-        publicMetadata: {
-          ...(clerkUser.publicMetadata || {}),
-          stripeCustomerId: customerId
-        }
-      });
-    }
-
-    // Create payment intent
-    const amountInCents = Math.round(parseFloat(order.price) * 100);
-    
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd',
-      customer: customerId,
-      payment_method: paymentMethodId,
-      confirm: true,
-      automatic_payment_methods: {
-        enabled: true,
-        allow_redirects: 'never'
-      },
-      metadata: {
-        orderId: orderId,
-        userId: userId,
-        clerkId: clerkId
+      }, { idempotencyKey: `charge:${orderId}:${payment.id}` });
+    } catch (stripeError) {
+      if (chargeDefinitelyFailed(stripeError)) {
+        await db.query(
+          `UPDATE payments
+           SET status = 'failed',
+               stripe_payment_intent_id = COALESCE($1, stripe_payment_intent_id),
+               error_message = $2
+           WHERE id = $3`,
+          [stripeError.payment_intent?.id || null, stripeError.message, payment.id]
+        );
+      } else if (stripeError.statusCode === 409) {
+        return res.status(409).json({ error: 'A payment for this order is already in progress' });
       }
-    });
+      throw stripeError;
+    }
 
-    // Create payment record
     const paymentResult = await db.query(
-      `INSERT INTO payments (
-        order_id,
-        user_id,
-        stripe_payment_id,
-        stripe_payment_intent_id,
-        amount,
-        status,
-        payment_method_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *`,
+      `UPDATE payments
+       SET stripe_payment_intent_id = $1,
+           stripe_payment_id = $2,
+           status = $3
+       WHERE id = $4 AND status NOT IN ('completed', 'refunded')
+       RETURNING *`,
       [
-        orderId,
-        userId,
-        paymentIntent.charges?.data?.[0]?.id || null, // Charge ID from the payment intent
         paymentIntent.id, // Payment Intent ID
-        order.price,
-        paymentIntent.status === 'succeeded' ? 'completed' : 'pending',
-        paymentMethodId
+        paymentIntent.latest_charge || null, // Charge ID from the payment intent
+        PAYMENT_STATUS_BY_INTENT[paymentIntent.status] || 'pending',
+        payment.id
       ]
     );
 
-    res.json({
-      success: true,
-      payment: paymentResult.rows[0],
-      clientSecret: paymentIntent.client_secret
-    });
+    payment = paymentResult.rows[0] || payment;
+
+    // Apply webhook events that arrived before the payment had its intent
+    stripeEvents.retryUnmatched(paymentIntent.id)
+      .catch(error => console.error('Failed to retry Stripe events:', error));
+
+    res.json(paymentResponse(payment, paymentIntent));
   } catch (error) {
     console.error('Payment error:', error);
     
-    // Log failed payment
-    if (req.body.orderId) {
+    // Log failed payment; an attempt that was recorded is updated instead
+    if (req.body.orderId && !payment) {
       try {
         const userResult = await db.query(
           'SELECT id FROM users WHERE clerk_id = $1',
@@ -161,6 +262,44 @@ async function processPayment(req, res, next) {
   }
 }
 
+/**
+ * Confirm a payment after the app has completed 3-D Secure authentication
+ */
+async function confirmPayment(req, res, next) {
+  try {
+    const { error, value } = confirmSchema.validate(req.body);
+    if (error) throw error;
+
+    const { paymentIntentId } = value;
+
+    // Get the payment, making sure it belongs to the caller
+    const paymentResult = await db.query(
+      `SELECT p.*
+       FROM payments p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.stripe_payment_intent_id = $1 AND u.clerk_id = $2`,
+      [paymentIntentId, req.user.clerkId]
+    );
+
+    if (paymentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    let intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    // Authentication done on the device may leave the intent awaiting confirmation
+    if (intent.status === 'requires_confirmation') {
+      intent = await stripe.paymentIntents.confirm(paymentIntentId);
+    }
+
+    const payment = await syncPaymentIntent(intent) || paymentResult.rows[0];
+
+    res.json(paymentResponse(payment, intent));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get payment details by order ID
  */
@@ -191,9 +330,15 @@ async function getPaymentByOrderId(req, res, next) {
       return res.status(404).json({ error: 'Payment not found' });
     }
 
+    const refundsResult = await db.query(
+      'SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at DESC',
+      [orderId]
+    );
+
     res.json({
       success: true,
-      payment: result.rows[0]
+      payment: result.rows[0],
+      refunds: refundsResult.rows
     });
   } catch (error) {
     next(error);
@@ -234,6 +379,36 @@ async function getUserPayments(req, res, next) {
   }
 }
 
+/**
+ * Refund a payment in full or in part (admin only)
+ */
+async function refundPayment(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) throw error;
+
+    const adminResult = await db.query(
+      'SELECT id FROM users WHERE clerk_id = $1',
+      [req.user.clerkId]
+    );
+
+    const result = await refunds.refundPayment(id, {
+      amount: value.amount ?? null,
+      reason: value.reason || null,
+      initiatedBy: adminResult.rows[0]?.id || null
+    });
+
+    res.json({
+      success: true,
+      refund: result.refund,
+      payment: result.payment
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Stripe webhook handler
  */
@@ -251,37 +426,10 @@ async function stripeWebhook(req, res, next) {
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        
-        // Update payment status
-        await db.query(
-          'UPDATE payments SET status = $1 WHERE stripe_payment_intent_id = $2',
-          ['completed', paymentIntent.id]
-        );
-        
-        console.log('PaymentIntent succeeded:', paymentIntent.id);
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedIntent = event.data.object;
-        
-        // Update payment status
-        await db.query(
-          `UPDATE payments 
-           SET status = $1, error_message = $2 
-           WHERE stripe_payment_intent_id = $3`,
-          ['failed', failedIntent.last_payment_error?.message, failedIntent.id]
-        );
-        
-        console.log('PaymentIntent failed:', failedIntent.id);
-        break;
-
-      default:
-        console.log(`Unhandled event type ${event.type}`);
-    }
+    // Store the event before acting on it, so Stripe retries are
+    // recognised and events we cannot match yet are kept for later
+    await stripeEvents.record(event);
+    await stripeEvents.processEvent(event.id);
 
     res.json({ received: true });
   } catch (error) {
@@ -291,8 +439,10 @@ async function stripeWebhook(req, res, next) {
 
 module.exports = {
   processPayment,
+  confirmPayment,
   getPaymentByOrderId,
   getUserPayments,
+  refundPayment,
   stripeWebhook
 };
 
@@ -0,0 +1,214 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const Joi = require('joi');
+const stripeCustomers = require('../services/stripeCustomers');
+
+// Validation schema
+const attachSchema = Joi.object({
+  paymentMethodId: Joi.string().required(),
+  setDefault: Joi.boolean().default(false)
+});
+
+/**
+ * Resolve the caller's user ID and Stripe customer ID
+ */
+async function getCustomer(req) {
+  const userResult = await db.query(
+    'SELECT id FROM users WHERE clerk_id = $1',
+    [req.user.clerkId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const customerId = await stripeCustomers.getOrCreateCustomerId({
+    userId: userResult.rows[0].id,
+    clerkId: req.user.clerkId,
+    email: req.user.email
+  });
+
+  return { userId: userResult.rows[0].id, customerId };
+}
+
+/**
+ * Fetch a payment method, or null if it is not attached to the customer
+ */
+async function getOwnedPaymentMethod(customerId, paymentMethodId) {
+  try {
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    return paymentMethod.customer === customerId ? paymentMethod : null;
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function formatPaymentMethod(paymentMethod, defaultId) {
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card?.brand,
+    last4: paymentMethod.card?.last4,
+    expMonth: paymentMethod.card?.exp_month,
+    expYear: paymentMethod.card?.exp_year,
+    isDefault: paymentMethod.id === defaultId
+  };
+}
+
+/**
+ * List saved cards
+ */
+async function listPaymentMethods(req, res, next) {
+  try {
+    const customer = await getCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const paymentMethods = await stripe.customers.listPaymentMethods(
+      customer.customerId,
+      { type: 'card' }
+    );
+    const defaultId = await stripeCustomers.getDefaultPaymentMethodId(customer.customerId);
+
+    res.json({
+      success: true,
+      paymentMethods: paymentMethods.data.map(pm => formatPaymentMethod(pm, defaultId))
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Start adding a card. The app confirms the SetupIntent with the Stripe SDK,
+ * which saves the card to the customer.
+ */
+async function createSetupIntent(req, res, next) {
+  try {
+    const customer = await getCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customer.customerId,
+      usage: 'off_session',
+      payment_method_types: ['card'],
+      metadata: {
+        userId: customer.userId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      setupIntentId: setupIntent.id,
+      clientSecret: setupIntent.client_secret
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Attach a payment method created on the device
+ */
+async function attachPaymentMethod(req, res, next) {
+  try {
+    const { error, value } = attachSchema.validate(req.body);
+    if (error) throw error;
+
+    const customer = await getCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const paymentMethod = await stripe.paymentMethods.attach(value.paymentMethodId, {
+      customer: customer.customerId
+    });
+
+    let defaultId = await stripeCustomers.getDefaultPaymentMethodId(customer.customerId);
+
+    // The first card becomes the default automatically
+    if (value.setDefault || !defaultId) {
+      await stripe.customers.update(customer.customerId, {
+        invoice_settings: { default_payment_method: paymentMethod.id }
+      });
+      defaultId = paymentMethod.id;
+    }
+
+    res.status(201).json({
+      success: true,
+      paymentMethod: formatPaymentMethod(paymentMethod, defaultId)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Make a saved card the default
+ */
+async function setDefaultPaymentMethod(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const customer = await getCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const paymentMethod = await getOwnedPaymentMethod(customer.customerId, id);
+    if (!paymentMethod) {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+
+    await stripe.customers.update(customer.customerId, {
+      invoice_settings: { default_payment_method: paymentMethod.id }
+    });
+
+    res.json({
+      success: true,
+      paymentMethod: formatPaymentMethod(paymentMethod, paymentMethod.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a saved card
+ */
+async function removePaymentMethod(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const customer = await getCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const paymentMethod = await getOwnedPaymentMethod(customer.customerId, id);
+    if (!paymentMethod) {
+      return res.status(404).json({ error: 'Payment method not found' });
+    }
+
+    await stripe.paymentMethods.detach(paymentMethod.id);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listPaymentMethods,
+  createSetupIntent,
+  attachPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod
+};
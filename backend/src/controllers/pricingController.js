@@ -1,48 +1,22 @@
 const Joi = require('joi');
+const pricing = require('../services/pricing');
+const promotions = require('../services/promotions');
+const serviceAreas = require('../services/serviceAreas');
 
-// Pricing tiers
-const PRICING_TIERS = {
-  standard: {
-    name: 'Standard',
-    basePrice: 25.00,
-    description: '3-5 business days',
-    features: [
-      'Wash and fold',
-      'Basic detergent',
-      'Standard packaging'
-    ]
-  },
-  express: {
-    name: 'Express',
-    basePrice: 40.00,
-    description: '24-48 hours',
-    features: [
-      'Wash and fold',
-      'Premium detergent',
-      'Next-day delivery',
-      'Eco-friendly packaging'
-    ]
-  },
-  premium: {
-    name: 'Premium',
-    basePrice: 60.00,
-    description: 'Same day delivery',
-    features: [
-      'Wash and fold',
-      'Luxury detergent',
-      'Same-day delivery',
-      'Hand washing available',
-      'Premium packaging',
-      'Stain treatment included'
-    ]
-  }
-};
+// Validation schemas
+const locationSchema = Joi.object({
+  zipCode: Joi.string().trim().max(10),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+}).and('latitude', 'longitude').or('zipCode', 'latitude');
 
-// Validation schema
 const calculatePriceSchema = Joi.object({
   serviceType: Joi.string().valid('standard', 'express', 'premium').required(),
   itemCount: Joi.number().integer().min(0).default(0),
-  addons: Joi.array().items(Joi.string()).default([])
+  weightLbs: Joi.number().positive().precision(2),
+  addons: Joi.array().items(Joi.string()).default([]),
+  promoCode: Joi.string().trim().max(50),
+  pickupAddress: locationSchema.unknown(true)
 });
 
 /**
@@ -53,51 +27,45 @@ async function calculatePrice(req, res, next) {
     const { error, value } = calculatePriceSchema.validate(req.body);
     if (error) throw error;
 
-    const { serviceType, itemCount, addons } = value;
+    const { promoCode, pickupAddress, ...options } = value;
+    let quote = await pricing.quote(options);
 
-    // Get base price
-    const tier = PRICING_TIERS[serviceType];
-    if (!tier) {
-      return res.status(400).json({ error: 'Invalid service type' });
+    // Area pricing applies once the pickup address is known
+    if (pickupAddress) {
+      const serviceArea = await serviceAreas.findServiceArea(pickupAddress);
+      if (!serviceArea) {
+        return res.status(400).json({ error: 'We do not serve this area yet' });
+      }
+      quote = serviceAreas.applyAreaPricing(quote, serviceArea);
     }
 
-    let totalPrice = tier.basePrice;
-
-    // Add per-item charges (if applicable)
-    // For now, using a simple model where the base price covers standard loads
-    // Can be extended to charge per item
-
-    // Add addon charges
-    const addonPrices = {
-      'stain_treatment': 10.00,
-      'delicate_care': 15.00,
-      'ironing': 20.00,
-      'dry_cleaning': 25.00
-    };
+    // Preview only: per-user limits are checked when the order is created
+    if (promoCode) {
+      const promo = await promotions.validatePromoCode(promoCode, { subtotal: quote.totalPrice });
+      quote = promotions.applyDiscount(quote, promo.promoCode, promo.discount);
+    }
 
-    addons.forEach(addon => {
-      if (addonPrices[addon]) {
-        totalPrice += addonPrices[addon];
-      }
+    res.json({
+      success: true,
+      pricing: quote
     });
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Round to 2 decimal places
-    totalPrice = Math.round(totalPrice * 100) / 100;
+/**
+ * Get all pricing tiers
+ */
+async function getPricingTiers(req, res, next) {
+  try {
+    const tiers = await pricing.getTiers();
+    const addons = await pricing.getAddons();
 
     res.json({
       success: true,
-      pricing: {
-        serviceType: serviceType,
-        serviceName: tier.name,
-        basePrice: tier.basePrice,
-        addons: addons.map(addon => ({
-          name: addon,
-          price: addonPrices[addon] || 0
-        })),
-        totalPrice: totalPrice,
-        description: tier.description,
-        features: tier.features
-      }
+      tiers,
+      addons
     });
   } catch (error) {
     next(error);
@@ -105,17 +73,27 @@ async function calculatePrice(req, res, next) {
 }
 
 /**
- * Get all pricing tiers
+ * Check whether an address is inside a service area
  */
-async function getPricingTiers(req, res) {
-  res.json({
-    success: true,
-    tiers: PRICING_TIERS
-  });
+async function checkCoverage(req, res, next) {
+  try {
+    const { error, value } = locationSchema.validate(req.query);
+    if (error) throw error;
+
+    const serviceArea = await serviceAreas.findServiceArea(value);
+
+    res.json({
+      success: true,
+      covered: Boolean(serviceArea),
+      serviceArea: serviceArea ? serviceAreas.formatServiceArea(serviceArea) : null
+    });
+  } catch (error) {
+    next(error);
+  }
 }
 
 module.exports = {
   calculatePrice,
-  getPricingTiers
+  getPricingTiers,
+  checkCoverage
 };
-
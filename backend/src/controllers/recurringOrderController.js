@@ -0,0 +1,187 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const recurringOrders = require('../services/recurringOrders');
+
+/**
+ * Reject YYYY-MM-DD strings that are not calendar dates, e.g. 2026-02-30
+ */
+function calendarDate(value, helpers) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return helpers.error('string.pattern.base');
+  }
+
+  return value;
+}
+
+// Validation schemas
+const createRecurringOrderSchema = Joi.object({
+  frequency: Joi.string().valid(...recurringOrders.FREQUENCIES).required(),
+  startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom(calendarDate).required()
+    .messages({ 'string.pattern.base': 'startDate must be a date (YYYY-MM-DD)' }),
+  pickupTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+    .messages({ 'string.pattern.base': 'pickupTime must be a local time (HH:MM)' }),
+  addressIndex: Joi.number().integer().min(0).required(),
+  deliveryAddressIndex: Joi.number().integer().min(0),
+  serviceType: Joi.string().valid('standard', 'express', 'premium').required(),
+  itemCount: Joi.number().integer().min(0).default(0),
+  weightLbs: Joi.number().positive().precision(2),
+  addons: Joi.array().items(Joi.string()).unique().default([]),
+  notes: Joi.string().allow('').max(500),
+  autoCharge: Joi.boolean().default(false)
+});
+
+/**
+ * The caller's user ID
+ */
+async function getUserId(req) {
+  const result = await db.query(
+    'SELECT id FROM users WHERE clerk_id = $1',
+    [req.user.clerkId]
+  );
+
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Create a recurring pickup
+ */
+async function createRecurringOrder(req, res, next) {
+  try {
+    const { error, value } = createRecurringOrderSchema.validate(req.body);
+    if (error) throw error;
+
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(404).json({ error: 'User profile not found. Please complete your profile first.' });
+    }
+
+    const recurringOrder = await recurringOrders.create(userId, value);
+
+    res.status(201).json({
+      success: true,
+      recurringOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the caller's active and paused recurring pickups
+ */
+async function getRecurringOrders(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.json({ success: true, recurringOrders: [] });
+    }
+
+    res.json({
+      success: true,
+      recurringOrders: await recurringOrders.list(userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a recurring pickup with its upcoming and past pickups
+ */
+async function getRecurringOrderById(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    const recurringOrder = userId && await recurringOrders.get(userId, req.params.id);
+
+    if (!recurringOrder) {
+      return res.status(404).json({ error: 'Recurring order not found' });
+    }
+
+    res.json({
+      success: true,
+      recurringOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Pause a recurring pickup
+ */
+async function pauseRecurringOrder(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    const recurringOrder = await recurringOrders.pause(userId, req.params.id);
+
+    res.json({
+      success: true,
+      recurringOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resume a paused recurring pickup
+ */
+async function resumeRecurringOrder(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    const recurringOrder = await recurringOrders.resume(userId, req.params.id);
+
+    res.json({
+      success: true,
+      recurringOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Skip the next pickup that has no order yet
+ */
+async function skipPickup(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    const { recurrence, skipped } = await recurringOrders.skip(userId, req.params.id);
+
+    res.json({
+      success: true,
+      recurringOrder: recurrence,
+      skipped
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel a recurring pickup; orders already created are kept
+ */
+async function cancelRecurringOrder(req, res, next) {
+  try {
+    const userId = await getUserId(req);
+    const recurringOrder = await recurringOrders.cancel(userId, req.params.id);
+
+    res.json({
+      success: true,
+      recurringOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createRecurringOrder,
+  getRecurringOrders,
+  getRecurringOrderById,
+  pauseRecurringOrder,
+  resumeRecurringOrder,
+  skipPickup,
+  cancelRecurringOrder
+};
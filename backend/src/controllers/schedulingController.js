@@ -0,0 +1,99 @@
+const db = require('../config/database');
+const Joi = require('joi');
+const scheduling = require('../services/scheduling');
+const serviceAreas = require('../services/serviceAreas');
+
+// Validation schemas
+const slotsSchema = Joi.object({
+  zipCode: Joi.string(),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  serviceAreaId: Joi.string().uuid(),
+  from: Joi.date().iso(),
+  days: Joi.number().integer().min(1).max(14).default(7),
+  serviceType: Joi.string().valid('standard', 'express', 'premium')
+})
+  .and('latitude', 'longitude')
+  .or('zipCode', 'latitude', 'serviceAreaId')
+  .oxor('serviceAreaId', 'zipCode')
+  .oxor('serviceAreaId', 'latitude');
+
+const estimateSchema = Joi.object({
+  serviceType: Joi.string().valid('standard', 'express', 'premium').required(),
+  pickupTime: Joi.date().iso().required()
+});
+
+/**
+ * List bookable pickup slots for an address (zip code and/or coordinates)
+ * or a service area
+ */
+async function getAvailableSlots(req, res, next) {
+  try {
+    const { error, value } = slotsSchema.validate(req.query);
+    if (error) throw error;
+
+    let serviceArea;
+    if (!value.serviceAreaId) {
+      serviceArea = await serviceAreas.findServiceArea(value);
+    } else {
+      const result = await db.query(
+        'SELECT * FROM service_areas WHERE id = $1 AND is_active = TRUE',
+        [value.serviceAreaId]
+      );
+      serviceArea = result.rows[0];
+    }
+
+    if (!serviceArea) {
+      return res.status(404).json({ error: 'We do not serve this area yet' });
+    }
+
+    const slots = await scheduling.getAvailableSlots(serviceArea.id, {
+      from: value.from,
+      days: value.days
+    });
+
+    // Optionally attach the delivery window for each slot
+    if (value.serviceType) {
+      const turnaround = await scheduling.getTurnaround(value.serviceType);
+      slots.forEach(slot => {
+        slot.estimatedDelivery = scheduling.deliveryWindow(turnaround, slot.end);
+      });
+    }
+
+    res.json({
+      success: true,
+      serviceArea: {
+        id: serviceArea.id,
+        name: serviceArea.name,
+        timezone: serviceArea.timezone
+      },
+      slots
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Estimate the delivery window for a service type and pickup time
+ */
+async function getDeliveryEstimate(req, res, next) {
+  try {
+    const { error, value } = estimateSchema.validate(req.query);
+    if (error) throw error;
+
+    const estimatedDelivery = await scheduling.estimateDelivery(value.serviceType, value.pickupTime);
+
+    res.json({
+      success: true,
+      estimatedDelivery
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getAvailableSlots,
+  getDeliveryEstimate
+};
@@ -10,10 +10,21 @@ const authRoutes = require('./routes/auth');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
 const pricingRoutes = require('./routes/pricing');
+const dispatchRoutes = require('./routes/dispatch');
+const adminRoutes = require('./routes/admin');
+const schedulingRoutes = require('./routes/scheduling');
+const recurringOrderRoutes = require('./routes/recurringOrders');
+const membershipRoutes = require('./routes/memberships');
 
 // Import middleware
 const { verifyClerkToken } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
+const realtime = require('./services/realtime');
+const driverLocations = require('./services/driverLocations');
+const notifications = require('./services/notifications');
+const webhooks = require('./services/webhooks');
+const stripeEvents = require('./services/stripeEvents');
+const recurringOrders = require('./services/recurringOrders');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,8 +54,16 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing (applied after webhook route to avoid parsing webhook body)
-app.use(express.json());
+// Body parsing (applied after webhook route to avoid parsing webhook body).
+// Order status updates may carry proof photos, so the order routes parse
+// them with a larger limit, and only once the caller is a driver or admin.
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'PUT' && /^\/api\/orders\/[^/]+\/?$/.test(req.path)) {
+    return next();
+  }
+  return jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -55,8 +74,13 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', verifyClerkToken, orderRoutes);
+app.use('/api/recurring-orders', verifyClerkToken, recurringOrderRoutes);
+app.use('/api/memberships', verifyClerkToken, membershipRoutes);
 app.use('/api/payments', verifyClerkToken, paymentRoutes);
 app.use('/api/pricing', pricingRoutes);
+app.use('/api/scheduling', schedulingRoutes);
+app.use('/api/dispatch', verifyClerkToken, dispatchRoutes);
+app.use('/api/admin', verifyClerkToken, adminRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -67,10 +91,28 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Happy Launderer API running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Real-time order updates share the HTTP server
+realtime.attach(server);
+
+// Prune driver location history of finished orders
+driverLocations.startRetentionJob();
+
+// Deliver queued customer notifications
+notifications.startWorker();
+
+// Deliver queued partner webhooks
+webhooks.startWorker();
+
+// Retry Stripe events that could not be applied yet
+stripeEvents.startWorker();
+
+// Create orders for upcoming recurring pickups
+recurringOrders.startScheduler();
+
 module.exports = app;
 
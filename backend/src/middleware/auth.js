@@ -1,5 +1,29 @@
 const { clerkClient } = require('@clerk/clerk-sdk-node');
 
+/**
+ * Verify a Clerk session token and load the user it belongs to.
+ * Shared by the HTTP middleware and the WebSocket server.
+ * Returns null if the session is not valid.
+ */
+async function authenticateToken(token) {
+  // Verify the session token with Clerk
+  const session = await clerkClient.sessions.verifySession(token);
+
+  if (!session) {
+    return null;
+  }
+
+  // Get user details from Clerk
+  const user = await clerkClient.users.getUser(session.userId);
+
+  return {
+    clerkId: user.id,
+    email: user.emailAddresses[0]?.emailAddress,
+    firstName: user.firstName,
+    lastName: user.lastName
+  };
+}
+
 /**
  * Middleware to verify Clerk authentication token
  */
@@ -14,23 +38,14 @@ async function verifyClerkToken(req, res, next) {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     try {
-      // Verify the session token with Clerk
-      const session = await clerkClient.sessions.verifySession(token);
-      
-      if (!session) {
+      const user = await authenticateToken(token);
+
+      if (!user) {
         return res.status(401).json({ error: 'Invalid session' });
       }
 
-      // Get user details from Clerk
-      const user = await clerkClient.users.getUser(session.userId);
-      
       // Attach user info to request
-      req.user = {
-        clerkId: user.id,
-        email: user.emailAddresses[0]?.emailAddress,
-        firstName: user.firstName,
-        lastName: user.lastName
-      };
+      req.user = user;
 
       next();
     } catch (clerkError) {
@@ -54,6 +69,7 @@ async function requireAdmin(req, res, next) {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
+    req.user.role = 'admin';
     next();
   } catch (error) {
     console.error('Admin check error:', error);
@@ -73,6 +89,7 @@ async function requireDriver(req, res, next) {
       return res.status(403).json({ error: 'Driver access required' });
     }
 
+    req.user.role = role;
     next();
   } catch (error) {
     console.error('Driver check error:', error);
@@ -81,6 +98,7 @@ async function requireDriver(req, res, next) {
 }
 
 module.exports = {
+  authenticateToken,
   verifyClerkToken,
   requireAdmin,
   requireDriver
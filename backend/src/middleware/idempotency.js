@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// In-progress keys older than this are treated as abandoned and can be retried
+const LOCK_TIMEOUT_MINUTES = 5;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Middleware implementing the Idempotency-Key header.
+ * The first request with a key runs normally and its response is stored;
+ * repeats with the same key and body get the stored response back.
+ * Server errors (5xx) are not stored so the request can be retried.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const clerkId = req.user.clerkId;
+    const requestHash = hashRequest(req);
+
+    // Reserve the key, or take over one whose request never finished
+    const reserved = await db.query(
+      `INSERT INTO idempotency_keys (clerk_id, idempotency_key, request_path, request_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (clerk_id, idempotency_key) DO UPDATE
+         SET locked_at = CURRENT_TIMESTAMP
+         WHERE idempotency_keys.status = 'in_progress'
+           AND idempotency_keys.request_hash = EXCLUDED.request_hash
+           AND idempotency_keys.locked_at < CURRENT_TIMESTAMP - INTERVAL '${LOCK_TIMEOUT_MINUTES} minutes'
+       RETURNING *`,
+      [clerkId, key, req.originalUrl, requestHash]
+    );
+
+    if (reserved.rows.length === 0) {
+      const existing = await db.query(
+        'SELECT * FROM idempotency_keys WHERE clerk_id = $1 AND idempotency_key = $2',
+        [clerkId, key]
+      );
+      const record = existing.rows[0];
+
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    req.idempotencyKey = key;
+
+    // Capture the response so it can be replayed
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      const save = statusCode >= 500
+        ? db.query(
+          'DELETE FROM idempotency_keys WHERE clerk_id = $1 AND idempotency_key = $2',
+          [clerkId, key]
+        )
+        : db.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed',
+               response_status = $1,
+               response_body = $2,
+               completed_at = CURRENT_TIMESTAMP
+           WHERE clerk_id = $3 AND idempotency_key = $4`,
+          [statusCode, JSON.stringify(body), clerkId, key]
+        );
+
+      save.catch(err => console.error('Failed to store idempotent response:', err));
+
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = idempotency;
@@ -14,22 +14,30 @@ CREATE TABLE IF NOT EXISTS users (
 CREATE INDEX IF NOT EXISTS idx_users_clerk_id ON users(clerk_id);
 
 -- Create order status enum type
-CREATE TYPE order_status AS ENUM (
-    'pending',
-    'picked_up',
-    'in_laundry',
-    'ready',
-    'out_for_delivery',
-    'completed',
-    'cancelled'
-);
+DO $$ BEGIN
+    CREATE TYPE order_status AS ENUM (
+        'pending',
+        'picked_up',
+        'in_laundry',
+        'ready',
+        'out_for_delivery',
+        'completed',
+        'cancelled'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
 
 -- Create service type enum
-CREATE TYPE service_type AS ENUM (
-    'standard',
-    'express',
-    'premium'
-);
+DO $$ BEGIN
+    CREATE TYPE service_type AS ENUM (
+        'standard',
+        'express',
+        'premium'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
 
 -- Create orders table
 CREATE TABLE IF NOT EXISTS orders (
@@ -56,12 +64,16 @@ CREATE INDEX IF NOT EXISTS idx_orders_driver_id ON orders(driver_id);
 CREATE INDEX IF NOT EXISTS idx_orders_scheduled_time ON orders(scheduled_time);
 
 -- Create payment status enum
-CREATE TYPE payment_status AS ENUM (
-    'pending',
-    'completed',
-    'failed',
-    'refunded'
-);
+DO $$ BEGIN
+    CREATE TYPE payment_status AS ENUM (
+        'pending',
+        'completed',
+        'failed',
+        'refunded'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
 
 -- Create payments table
 CREATE TABLE IF NOT EXISTS payments (
@@ -93,12 +105,15 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers for updated_at
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_orders_updated_at ON orders;
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -0,0 +1,18 @@
+-- Drivers are regular users with the "driver" role in Clerk metadata
+DO $$ BEGIN
+    ALTER TABLE orders
+        ADD CONSTRAINT fk_orders_driver_id
+        FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE SET NULL;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+
+-- Assignment changes are logged alongside status changes
+ALTER TABLE order_status_history ADD COLUMN IF NOT EXISTS driver_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Speeds up the "unassigned pending orders" lookup for drivers
+CREATE INDEX IF NOT EXISTS idx_orders_unassigned
+    ON orders(scheduled_time)
+    WHERE driver_id IS NULL AND status = 'pending';
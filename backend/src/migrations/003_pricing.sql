@@ -0,0 +1,106 @@
+-- How a tier charges beyond its base price
+DO $$ BEGIN
+    CREATE TYPE pricing_rate_type AS ENUM (
+        'flat',
+        'per_item',
+        'per_pound'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Service tiers (one row per service_type)
+CREATE TABLE IF NOT EXISTS pricing_tiers (
+    service_type service_type PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    base_price DECIMAL(10, 2) NOT NULL CHECK (base_price >= 0),
+    rate_type pricing_rate_type NOT NULL DEFAULT 'flat',
+    unit_price DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (unit_price >= 0),
+    included_units DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (included_units >= 0),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pricing_tier_features (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    service_type service_type NOT NULL REFERENCES pricing_tiers(service_type) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_tier_features_service_type ON pricing_tier_features(service_type);
+
+-- Optional extras that can be added to any order
+CREATE TABLE IF NOT EXISTS pricing_addons (
+    code VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_pricing_tiers_updated_at ON pricing_tiers;
+CREATE TRIGGER update_pricing_tiers_updated_at BEFORE UPDATE ON pricing_tiers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_pricing_addons_updated_at ON pricing_addons;
+CREATE TRIGGER update_pricing_addons_updated_at BEFORE UPDATE ON pricing_addons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed with the prices previously hard-coded in the API. 004 moves the
+-- prices into versioned tables and drops these columns, so the seeds only
+-- run while the columns are still there (i.e. before 004 is applied).
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pricing_tiers' AND column_name = 'base_price'
+    ) THEN
+        INSERT INTO pricing_tiers (service_type, name, description, base_price, sort_order) VALUES
+            ('standard', 'Standard', '3-5 business days', 25.00, 1),
+            ('express', 'Express', '24-48 hours', 40.00, 2),
+            ('premium', 'Premium', 'Same day delivery', 60.00, 3)
+        ON CONFLICT (service_type) DO NOTHING;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pricing_addons' AND column_name = 'price'
+    ) THEN
+        INSERT INTO pricing_addons (code, name, price) VALUES
+            ('stain_treatment', 'Stain Treatment', 10.00),
+            ('delicate_care', 'Delicate Care', 15.00),
+            ('ironing', 'Ironing', 20.00),
+            ('dry_cleaning', 'Dry Cleaning', 25.00)
+        ON CONFLICT (code) DO NOTHING;
+    END IF;
+END $$;
+
+INSERT INTO pricing_tier_features (service_type, description, sort_order)
+SELECT v.service_type::service_type, v.description, v.sort_order
+FROM (VALUES
+    ('standard', 'Wash and fold', 1),
+    ('standard', 'Basic detergent', 2),
+    ('standard', 'Standard packaging', 3),
+    ('express', 'Wash and fold', 1),
+    ('express', 'Premium detergent', 2),
+    ('express', 'Next-day delivery', 3),
+    ('express', 'Eco-friendly packaging', 4),
+    ('premium', 'Wash and fold', 1),
+    ('premium', 'Luxury detergent', 2),
+    ('premium', 'Same-day delivery', 3),
+    ('premium', 'Hand washing available', 4),
+    ('premium', 'Premium packaging', 5),
+    ('premium', 'Stain treatment included', 6)
+) AS v(service_type, description, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM pricing_tier_features);
+
+-- Orders keep the itemized quote they were charged from
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS weight_lbs DECIMAL(6, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS addons JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
@@ -0,0 +1,61 @@
+-- Prices are versioned: each change is a new row with an effective_from date.
+-- The current price is the latest version whose effective_from has passed.
+CREATE TABLE IF NOT EXISTS pricing_tier_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    service_type service_type NOT NULL REFERENCES pricing_tiers(service_type) ON DELETE CASCADE,
+    base_price DECIMAL(10, 2) NOT NULL CHECK (base_price >= 0),
+    rate_type pricing_rate_type NOT NULL DEFAULT 'flat',
+    unit_price DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (unit_price >= 0),
+    included_units DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (included_units >= 0),
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_tier_versions_lookup
+    ON pricing_tier_versions(service_type, effective_from DESC);
+
+CREATE TABLE IF NOT EXISTS pricing_addon_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    addon_code VARCHAR(50) NOT NULL REFERENCES pricing_addons(code) ON DELETE CASCADE,
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_addon_versions_lookup
+    ON pricing_addon_versions(addon_code, effective_from DESC);
+
+-- Move the current prices into the first version of each tier and add-on
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pricing_tiers' AND column_name = 'base_price'
+    ) THEN
+        INSERT INTO pricing_tier_versions (service_type, base_price, rate_type, unit_price, included_units, effective_from)
+        SELECT service_type, base_price, rate_type, unit_price, included_units, created_at
+        FROM pricing_tiers;
+
+        ALTER TABLE pricing_tiers
+            DROP COLUMN base_price,
+            DROP COLUMN rate_type,
+            DROP COLUMN unit_price,
+            DROP COLUMN included_units;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pricing_addons' AND column_name = 'price'
+    ) THEN
+        INSERT INTO pricing_addon_versions (addon_code, price, effective_from)
+        SELECT code, price, created_at
+        FROM pricing_addons;
+
+        ALTER TABLE pricing_addons DROP COLUMN price;
+    END IF;
+END $$;
+
+-- Orders reference the tier price version they were quoted under;
+-- add-on versions are recorded in orders.addons
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pricing_tier_version_id UUID REFERENCES pricing_tier_versions(id);
@@ -0,0 +1,21 @@
+-- Responses stored per Idempotency-Key so retried requests replay the original result
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    clerk_id VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+    response_status INTEGER,
+    response_body JSONB,
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    PRIMARY KEY (clerk_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- At most one successful payment per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_successful_per_order
+    ON payments(order_id)
+    WHERE status IN ('completed', 'refunded');
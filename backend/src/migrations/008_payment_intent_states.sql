@@ -0,0 +1,4 @@
+-- Mirror the PaymentIntent states a payment can wait in
+ALTER TYPE payment_status ADD VALUE IF NOT EXISTS 'requires_action';
+ALTER TYPE payment_status ADD VALUE IF NOT EXISTS 'processing';
+ALTER TYPE payment_status ADD VALUE IF NOT EXISTS 'canceled';
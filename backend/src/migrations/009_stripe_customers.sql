@@ -0,0 +1,6 @@
+-- Stripe customer IDs were only kept in Clerk publicMetadata; keep our own copy
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_stripe_customer_id
+    ON users(stripe_customer_id)
+    WHERE stripe_customer_id IS NOT NULL;
@@ -0,0 +1,56 @@
+-- Areas we pick up from; each has its own timezone and weekly hours
+CREATE TABLE IF NOT EXISTS service_areas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'America/Los_Angeles',
+    zip_codes TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_areas_zip_codes ON service_areas USING GIN (zip_codes);
+
+DROP TRIGGER IF EXISTS update_service_areas_updated_at ON service_areas;
+CREATE TRIGGER update_service_areas_updated_at BEFORE UPDATE ON service_areas
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Operating hours in the area's local time, split into bookable pickup slots
+CREATE TABLE IF NOT EXISTS service_area_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    service_area_id UUID NOT NULL REFERENCES service_areas(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL,
+    slot_minutes INTEGER NOT NULL DEFAULT 60 CHECK (slot_minutes > 0),
+    slot_capacity INTEGER NOT NULL DEFAULT 5 CHECK (slot_capacity >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_area_hours_area ON service_area_hours(service_area_id, day_of_week);
+
+-- One reservation per order; slot times are stored in UTC
+CREATE TABLE IF NOT EXISTS slot_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    service_area_id UUID NOT NULL REFERENCES service_areas(id) ON DELETE CASCADE,
+    slot_start TIMESTAMP NOT NULL,
+    slot_end TIMESTAMP NOT NULL,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_reservations_slot ON slot_reservations(service_area_id, slot_start);
+
+-- Turnaround per tier, used for delivery ETAs
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS turnaround_min_hours INTEGER NOT NULL DEFAULT 72;
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS turnaround_max_hours INTEGER NOT NULL DEFAULT 120;
+
+UPDATE pricing_tiers SET turnaround_min_hours = 72, turnaround_max_hours = 120 WHERE service_type = 'standard';
+UPDATE pricing_tiers SET turnaround_min_hours = 24, turnaround_max_hours = 48 WHERE service_type = 'express';
+UPDATE pricing_tiers SET turnaround_min_hours = 4, turnaround_max_hours = 10 WHERE service_type = 'premium';
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS service_area_id UUID REFERENCES service_areas(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_window_end TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS estimated_delivery_start TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS estimated_delivery_end TIMESTAMP;
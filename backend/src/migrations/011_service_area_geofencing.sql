@@ -0,0 +1,16 @@
+-- Areas can be drawn as a GeoJSON Polygon as well as listed by zip code
+ALTER TABLE service_areas ADD COLUMN IF NOT EXISTS boundary JSONB;
+
+-- Per-area pricing: the order subtotal is multiplied, then the surcharge added
+ALTER TABLE service_areas ADD COLUMN IF NOT EXISTS surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE service_areas ADD COLUMN IF NOT EXISTS price_multiplier DECIMAL(5, 3) NOT NULL DEFAULT 1;
+
+DO $$ BEGIN
+    ALTER TABLE service_areas ADD CONSTRAINT service_areas_pricing_check
+        CHECK (surcharge >= 0 AND price_multiplier > 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- The area the delivery address falls in; service_area_id is the pickup area
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_service_area_id UUID REFERENCES service_areas(id) ON DELETE SET NULL;
@@ -0,0 +1,4 @@
+-- Indexes for the admin orders dashboard (sorting and zip code filters)
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_zip ON orders((pickup_address->>'zipCode'));
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_zip ON orders((delivery_address->>'zipCode'));
@@ -0,0 +1,29 @@
+DO $$ BEGIN
+    CREATE TYPE stripe_event_status AS ENUM ('pending', 'processed', 'unmatched', 'failed', 'ignored');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Every verified Stripe webhook event, keyed by Stripe's event ID
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id VARCHAR(255) PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    payment_intent_id VARCHAR(255),
+    payload JSONB NOT NULL,
+    status stripe_event_status NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    stripe_created_at TIMESTAMP NOT NULL,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_due ON stripe_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_payment_intent ON stripe_events(payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_created ON stripe_events(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_stripe_events_updated_at ON stripe_events;
+CREATE TRIGGER update_stripe_events_updated_at BEFORE UPDATE ON stripe_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,63 @@
+DO $$ BEGIN
+    CREATE TYPE recurrence_frequency AS ENUM ('weekly', 'biweekly', 'monthly');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE recurring_order_status AS ENUM ('active', 'paused', 'cancelled');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- A repeating pickup. Pickups fall on anchor_date plus whole weeks or
+-- months, at pickup_time in the pickup area's timezone; the scheduler
+-- turns each one into an order a few days ahead.
+CREATE TABLE IF NOT EXISTS recurring_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    frequency recurrence_frequency NOT NULL,
+    anchor_date DATE NOT NULL,
+    pickup_time TIME NOT NULL,
+    timezone VARCHAR(64) NOT NULL,
+    pickup_address JSONB NOT NULL,
+    delivery_address JSONB NOT NULL,
+    service_type service_type NOT NULL,
+    item_count INTEGER NOT NULL DEFAULT 0,
+    weight_lbs DECIMAL(6, 2),
+    addons TEXT[] NOT NULL DEFAULT '{}',
+    notes TEXT,
+    auto_charge BOOLEAN NOT NULL DEFAULT FALSE,
+    status recurring_order_status NOT NULL DEFAULT 'active',
+    next_sequence INTEGER NOT NULL DEFAULT 0,
+    next_pickup_at TIMESTAMP NOT NULL,
+    paused_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_orders_user ON recurring_orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_orders_due ON recurring_orders(next_pickup_at) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_recurring_orders_updated_at ON recurring_orders;
+CREATE TRIGGER update_recurring_orders_updated_at BEFORE UPDATE ON recurring_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- What happened to each pickup of a recurrence: an order was created,
+-- the customer skipped it, or creating the order failed
+CREATE TABLE IF NOT EXISTS recurring_order_occurrences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    recurring_order_id UUID NOT NULL REFERENCES recurring_orders(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    scheduled_time TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('created', 'skipped', 'failed')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (recurring_order_id, sequence)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS recurring_order_id UUID REFERENCES recurring_orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_recurring_order_id ON orders(recurring_order_id);
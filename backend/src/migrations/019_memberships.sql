@@ -0,0 +1,56 @@
+-- Monthly plans sold through Stripe Billing. Each paid month grants
+-- included_loads loads of service_type (any tier when NULL).
+CREATE TABLE IF NOT EXISTS membership_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    service_type service_type,
+    included_loads INTEGER NOT NULL CHECK (included_loads > 0),
+    monthly_price DECIMAL(10, 2) NOT NULL CHECK (monthly_price > 0),
+    stripe_price_id VARCHAR(255) UNIQUE NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_membership_plans_updated_at ON membership_plans;
+CREATE TRIGGER update_membership_plans_updated_at BEFORE UPDATE ON membership_plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per Stripe subscription; status mirrors the subscription's.
+-- loads_remaining is reset when an invoice for a new period is paid.
+CREATE TABLE IF NOT EXISTS memberships (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES membership_plans(id),
+    stripe_subscription_id VARCHAR(255) UNIQUE NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    current_period_start TIMESTAMP,
+    current_period_end TIMESTAMP,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+    canceled_at TIMESTAMP,
+    loads_remaining INTEGER NOT NULL DEFAULT 0 CHECK (loads_remaining >= 0),
+    loads_period_start TIMESTAMP,
+    loads_period_end TIMESTAMP,
+    stripe_synced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one membership per user that has not ended
+CREATE UNIQUE INDEX IF NOT EXISTS idx_memberships_one_live_per_user
+    ON memberships(user_id)
+    WHERE status IN ('incomplete', 'trialing', 'active', 'past_due', 'unpaid', 'paused');
+
+DROP TRIGGER IF EXISTS update_memberships_updated_at ON memberships;
+CREATE TRIGGER update_memberships_updated_at BEFORE UPDATE ON memberships
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Orders that used an included load
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS membership_id UUID REFERENCES memberships(id) ON DELETE SET NULL;
+
+-- Lets subscription events that arrive before their membership be retried
+ALTER TABLE stripe_events ADD COLUMN IF NOT EXISTS subscription_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_subscription ON stripe_events(subscription_id);
@@ -0,0 +1,33 @@
+-- Items and tagged bags recorded at pickup, counted again when the order
+-- is ready and at delivery. A NULL stage count means that stage has not
+-- been checked yet.
+CREATE TABLE IF NOT EXISTS order_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    category VARCHAR(50) NOT NULL,
+    bag_tag VARCHAR(100),
+    description VARCHAR(255),
+    photos TEXT[] NOT NULL DEFAULT '{}',
+    pickup_count INTEGER NOT NULL CHECK (pickup_count > 0),
+    recorded_by UUID REFERENCES users(id),
+    ready_count INTEGER CHECK (ready_count >= 0),
+    ready_checked_by UUID REFERENCES users(id),
+    ready_checked_at TIMESTAMP,
+    delivery_count INTEGER CHECK (delivery_count >= 0),
+    delivery_checked_by UUID REFERENCES users(id),
+    delivery_checked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, bag_tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+
+DROP TRIGGER IF EXISTS update_order_items_updated_at ON order_items;
+CREATE TRIGGER update_order_items_updated_at BEFORE UPDATE ON order_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Set when a ready or delivery count differs from the pickup count
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS item_mismatch BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_item_mismatch ON orders(created_at) WHERE item_mismatch;
@@ -0,0 +1,35 @@
+DO $$ BEGIN
+    CREATE TYPE proof_file_kind AS ENUM ('photo', 'signature');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Proof attached by the driver when an order is marked picked_up or
+-- completed, linked to the status history entry it was submitted with
+CREATE TABLE IF NOT EXISTS order_proofs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    status_history_id UUID REFERENCES order_status_history(id) ON DELETE SET NULL,
+    status order_status NOT NULL,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    accuracy_meters DOUBLE PRECISION,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_proofs_order ON order_proofs(order_id, created_at);
+
+-- Photos and signatures; the bytes live in the storage backend under storage_key
+CREATE TABLE IF NOT EXISTS order_proof_files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proof_id UUID NOT NULL REFERENCES order_proofs(id) ON DELETE CASCADE,
+    kind proof_file_kind NOT NULL,
+    storage_backend VARCHAR(30) NOT NULL,
+    storage_key VARCHAR(500) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_proof_files_proof ON order_proof_files(proof_id);
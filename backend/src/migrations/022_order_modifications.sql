@@ -0,0 +1,24 @@
+-- Changes customers make to pending orders. `changes` maps each changed
+-- field to its old and new value, e.g. {"serviceType": {"from": "standard", "to": "express"}}.
+CREATE TABLE IF NOT EXISTS order_modifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changes JSONB NOT NULL,
+    old_price DECIMAL(10, 2) NOT NULL,
+    new_price DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_modifications_order ON order_modifications(order_id, created_at);
+
+-- Extra charges and partial refunds for the price difference of a change
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS order_modification_id UUID REFERENCES order_modifications(id) ON DELETE SET NULL;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS order_modification_id UUID REFERENCES order_modifications(id) ON DELETE SET NULL;
+
+-- An order still has one successful payment of its own; extra charges for
+-- changes are separate payments
+DROP INDEX IF EXISTS idx_payments_one_successful_per_order;
+CREATE UNIQUE INDEX idx_payments_one_successful_per_order
+    ON payments(order_id)
+    WHERE status IN ('completed', 'refunded') AND order_modification_id IS NULL;
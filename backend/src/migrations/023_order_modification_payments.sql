@@ -0,0 +1,9 @@
+-- A change that raises the price of a paid order is saved as
+-- pending_payment and the difference is charged once it is committed.
+-- It is then applied, or put back to previous_order if the charge is
+-- declined. idempotency_key is the request's Idempotency-Key, so a retry
+-- of the request can finish a charge whose outcome was unknown.
+ALTER TABLE order_modifications ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'applied'
+    CHECK (status IN ('pending_payment', 'applied', 'reverted'));
+ALTER TABLE order_modifications ADD COLUMN IF NOT EXISTS previous_order JSONB;
+ALTER TABLE order_modifications ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
@@ -0,0 +1,11 @@
+-- Drops every table in the initial schema, with all of its data
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TYPE IF EXISTS payment_status;
+DROP TYPE IF EXISTS service_type;
+DROP TYPE IF EXISTS order_status;
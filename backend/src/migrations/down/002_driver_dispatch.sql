@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_orders_unassigned;
+
+ALTER TABLE order_status_history DROP COLUMN IF EXISTS driver_id;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS assigned_at;
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS fk_orders_driver_id;
@@ -0,0 +1,9 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS price_breakdown;
+ALTER TABLE orders DROP COLUMN IF EXISTS addons;
+ALTER TABLE orders DROP COLUMN IF EXISTS weight_lbs;
+
+DROP TABLE IF EXISTS pricing_addons;
+DROP TABLE IF EXISTS pricing_tier_features;
+DROP TABLE IF EXISTS pricing_tiers;
+
+DROP TYPE IF EXISTS pricing_rate_type;
@@ -0,0 +1,41 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS pricing_tier_version_id;
+
+-- Put the prices in effect now back on the tiers and add-ons
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS base_price DECIMAL(10, 2) CHECK (base_price >= 0);
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS rate_type pricing_rate_type NOT NULL DEFAULT 'flat';
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS unit_price DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (unit_price >= 0);
+ALTER TABLE pricing_tiers ADD COLUMN IF NOT EXISTS included_units DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (included_units >= 0);
+
+UPDATE pricing_tiers t
+SET base_price = v.base_price,
+    rate_type = v.rate_type,
+    unit_price = v.unit_price,
+    included_units = v.included_units
+FROM (
+    SELECT DISTINCT ON (service_type) *
+    FROM pricing_tier_versions
+    WHERE effective_from <= CURRENT_TIMESTAMP
+    ORDER BY service_type, effective_from DESC
+) v
+WHERE v.service_type = t.service_type;
+
+UPDATE pricing_tiers SET base_price = 0 WHERE base_price IS NULL;
+ALTER TABLE pricing_tiers ALTER COLUMN base_price SET NOT NULL;
+
+ALTER TABLE pricing_addons ADD COLUMN IF NOT EXISTS price DECIMAL(10, 2) CHECK (price >= 0);
+
+UPDATE pricing_addons a
+SET price = v.price
+FROM (
+    SELECT DISTINCT ON (addon_code) *
+    FROM pricing_addon_versions
+    WHERE effective_from <= CURRENT_TIMESTAMP
+    ORDER BY addon_code, effective_from DESC
+) v
+WHERE v.addon_code = a.code;
+
+UPDATE pricing_addons SET price = 0 WHERE price IS NULL;
+ALTER TABLE pricing_addons ALTER COLUMN price SET NOT NULL;
+
+DROP TABLE IF EXISTS pricing_addon_versions;
+DROP TABLE IF EXISTS pricing_tier_versions;
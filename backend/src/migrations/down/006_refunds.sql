@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS refunds;
+
+DROP INDEX IF EXISTS idx_payments_stripe_payment_intent_id;
+
+ALTER TABLE payments DROP COLUMN IF EXISTS refunded_amount;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_payments_one_successful_per_order;
+
+DROP TABLE IF EXISTS idempotency_keys;
@@ -0,0 +1,25 @@
+-- Enum values cannot be dropped, so payment_status is recreated without them.
+-- Payments still waiting on Stripe go back to pending; canceled ones to failed.
+UPDATE payments SET status = 'pending' WHERE status IN ('requires_action', 'processing');
+UPDATE payments SET status = 'failed' WHERE status = 'canceled';
+
+DROP INDEX IF EXISTS idx_payments_one_successful_per_order;
+
+ALTER TYPE payment_status RENAME TO payment_status_old;
+
+CREATE TYPE payment_status AS ENUM (
+    'pending',
+    'completed',
+    'failed',
+    'refunded'
+);
+
+ALTER TABLE payments ALTER COLUMN status DROP DEFAULT;
+ALTER TABLE payments ALTER COLUMN status TYPE payment_status USING status::text::payment_status;
+ALTER TABLE payments ALTER COLUMN status SET DEFAULT 'pending';
+
+DROP TYPE payment_status_old;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_successful_per_order
+    ON payments(order_id)
+    WHERE status IN ('completed', 'refunded');
@@ -0,0 +1,11 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS estimated_delivery_end;
+ALTER TABLE orders DROP COLUMN IF EXISTS estimated_delivery_start;
+ALTER TABLE orders DROP COLUMN IF EXISTS pickup_window_end;
+ALTER TABLE orders DROP COLUMN IF EXISTS service_area_id;
+
+ALTER TABLE pricing_tiers DROP COLUMN IF EXISTS turnaround_max_hours;
+ALTER TABLE pricing_tiers DROP COLUMN IF EXISTS turnaround_min_hours;
+
+DROP TABLE IF EXISTS slot_reservations;
+DROP TABLE IF EXISTS service_area_hours;
+DROP TABLE IF EXISTS service_areas;
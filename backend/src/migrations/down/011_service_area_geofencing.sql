@@ -0,0 +1,6 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS delivery_service_area_id;
+
+ALTER TABLE service_areas DROP CONSTRAINT IF EXISTS service_areas_pricing_check;
+ALTER TABLE service_areas DROP COLUMN IF EXISTS price_multiplier;
+ALTER TABLE service_areas DROP COLUMN IF EXISTS surcharge;
+ALTER TABLE service_areas DROP COLUMN IF EXISTS boundary;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_orders_delivery_zip;
+DROP INDEX IF EXISTS idx_orders_pickup_zip;
+DROP INDEX IF EXISTS idx_orders_created_at;
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS notification_outbox;
+
+DROP TYPE IF EXISTS notification_status;
+
+ALTER TABLE users DROP COLUMN IF EXISTS notification_preferences;
+ALTER TABLE users DROP COLUMN IF EXISTS email;
@@ -0,0 +1,7 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS recurring_order_id;
+
+DROP TABLE IF EXISTS recurring_order_occurrences;
+DROP TABLE IF EXISTS recurring_orders;
+
+DROP TYPE IF EXISTS recurring_order_status;
+DROP TYPE IF EXISTS recurrence_frequency;
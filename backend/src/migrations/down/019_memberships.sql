@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_stripe_events_subscription;
+ALTER TABLE stripe_events DROP COLUMN IF EXISTS subscription_id;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS membership_id;
+
+DROP TABLE IF EXISTS memberships;
+DROP TABLE IF EXISTS membership_plans;
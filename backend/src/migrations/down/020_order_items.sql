@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_orders_item_mismatch;
+ALTER TABLE orders DROP COLUMN IF EXISTS item_mismatch;
+
+DROP TABLE IF EXISTS order_items;
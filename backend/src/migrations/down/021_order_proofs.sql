@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS order_proof_files;
+DROP TABLE IF EXISTS order_proofs;
+
+DROP TYPE IF EXISTS proof_file_kind;
@@ -0,0 +1,11 @@
+-- Fails if an order has extra charges for changes, which the original
+-- index does not allow
+DROP INDEX IF EXISTS idx_payments_one_successful_per_order;
+CREATE UNIQUE INDEX idx_payments_one_successful_per_order
+    ON payments(order_id)
+    WHERE status IN ('completed', 'refunded');
+
+ALTER TABLE refunds DROP COLUMN IF EXISTS order_modification_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS order_modification_id;
+
+DROP TABLE IF EXISTS order_modifications;
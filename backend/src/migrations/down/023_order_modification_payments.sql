@@ -0,0 +1,3 @@
+ALTER TABLE order_modifications DROP COLUMN IF EXISTS idempotency_key;
+ALTER TABLE order_modifications DROP COLUMN IF EXISTS previous_order;
+ALTER TABLE order_modifications DROP COLUMN IF EXISTS status;
@@ -1,26 +1,279 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
 
+/**
+ * Versioned database migrations.
+ *
+ *   npm run migrate                          apply every pending migration
+ *   npm run migrate -- up --to 012           apply pending migrations up to 012
+ *   npm run migrate -- up --steps 1          apply the next pending migration
+ *   npm run migrate -- down                  roll back the latest migration
+ *   npm run migrate -- down --steps 3        roll back the latest 3 migrations
+ *   npm run migrate -- down --to 010         roll back every migration after 010
+ *   npm run migrate -- status                list applied and pending migrations
+ *
+ * Add --dry-run to `up` or `down` to run the same SQL in a transaction
+ * that is rolled back at the end, which checks it against the database
+ * without changing anything.
+ *
+ * Migrations are the numbered NNN_name.sql files in this directory; the
+ * rollback for each is down/NNN_name.sql. Each migration runs in its own
+ * transaction together with its row in schema_migrations, so it is either
+ * applied and recorded or not at all.
+ */
+
+const MIGRATIONS_DIR = __dirname;
+const DOWN_DIR = path.join(__dirname, 'down');
+
+// Held for the whole run so two deploys cannot migrate at once
+const LOCK_ID = 72_017_001;
+
+const USAGE = 'Usage: npm run migrate -- [up|down|status] [--to NNN] [--steps N] [--dry-run]';
+
+function parseArgs(argv) {
+  const options = { command: 'up', to: null, steps: null, dryRun: false };
+  const args = [...argv];
+
+  if (args[0] && !args[0].startsWith('--')) {
+    options.command = args.shift();
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+    const [flag, inlineValue] = arg.split('=');
+    const value = () => inlineValue !== undefined ? inlineValue : args.shift();
+
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--to') {
+      options.to = value();
+    } else if (flag === '--steps') {
+      options.steps = parseInt(value(), 10);
+    } else {
+      throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+
+  if (!['up', 'down', 'status'].includes(options.command)) {
+    throw new Error(`Unknown command ${options.command}\n${USAGE}`);
+  }
+  if (options.to !== null && !/^\d+$/.test(options.to)) {
+    throw new Error('--to takes a migration number, e.g. --to 012');
+  }
+  if (options.steps !== null && !(options.steps > 0)) {
+    throw new Error('--steps takes a positive number');
+  }
+
+  return options;
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Migration files in order, e.g. { version: '012', name: '012_driver_location_history.sql' }
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: file.split('_')[0],
+        name: file,
+        sql,
+        checksum: checksum(sql),
+        downPath: path.join(DOWN_DIR, file)
+      };
+    });
+}
+
+async function ensureTrackingTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+function warnModified(migrations, applied) {
+  migrations
+    .filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum)
+    .forEach(m => console.warn(`⚠️  ${m.name} has changed since it was applied`));
+}
+
+function printStatus(migrations, applied) {
+  const files = new Set(migrations.map(m => m.version));
+
+  migrations.forEach(m => {
+    const row = applied.get(m.version);
+    if (!row) {
+      console.log(`  ⏳ ${m.name}  pending`);
+    } else {
+      const modified = row.checksum !== m.checksum ? '  (changed since applied)' : '';
+      console.log(`  ✅ ${m.name}  applied ${row.applied_at.toISOString()}${modified}`);
+    }
+  });
+
+  // Applied on this database but no longer in the code base
+  [...applied.values()]
+    .filter(row => !files.has(row.version))
+    .forEach(row => console.log(`  ❓ ${row.name}  applied, file missing`));
+
+  const pending = migrations.filter(m => !applied.has(m.version)).length;
+  console.log(`\n${applied.size} applied, ${pending} pending`);
+}
+
+/**
+ * Run each step in its own transaction, or all of them in one
+ * transaction that is rolled back for a dry run
+ */
+async function runSteps(client, steps, dryRun) {
+  if (dryRun) {
+    await client.query('BEGIN');
+  }
+
+  try {
+    for (const step of steps) {
+      console.log(`  → ${step.label}`);
+
+      if (!dryRun) {
+        await client.query('BEGIN');
+      }
+
+      try {
+        await step.run();
+        if (!dryRun) {
+          await client.query('COMMIT');
+        }
+      } catch (error) {
+        if (!dryRun) {
+          await client.query('ROLLBACK');
+        }
+        error.message = `${step.label}: ${error.message}`;
+        throw error;
+      }
+    }
+  } finally {
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    }
+  }
+}
+
+async function migrateUp(client, migrations, applied, options) {
+  const pending = migrations
+    .filter(m =>
+      !applied.has(m.version) && (options.to === null || m.version <= options.to.padStart(m.version.length, '0'))
+    )
+    .slice(0, options.steps || undefined);
+
+  if (pending.length === 0) {
+    console.log('Nothing to migrate');
+    return;
+  }
+
+  await runSteps(client, pending.map(m => ({
+    label: m.name,
+    run: async () => {
+      await client.query(m.sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [m.version, m.name, m.checksum]
+      );
+    }
+  })), options.dryRun);
+}
+
+async function migrateDown(client, migrations, applied, options) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  let targets = [...applied.keys()].sort().reverse();
+
+  if (options.to !== null) {
+    targets = targets.filter(version => version > options.to.padStart(version.length, '0'));
+  } else {
+    targets = targets.slice(0, options.steps || 1);
+  }
+
+  if (targets.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  // Check every rollback exists before touching the database
+  const steps = targets.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration || !fs.existsSync(migration.downPath)) {
+      throw new Error(`No down script for migration ${applied.get(version).name}`);
+    }
+
+    const sql = fs.readFileSync(migration.downPath, 'utf8');
+    return {
+      label: `down/${migration.name}`,
+      run: async () => {
+        await client.query(sql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      }
+    };
+  });
+
+  await runSteps(client, steps, options.dryRun);
+}
+
 async function runMigrations() {
+  let client;
+
   try {
-    console.log('🔄 Running database migrations...');
+    const options = parseArgs(process.argv.slice(2));
+    const migrations = loadMigrations();
+
+    client = await pool.connect();
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await ensureTrackingTable(client);
 
-    // Read migration file
-    const migrationFile = path.join(__dirname, '001_initial_schema.sql');
-    const sql = fs.readFileSync(migrationFile, 'utf8');
+    const applied = await getApplied(client);
 
-    // Execute migration
-    await pool.query(sql);
+    if (options.command === 'status') {
+      printStatus(migrations, applied);
+    } else {
+      const direction = options.command === 'up' ? 'Running' : 'Rolling back';
+      console.log(`🔄 ${direction} database migrations${options.dryRun ? ' (dry run)' : ''}...`);
+      warnModified(migrations, applied);
 
-    console.log('✅ Migrations completed successfully');
+      if (options.command === 'up') {
+        await migrateUp(client, migrations, applied, options);
+      } else {
+        await migrateDown(client, migrations, applied, options);
+      }
+
+      console.log(options.dryRun
+        ? '✅ Dry run succeeded; no changes were made'
+        : '✅ Migrations completed successfully');
+    }
+
+    client.release();
+    await pool.end();
     process.exit(0);
   } catch (error) {
-    console.error('❌ Migration failed:', error);
+    console.error('❌ Migration failed:', error.message);
+    if (error.detail) {
+      console.error(error.detail);
+    }
     process.exit(1);
   }
 }
 
 runMigrations();
-
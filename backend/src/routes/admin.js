@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const adminPricingController = require('../controllers/adminPricingController');
+const adminPromoController = require('../controllers/adminPromoController');
+const paymentController = require('../controllers/paymentController');
+const adminServiceAreaController = require('../controllers/adminServiceAreaController');
+const adminOrderController = require('../controllers/adminOrderController');
+const adminReportController = require('../controllers/adminReportController');
+const adminWebhookController = require('../controllers/adminWebhookController');
+const adminStripeEventController = require('../controllers/adminStripeEventController');
+const adminMembershipController = require('../controllers/adminMembershipController');
+const { requireAdmin } = require('../middleware/auth');
+
+// Every admin route requires the admin role
+router.use(requireAdmin);
+
+// Pricing tiers
+router.get('/pricing/tiers', adminPricingController.listTiers);
+router.post('/pricing/tiers', adminPricingController.createTier);
+router.put('/pricing/tiers/:serviceType', adminPricingController.updateTier);
+router.delete('/pricing/tiers/:serviceType', adminPricingController.deactivateTier);
+
+// Tier price versions
+router.post('/pricing/tiers/:serviceType/prices', adminPricingController.createTierPriceVersion);
+router.delete('/pricing/tiers/:serviceType/prices/:versionId', adminPricingController.deleteTierPriceVersion);
+
+// Tier features
+router.post('/pricing/tiers/:serviceType/features', adminPricingController.addTierFeature);
+router.put('/pricing/tiers/:serviceType/features/:featureId', adminPricingController.updateTierFeature);
+router.delete('/pricing/tiers/:serviceType/features/:featureId', adminPricingController.deleteTierFeature);
+
+// Add-ons
+router.get('/pricing/addons', adminPricingController.listAddons);
+router.post('/pricing/addons', adminPricingController.createAddon);
+router.put('/pricing/addons/:code', adminPricingController.updateAddon);
+router.delete('/pricing/addons/:code', adminPricingController.deactivateAddon);
+
+// Add-on price versions
+router.post('/pricing/addons/:code/prices', adminPricingController.createAddonPriceVersion);
+router.delete('/pricing/addons/:code/prices/:versionId', adminPricingController.deleteAddonPriceVersion);
+
+// Promo codes
+router.get('/promo-codes', adminPromoController.listPromoCodes);
+router.post('/promo-codes', adminPromoController.createPromoCode);
+router.put('/promo-codes/:id', adminPromoController.updatePromoCode);
+router.delete('/promo-codes/:id', adminPromoController.deactivatePromoCode);
+router.get('/promo-codes/:id/redemptions', adminPromoController.getPromoRedemptions);
+
+// Refunds
+router.post('/payments/:id/refund', paymentController.refundPayment);
+
+// Service areas and pickup hours
+router.get('/service-areas', adminServiceAreaController.listServiceAreas);
+router.post('/service-areas', adminServiceAreaController.createServiceArea);
+router.put('/service-areas/:id', adminServiceAreaController.updateServiceArea);
+router.delete('/service-areas/:id', adminServiceAreaController.deactivateServiceArea);
+router.get('/service-areas/:id/hours', adminServiceAreaController.getHours);
+router.put('/service-areas/:id/hours', adminServiceAreaController.setHours);
+
+// Orders across all customers
+router.get('/orders', adminOrderController.listOrders);
+router.get('/orders/:id', adminOrderController.getOrder);
+router.get('/orders/:id/proof/files/:fileId', adminOrderController.getProofFile);
+
+// Reports (add ?format=csv to download)
+router.get('/reports/revenue', adminReportController.getRevenueReport);
+router.get('/reports/orders', adminReportController.getOrderVolumeReport);
+router.get('/reports/refunds', adminReportController.getRefundReport);
+router.get('/reports/turnaround', adminReportController.getTurnaroundReport);
+
+// Outgoing webhooks
+router.get('/webhooks', adminWebhookController.listEndpoints);
+router.post('/webhooks', adminWebhookController.createEndpoint);
+router.put('/webhooks/:id', adminWebhookController.updateEndpoint);
+router.delete('/webhooks/:id', adminWebhookController.deactivateEndpoint);
+router.post('/webhooks/:id/rotate-secret', adminWebhookController.rotateSecret);
+router.get('/webhooks/:id/deliveries', adminWebhookController.listDeliveries);
+router.post('/webhooks/deliveries/:deliveryId/replay', adminWebhookController.replayDelivery);
+
+// Stripe webhook event log
+router.get('/stripe-events', adminStripeEventController.listEvents);
+router.get('/stripe-events/:id', adminStripeEventController.getEvent);
+router.post('/stripe-events/:id/reprocess', adminStripeEventController.reprocessEvent);
+
+// Membership plans
+router.get('/membership-plans', adminMembershipController.listPlans);
+router.post('/membership-plans', adminMembershipController.createPlan);
+router.put('/membership-plans/:id', adminMembershipController.updatePlan);
+
+module.exports = router;
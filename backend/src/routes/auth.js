@@ -18,5 +18,14 @@ router.post('/profile/addresses', verifyClerkToken, authController.addAddress);
 // Remove saved address
 router.delete('/profile/addresses/:index', verifyClerkToken, authController.removeAddress);
 
+// Notification preferences
+router.get('/profile/notifications', verifyClerkToken, authController.getNotificationPreferences);
+router.put('/profile/notifications', verifyClerkToken, authController.updateNotificationPreferences);
+
+// APNs device tokens
+router.get('/profile/devices', verifyClerkToken, authController.listDevices);
+router.post('/profile/devices', verifyClerkToken, authController.registerDevice);
+router.delete('/profile/devices/:token', verifyClerkToken, authController.unregisterDevice);
+
 module.exports = router;
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const dispatchController = require('../controllers/dispatchController');
+const { requireAdmin, requireDriver } = require('../middleware/auth');
+
+// List unassigned pending orders (driver/admin only)
+router.get('/available', requireDriver, dispatchController.getAvailableOrders);
+
+// List orders assigned to the current driver
+router.get('/assigned', requireDriver, dispatchController.getAssignedOrders);
+
+// Claim an unassigned order
+router.post('/orders/:id/claim', requireDriver, dispatchController.claimOrder);
+
+// Assign or reassign a driver (admin only)
+router.put('/orders/:id/driver', requireAdmin, dispatchController.assignDriver);
+
+// Remove the assigned driver (admin only)
+router.delete('/orders/:id/driver', requireAdmin, dispatchController.unassignDriver);
+
+module.exports = router;
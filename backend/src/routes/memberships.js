@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const membershipController = require('../controllers/membershipController');
+const idempotency = require('../middleware/idempotency');
+
+// Plans on sale
+router.get('/plans', membershipController.getPlans);
+
+// The current user's membership and remaining loads
+router.get('/current', membershipController.getCurrentMembership);
+
+// Subscribe to a plan
+router.post('/', idempotency, membershipController.subscribe);
+
+// Cancel at period end, or immediately
+router.post('/current/cancel', membershipController.cancelMembership);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const orderProofs = require('../services/orderProofs');
 const { requireDriver } = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Status updates may carry proof photos and signatures as base64. Their
+// body is not parsed globally, so it is only read after requireDriver.
+const statusUpdateBody = express.json({ limit: orderProofs.MAX_BODY_BYTES });
 
 // Create new order
 router.post('/', orderController.createOrder);
@@ -12,12 +18,26 @@ router.get('/', orderController.getUserOrders);
 // Get specific order details
 router.get('/:id', orderController.getOrderById);
 
+// Change a pending order
+router.patch('/:id', idempotency, orderController.modifyOrder);
+
 // Update order status (driver/admin only)
-router.put('/:id', requireDriver, orderController.updateOrderStatus);
+router.put('/:id', requireDriver, statusUpdateBody, orderController.updateOrderStatus);
 
 // Update driver location
 router.put('/:id/location', requireDriver, orderController.updateDriverLocation);
 
+// Estimated driver arrival
+router.get('/:id/eta', orderController.getOrderEta);
+
+// Items and bags recorded at pickup and counted again later
+router.get('/:id/items', orderController.getOrderItems);
+router.put('/:id/items', requireDriver, orderController.recordPickupItems);
+router.post('/:id/items/checks', requireDriver, orderController.recordItemCheck);
+
+// Proof of pickup and delivery photos and signatures
+router.get('/:id/proof/files/:fileId', orderController.getProofFile);
+
 // Cancel order
 router.post('/:id/cancel', orderController.cancelOrder);
 
@@ -1,9 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const paymentMethodController = require('../controllers/paymentMethodController');
+const idempotency = require('../middleware/idempotency');
 
 // Process payment for an order
-router.post('/charge', paymentController.processPayment);
+router.post('/charge', idempotency, paymentController.processPayment);
+
+// Confirm a payment after 3-D Secure authentication
+router.post('/confirm', paymentController.confirmPayment);
+
+// Saved payment methods
+router.get('/methods', paymentMethodController.listPaymentMethods);
+router.post('/methods', paymentMethodController.attachPaymentMethod);
+router.post('/methods/setup-intent', paymentMethodController.createSetupIntent);
+router.put('/methods/:id/default', paymentMethodController.setDefaultPaymentMethod);
+router.delete('/methods/:id', paymentMethodController.removePaymentMethod);
 
 // Get payment details
 router.get('/:orderId', paymentController.getPaymentByOrderId);
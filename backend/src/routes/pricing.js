@@ -8,5 +8,8 @@ router.post('/calculate', pricingController.calculatePrice);
 // Get pricing tiers
 router.get('/tiers', pricingController.getPricingTiers);
 
+// Check whether an address is in a service area
+router.get('/coverage', pricingController.checkCoverage);
+
 module.exports = router;
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const recurringOrderController = require('../controllers/recurringOrderController');
+
+// Create a recurring pickup
+router.post('/', recurringOrderController.createRecurringOrder);
+
+// List the current user's recurring pickups
+router.get('/', recurringOrderController.getRecurringOrders);
+
+// Get a recurring pickup with upcoming and past pickups
+router.get('/:id', recurringOrderController.getRecurringOrderById);
+
+// Pause and resume
+router.post('/:id/pause', recurringOrderController.pauseRecurringOrder);
+router.post('/:id/resume', recurringOrderController.resumeRecurringOrder);
+
+// Skip the next pickup
+router.post('/:id/skip', recurringOrderController.skipPickup);
+
+// Cancel the recurrence
+router.post('/:id/cancel', recurringOrderController.cancelRecurringOrder);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const schedulingController = require('../controllers/schedulingController');
+
+// Get bookable pickup slots
+router.get('/slots', schedulingController.getAvailableSlots);
+
+// Estimate delivery window
+router.get('/delivery-estimate', schedulingController.getDeliveryEstimate);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+const db = require('../config/database');
+
+/**
+ * Push notifications through Apple Push Notification service (APNs).
+ * Uses token-based authentication (a .p8 signing key) over HTTP/2.
+ * Set APNS_HOST to send every environment to one server instead, e.g.
+ * the local stub started with `npm run apns-stub`.
+ */
+
+const HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+// Apple rejects provider tokens older than an hour
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// APNs reasons meaning the token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+function apnsError(message, permanent = false) {
+  const error = new Error(message);
+  error.permanent = permanent;
+  return error;
+}
+
+let providerToken = null;
+
+function loadSigningKey() {
+  if (process.env.APNS_KEY) {
+    return process.env.APNS_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.APNS_KEY_PATH) {
+    return fs.readFileSync(process.env.APNS_KEY_PATH, 'utf8');
+  }
+  throw apnsError('APNS_KEY or APNS_KEY_PATH must be set');
+}
+
+/**
+ * ES256 JWT identifying us to APNs, reused until it nears expiry
+ */
+function getProviderToken() {
+  if (providerToken && Date.now() - providerToken.issuedAt < PROVIDER_TOKEN_TTL_MS) {
+    return providerToken.jwt;
+  }
+
+  const { APNS_KEY_ID, APNS_TEAM_ID } = process.env;
+  if (!APNS_KEY_ID || !APNS_TEAM_ID) {
+    throw apnsError('APNS_KEY_ID and APNS_TEAM_ID must be set');
+  }
+
+  const issuedAt = Date.now();
+  const encode = object => Buffer.from(JSON.stringify(object)).toString('base64url');
+  const unsigned = `${encode({ alg: 'ES256', kid: APNS_KEY_ID })}.${encode({
+    iss: APNS_TEAM_ID,
+    iat: Math.floor(issuedAt / 1000)
+  })}`;
+
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+    key: loadSigningKey(),
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  providerToken = { jwt: `${unsigned}.${signature.toString('base64url')}`, issuedAt };
+  return providerToken.jwt;
+}
+
+// One HTTP/2 connection per host, reopened when it closes
+const sessions = new Map();
+
+function getSession(host) {
+  const existing = sessions.get(host);
+  if (existing && !existing.closed && !existing.destroyed) {
+    return existing;
+  }
+
+  const session = http2.connect(host);
+  session.on('error', error => console.error(`APNs connection to ${host} failed:`, error.message));
+  session.on('close', () => sessions.delete(host));
+  session.unref();
+  sessions.set(host, session);
+  return session;
+}
+
+/**
+ * APNs payload for an order notification
+ */
+function buildPayload({ event, payload }) {
+  const data = payload.data || {};
+
+  return {
+    aps: {
+      alert: {
+        title: payload.title,
+        body: payload.body
+      },
+      sound: 'default',
+      ...(data.orderId && { 'thread-id': `order-${data.orderId}` })
+    },
+    event,
+    ...data
+  };
+}
+
+/**
+ * POST one notification to one device.
+ * Resolves with { status, reason } from APNs.
+ */
+function sendToDevice(environment, deviceToken, body) {
+  const host = process.env.APNS_HOST || HOSTS[environment];
+  const session = getSession(host);
+
+  return new Promise((resolve, reject) => {
+    const request = session.request({
+      ':method': 'POST',
+      ':path': `/3/device/${deviceToken}`,
+      authorization: `bearer ${getProviderToken()}`,
+      'apns-topic': process.env.APNS_BUNDLE_ID,
+      'apns-push-type': 'alert',
+      'apns-priority': '10',
+      'content-type': 'application/json'
+    });
+
+    let status;
+    let responseBody = '';
+
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      request.close(http2.constants.NGHTTP2_CANCEL);
+      reject(apnsError('APNs request timed out'));
+    });
+    request.on('response', headers => {
+      status = headers[':status'];
+    });
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      responseBody += chunk;
+    });
+    request.on('end', () => {
+      let reason = null;
+      if (responseBody) {
+        try {
+          reason = JSON.parse(responseBody).reason || null;
+        } catch (error) {
+          reason = responseBody;
+        }
+      }
+      resolve({ status, reason });
+    });
+    request.on('error', reject);
+
+    request.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Send a notification to every device of a user.
+ * Tokens APNs reports as invalid are deleted. Rejects if any device
+ * failed for another reason, so the outbox retries the notification;
+ * devices that already received it may then get it twice.
+ */
+async function sendNotification(notification) {
+  if (!process.env.APNS_BUNDLE_ID) {
+    throw apnsError('APNS_BUNDLE_ID must be set');
+  }
+
+  const tokensResult = await db.query(
+    'SELECT token, environment FROM device_tokens WHERE user_id = $1',
+    [notification.userId]
+  );
+
+  const body = buildPayload(notification);
+  const summary = { sent: 0, removed: 0, failed: 0 };
+  let lastError = null;
+
+  for (const device of tokensResult.rows) {
+    try {
+      const { status, reason } = await sendToDevice(device.environment, device.token, body);
+
+      if (status === 200) {
+        summary.sent++;
+      } else if (INVALID_TOKEN_REASONS.includes(reason) || status === 410) {
+        await db.query('DELETE FROM device_tokens WHERE token = $1', [device.token]);
+        summary.removed++;
+      } else {
+        summary.failed++;
+        lastError = `APNs responded ${status}${reason ? ` (${reason})` : ''}`;
+      }
+    } catch (error) {
+      summary.failed++;
+      lastError = error.message;
+      if (error.permanent) {
+        throw error;
+      }
+    }
+  }
+
+  if (summary.failed > 0) {
+    throw apnsError(`${summary.failed} of ${tokensResult.rows.length} devices failed: ${lastError}`);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  buildPayload,
+  sendToDevice,
+  sendNotification
+};
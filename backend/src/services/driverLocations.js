@@ -0,0 +1,272 @@
+const db = require('../config/database');
+
+/**
+ * Driver location history and ETAs.
+ * Pings are rate limited per order and checked against the previous ping
+ * so GPS jumps are not stored. ETAs use straight-line distance and the
+ * driver's recent speed.
+ */
+
+// Pings closer together than this are rejected
+const MIN_PING_INTERVAL_SECONDS = 5;
+
+// Faster than this (about 100 mph) from the previous ping is a GPS jump
+const MAX_SPEED_MPS = 45;
+
+// Only compare against a previous ping this recent, so one bad ping
+// cannot cause every later ping to be rejected
+const OUTLIER_WINDOW_SECONDS = 120;
+
+// Pings with a worse reported accuracy are rejected
+const MAX_ACCURACY_METERS = 200;
+
+// Pings used to compute recent speed
+const SPEED_WINDOW_MINUTES = 10;
+
+// Used when there is not enough recent movement to measure speed
+// (about 18 mph, typical city driving)
+const DEFAULT_SPEED_MPS = 8;
+const MIN_SPEED_MPS = 2;
+
+// Pings are kept this long after the order is completed or cancelled
+const RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS, 10) || 30;
+
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function locationError(message, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Great-circle distance in meters
+ */
+function distanceMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Store a location ping and make it the order's current driver location.
+ * Throws 429 when pings come too fast and 422 for inaccurate or
+ * impossible positions.
+ */
+async function recordPing(orderId, driverId, { latitude, longitude, accuracy = null }) {
+  if (accuracy !== null && accuracy > MAX_ACCURACY_METERS) {
+    throw locationError(`Location accuracy must be within ${MAX_ACCURACY_METERS} meters`, 422);
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize pings for the order so the rate limit holds
+    await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+
+    const lastResult = await client.query(
+      `SELECT latitude, longitude,
+              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - recorded_at)) AS age_seconds
+       FROM driver_location_pings
+       WHERE order_id = $1
+       ORDER BY recorded_at DESC
+       LIMIT 1`,
+      [orderId]
+    );
+
+    const last = lastResult.rows[0];
+    if (last) {
+      const ageSeconds = parseFloat(last.age_seconds);
+
+      if (ageSeconds < MIN_PING_INTERVAL_SECONDS) {
+        throw locationError('Location updates are too frequent', 429, {
+          retryAfter: Math.ceil(MIN_PING_INTERVAL_SECONDS - ageSeconds)
+        });
+      }
+
+      if (ageSeconds <= OUTLIER_WINDOW_SECONDS) {
+        const speed = distanceMeters(last, { latitude, longitude }) / ageSeconds;
+        if (speed > MAX_SPEED_MPS) {
+          throw locationError('Location rejected as an outlier', 422);
+        }
+      }
+    }
+
+    const pingResult = await client.query(
+      `INSERT INTO driver_location_pings (order_id, driver_id, latitude, longitude, accuracy_meters)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [orderId, driverId, latitude, longitude, accuracy]
+    );
+
+    const ping = pingResult.rows[0];
+    const location = {
+      latitude,
+      longitude,
+      accuracy,
+      timestamp: new Date().toISOString()
+    };
+
+    const orderResult = await client.query(
+      'UPDATE orders SET driver_location = $1 WHERE id = $2 RETURNING *',
+      [JSON.stringify(location), orderId]
+    );
+
+    await client.query('COMMIT');
+
+    return { order: orderResult.rows[0], ping };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Average speed over the recent pings, or null if it cannot be measured
+ */
+async function getRecentSpeed(orderId) {
+  const result = await db.query(
+    `SELECT latitude, longitude,
+            EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - recorded_at)) AS age_seconds
+     FROM driver_location_pings
+     WHERE order_id = $1
+       AND recorded_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'
+     ORDER BY recorded_at`,
+    [orderId, SPEED_WINDOW_MINUTES]
+  );
+
+  const pings = result.rows;
+  if (pings.length < 2) {
+    return null;
+  }
+
+  let distance = 0;
+  for (let i = 1; i < pings.length; i++) {
+    distance += distanceMeters(pings[i - 1], pings[i]);
+  }
+
+  const elapsed = parseFloat(pings[0].age_seconds) - parseFloat(pings[pings.length - 1].age_seconds);
+  return elapsed > 0 ? distance / elapsed : null;
+}
+
+/**
+ * Where the driver is heading for the order's current status, or null
+ */
+function etaTarget(order) {
+  if (order.status === 'pending') {
+    return { target: 'pickup', address: order.pickup_address };
+  }
+  if (order.status === 'out_for_delivery') {
+    return { target: 'delivery', address: order.delivery_address };
+  }
+  return null;
+}
+
+/**
+ * Estimate the driver's arrival at the pickup or delivery address
+ */
+async function estimateArrival(order) {
+  const destination = etaTarget(order);
+  if (!destination) {
+    throw locationError(`No ETA while the order is ${order.status}`, 409);
+  }
+
+  const { latitude, longitude } = destination.address || {};
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw locationError(`The ${destination.target} address has no coordinates`, 422);
+  }
+
+  const lastResult = await db.query(
+    `SELECT latitude, longitude, recorded_at
+     FROM driver_location_pings
+     WHERE order_id = $1
+     ORDER BY recorded_at DESC
+     LIMIT 1`,
+    [order.id]
+  );
+
+  const last = lastResult.rows[0];
+  if (!last) {
+    throw locationError('Driver location is not available yet', 404);
+  }
+
+  const distance = distanceMeters(last, { latitude, longitude });
+  const recentSpeed = await getRecentSpeed(order.id);
+  const useRecent = recentSpeed !== null && recentSpeed >= MIN_SPEED_MPS;
+  const speed = useRecent ? Math.min(recentSpeed, MAX_SPEED_MPS) : DEFAULT_SPEED_MPS;
+  const seconds = Math.round(distance / speed);
+
+  return {
+    target: destination.target,
+    distanceMeters: Math.round(distance),
+    speedMps: Math.round(speed * 10) / 10,
+    speedSource: useRecent ? 'recent' : 'default',
+    etaSeconds: seconds,
+    estimatedArrival: new Date(Date.now() + seconds * 1000),
+    driverLocation: {
+      latitude: last.latitude,
+      longitude: last.longitude,
+      recordedAt: last.recorded_at
+    }
+  };
+}
+
+/**
+ * Delete pings of orders completed or cancelled more than RETENTION_DAYS ago
+ */
+async function pruneLocationHistory() {
+  const result = await db.query(
+    `DELETE FROM driver_location_pings p
+     USING orders o
+     WHERE p.order_id = o.id
+       AND o.status IN ('completed', 'cancelled')
+       AND NOT EXISTS (
+         SELECT 1 FROM order_status_history h
+         WHERE h.order_id = o.id
+           AND h.new_status = o.status
+           AND h.created_at > CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+       )`,
+    [RETENTION_DAYS]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Prune on startup and then periodically
+ */
+function startRetentionJob() {
+  const run = () => {
+    pruneLocationHistory()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Pruned ${count} driver location pings`);
+        }
+      })
+      .catch(error => console.error('Location history pruning failed:', error));
+  };
+
+  run();
+  setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  MIN_PING_INTERVAL_SECONDS,
+  RETENTION_DAYS,
+  distanceMeters,
+  recordPing,
+  estimateArrival,
+  pruneLocationHistory,
+  startRetentionJob
+};
@@ -0,0 +1,375 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const stripeCustomers = require('./stripeCustomers');
+const { toCents, fromCents } = require('./pricing');
+
+/**
+ * Membership plans billed monthly through Stripe Billing.
+ * A membership mirrors a Stripe subscription. Each paid invoice for a new
+ * period resets loads_remaining to the plan's included loads (unused
+ * loads do not roll over). An order that uses a load has the tier charge
+ * (base price and per-item/per-pound usage) waived; add-ons and area
+ * surcharges are still charged.
+ */
+
+// Subscription statuses for a membership that has not ended
+const LIVE_STATUSES = ['incomplete', 'trialing', 'active', 'past_due', 'unpaid', 'paused'];
+
+// Statuses in which included loads can be used
+const USABLE_STATUSES = ['trialing', 'active'];
+
+function membershipError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+async function listPlans({ includeInactive = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM membership_plans
+     ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+     ORDER BY monthly_price`
+  );
+
+  return result.rows;
+}
+
+/**
+ * The user's membership that has not ended, with its plan
+ */
+async function getCurrent(userId, client = db) {
+  const result = await client.query(
+    `SELECT m.*, row_to_json(p.*) AS plan
+     FROM memberships m
+     JOIN membership_plans p ON p.id = m.plan_id
+     WHERE m.user_id = $1 AND m.status = ANY($2)`,
+    [userId, LIVE_STATUSES]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Start a subscription charged to the given or default card. The first
+ * invoice is charged straight away; when the card needs 3-D Secure the
+ * membership stays incomplete until the app confirms the returned
+ * client secret. Loads are granted once invoice.paid arrives. If the
+ * membership cannot be saved, the new subscription is cancelled again so
+ * the customer is not billed for it.
+ *
+ * `idempotencyKey` is the request's Idempotency-Key; a retry with the same
+ * key gets Stripe's original subscription back instead of a second one.
+ */
+async function subscribe({ userId, clerkId, email }, { planCode, paymentMethodId = null }, idempotencyKey = null) {
+  const planResult = await db.query(
+    'SELECT * FROM membership_plans WHERE code = $1 AND is_active = TRUE',
+    [planCode]
+  );
+
+  const plan = planResult.rows[0];
+  if (!plan) {
+    throw membershipError('Membership plan not found', 404);
+  }
+
+  const customerId = await stripeCustomers.getOrCreateCustomerId({ userId, clerkId, email });
+  const paymentMethod = paymentMethodId || await stripeCustomers.getDefaultPaymentMethodId(customerId);
+
+  if (!paymentMethod) {
+    throw membershipError('No payment method provided and no default payment method saved');
+  }
+
+  // Lock the user so two requests cannot both start a membership
+  const client = await db.pool.connect();
+  let subscription = null;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    if (await getCurrent(userId, client)) {
+      throw membershipError('You already have a membership', 409);
+    }
+
+    const params = {
+      customer: customerId,
+      items: [{ price: plan.stripe_price_id }],
+      default_payment_method: paymentMethod,
+      payment_behavior: 'allow_incomplete',
+      expand: ['latest_invoice.payment_intent'],
+      metadata: {
+        userId,
+        planId: plan.id
+      }
+    };
+
+    subscription = await stripe.subscriptions.create(
+      params,
+      idempotencyKey ? { idempotencyKey: `membership:${userId}:${idempotencyKey}` } : undefined
+    );
+
+    // A retry of an attempt that failed gets back the subscription created
+    // then, which has since been cancelled, so it must not be saved
+    if (idempotencyKey) {
+      const current = await stripe.subscriptions.retrieve(subscription.id, {
+        expand: ['latest_invoice.payment_intent']
+      });
+
+      if (['canceled', 'incomplete_expired'].includes(current.status)) {
+        subscription = null;
+        throw membershipError('This subscription attempt failed; retry with a new Idempotency-Key', 409);
+      }
+
+      subscription = current;
+    }
+
+    const result = await client.query(
+      `INSERT INTO memberships (
+        user_id, plan_id, stripe_subscription_id, status,
+        current_period_start, current_period_end, stripe_synced_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        userId,
+        plan.id,
+        subscription.id,
+        subscription.status,
+        toTimestamp(subscription.current_period_start),
+        toTimestamp(subscription.current_period_end),
+        toTimestamp(subscription.created)
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    const paymentIntent = subscription.latest_invoice?.payment_intent;
+    return {
+      membership: { ...result.rows[0], plan },
+      clientSecret: paymentIntent?.client_secret || null,
+      requiresAction: paymentIntent?.status === 'requires_action'
+    };
+  } catch (error) {
+    // Do not leave a billed subscription without a membership
+    if (subscription) {
+      await stripe.subscriptions.cancel(subscription.id)
+        .catch(cancelError => console.error('Failed to cancel Stripe subscription:', cancelError));
+    }
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cancel the user's membership at the end of the paid period, or
+ * straight away (losing any remaining loads)
+ */
+async function cancel(userId, { immediately = false } = {}) {
+  const membership = await getCurrent(userId);
+  if (!membership) {
+    throw membershipError('No active membership', 404);
+  }
+
+  const subscription = immediately
+    ? await stripe.subscriptions.cancel(membership.stripe_subscription_id)
+    : await stripe.subscriptions.update(membership.stripe_subscription_id, { cancel_at_period_end: true });
+
+  const updated = await syncSubscription(subscription, Math.floor(Date.now() / 1000));
+  return { ...updated, plan: membership.plan };
+}
+
+/**
+ * Update a membership from a Stripe subscription. Events older than the
+ * last sync are ignored so out-of-order delivery cannot roll it back.
+ * Resolves with null if there is no membership for the subscription.
+ */
+async function syncSubscription(subscription, eventCreated, client = db) {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+
+  const result = await client.query(
+    `UPDATE memberships m
+     SET status = $2,
+         plan_id = COALESCE((SELECT id FROM membership_plans WHERE stripe_price_id = $3), m.plan_id),
+         current_period_start = $4,
+         current_period_end = $5,
+         cancel_at_period_end = $6,
+         canceled_at = $7,
+         loads_remaining = CASE WHEN $2 = ANY($9) THEN m.loads_remaining ELSE 0 END,
+         stripe_synced_at = $8
+     WHERE m.stripe_subscription_id = $1
+       AND (m.stripe_synced_at IS NULL OR m.stripe_synced_at <= $8)
+     RETURNING m.*`,
+    [
+      subscription.id,
+      subscription.status,
+      priceId || null,
+      toTimestamp(subscription.current_period_start),
+      toTimestamp(subscription.current_period_end),
+      Boolean(subscription.cancel_at_period_end),
+      toTimestamp(subscription.canceled_at),
+      toTimestamp(eventCreated),
+      LIVE_STATUSES
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  // Either unknown, or already synced from a newer event
+  const existing = await client.query(
+    'SELECT * FROM memberships WHERE stripe_subscription_id = $1',
+    [subscription.id]
+  );
+
+  return existing.rows[0] || null;
+}
+
+/**
+ * Grant a period's loads when its invoice is paid. Resolves with null if
+ * there is no membership for the invoice's subscription.
+ */
+async function recordInvoicePaid(invoice, client = db) {
+  const line = invoice.lines?.data?.find(l => l.type === 'subscription');
+  const period = line ? line.period : { start: invoice.period_start, end: invoice.period_end };
+
+  const membershipResult = await client.query(
+    'SELECT * FROM memberships WHERE stripe_subscription_id = $1 FOR UPDATE',
+    [invoice.subscription]
+  );
+
+  const membership = membershipResult.rows[0];
+  if (!membership) {
+    return null;
+  }
+
+  // Grant each period once, and never for an older period than the last
+  const periodEnd = toTimestamp(period.end);
+  if (membership.loads_period_end && membership.loads_period_end >= periodEnd) {
+    return membership;
+  }
+
+  const result = await client.query(
+    `UPDATE memberships m
+     SET loads_remaining = p.included_loads,
+         loads_period_start = $2,
+         loads_period_end = $3,
+         status = CASE WHEN m.status IN ('incomplete', 'past_due', 'unpaid') THEN 'active' ELSE m.status END
+     FROM membership_plans p
+     WHERE p.id = m.plan_id AND m.id = $1
+     RETURNING m.*`,
+    [membership.id, toTimestamp(period.start), periodEnd]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Waive the tier charge of a quote for an order that uses a load
+ */
+function applyCredit(quote, membership, loadsRemaining) {
+  const creditCents = toCents(quote.basePrice) + toCents(quote.usageCharge);
+
+  return {
+    ...quote,
+    membership: {
+      id: membership.id,
+      planName: membership.plan_name,
+      loadsRemaining
+    },
+    membershipCredit: fromCents(creditCents),
+    totalPrice: fromCents(toCents(quote.totalPrice) - creditCents)
+  };
+}
+
+/**
+ * Use one of the user's included loads for an order being created in the
+ * caller's transaction. Returns the quote with the tier charge waived and
+ * the membership used, or the quote unchanged when no load is available.
+ */
+async function useLoad(client, userId, quote) {
+  const result = await client.query(
+    `SELECT m.*, p.name AS plan_name
+     FROM memberships m
+     JOIN membership_plans p ON p.id = m.plan_id
+     WHERE m.user_id = $1
+       AND m.status = ANY($2)
+       AND m.loads_remaining > 0
+       AND (p.service_type IS NULL OR p.service_type::text = $3)
+     FOR UPDATE OF m`,
+    [userId, USABLE_STATUSES, quote.serviceType]
+  );
+
+  const membership = result.rows[0];
+  if (!membership) {
+    return { quote, membership: null };
+  }
+
+  await client.query(
+    'UPDATE memberships SET loads_remaining = loads_remaining - 1 WHERE id = $1',
+    [membership.id]
+  );
+
+  return {
+    quote: applyCredit(quote, membership, membership.loads_remaining - 1),
+    membership
+  };
+}
+
+/**
+ * Price a changed order that already used a load. The load stays used
+ * and the new quote's tier charge is waived, as long as the plan covers
+ * the new service type.
+ */
+async function reapplyLoad(client, membershipId, quote) {
+  const result = await client.query(
+    `SELECT m.*, p.name AS plan_name, p.service_type AS plan_service_type
+     FROM memberships m
+     JOIN membership_plans p ON p.id = m.plan_id
+     WHERE m.id = $1`,
+    [membershipId]
+  );
+
+  const membership = result.rows[0];
+  if (!membership) {
+    return quote;
+  }
+
+  if (membership.plan_service_type && membership.plan_service_type !== quote.serviceType) {
+    throw membershipError(`Your membership does not cover ${quote.serviceType} service`);
+  }
+
+  return applyCredit(quote, membership, membership.loads_remaining);
+}
+
+/**
+ * Give a cancelled order's load back, if it was used in the current period
+ */
+async function returnLoad(order, client = db) {
+  if (!order.membership_id) {
+    return;
+  }
+
+  await client.query(
+    `UPDATE memberships
+     SET loads_remaining = loads_remaining + 1
+     WHERE id = $1 AND status = ANY($2) AND loads_period_start <= $3`,
+    [order.membership_id, USABLE_STATUSES, order.created_at]
+  );
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  listPlans,
+  getCurrent,
+  subscribe,
+  cancel,
+  syncSubscription,
+  recordInvoicePaid,
+  useLoad,
+  reapplyLoad,
+  returnLoad
+};
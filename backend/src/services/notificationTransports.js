@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const apns = require('./apns');
+
+/**
+ * Delivery transports for notification channels.
+ * A transport has `channels` it can deliver and `send(notification)`,
+ * which rejects on failure. Errors marked `permanent` are not retried.
+ *
+ * The transport for each channel is chosen with NOTIFICATION_PUSH_TRANSPORT,
+ * NOTIFICATION_EMAIL_TRANSPORT and NOTIFICATION_SMS_TRANSPORT
+ * (default: log). `log` and `file` work for every channel and are meant
+ * for local development; `apns` delivers push to registered iOS devices.
+ */
+
+const CHANNELS = ['push', 'email', 'sms'];
+
+function transportError(message, permanent = false) {
+  const error = new Error(message);
+  error.permanent = permanent;
+  return error;
+}
+
+/**
+ * Treat 4xx responses other than 429 as permanent
+ */
+async function checkResponse(response, service) {
+  if (response.ok) {
+    return;
+  }
+
+  const body = await response.text();
+  const permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+  throw transportError(`${service} responded ${response.status}: ${body.slice(0, 200)}`, permanent);
+}
+
+// Print to the server log
+const logTransport = {
+  channels: CHANNELS,
+  async send(notification) {
+    const { channel, event, payload } = notification;
+    console.log(`[notification:${channel}] ${event} to ${payload.to || notification.userId}: ${payload.title} - ${payload.body}`);
+  }
+};
+
+// Append one JSON line per notification to NOTIFICATION_LOG_FILE
+const fileTransport = {
+  channels: CHANNELS,
+  async send(notification) {
+    const file = path.resolve(process.env.NOTIFICATION_LOG_FILE || 'notifications.log');
+    const line = JSON.stringify({ sentAt: new Date().toISOString(), ...notification });
+    await fs.promises.appendFile(file, line + '\n');
+  }
+};
+
+// Email through the SendGrid v3 API
+const sendgridTransport = {
+  channels: ['email'],
+  async send({ payload }) {
+    if (!process.env.SENDGRID_API_KEY || !process.env.NOTIFICATION_EMAIL_FROM) {
+      throw transportError('SENDGRID_API_KEY and NOTIFICATION_EMAIL_FROM must be set');
+    }
+
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: payload.to }] }],
+        from: { email: process.env.NOTIFICATION_EMAIL_FROM },
+        subject: payload.title,
+        content: [{ type: 'text/plain', value: payload.body }]
+      })
+    });
+
+    await checkResponse(response, 'SendGrid');
+  }
+};
+
+// SMS through the Twilio Messages API
+const twilioTransport = {
+  channels: ['sms'],
+  async send({ payload }) {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+      throw transportError('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER must be set');
+    }
+
+    const credentials = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          To: payload.to,
+          From: TWILIO_FROM_NUMBER,
+          Body: `${payload.title}: ${payload.body}`
+        })
+      }
+    );
+
+    await checkResponse(response, 'Twilio');
+  }
+};
+
+// Push to the user's registered iOS devices
+const apnsTransport = {
+  channels: ['push'],
+  send: apns.sendNotification
+};
+
+const transports = {
+  log: logTransport,
+  file: fileTransport,
+  apns: apnsTransport,
+  sendgrid: sendgridTransport,
+  twilio: twilioTransport
+};
+
+/**
+ * Make a transport available by name, e.g. for a new provider
+ */
+function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+/**
+ * The configured transport for a channel
+ */
+function getTransport(channel) {
+  const name = process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] || 'log';
+  const transport = transports[name];
+
+  if (!transport || !transport.channels.includes(channel)) {
+    throw transportError(`No ${channel} transport named "${name}"`);
+  }
+
+  return transport;
+}
+
+module.exports = {
+  CHANNELS,
+  transportError,
+  checkResponse,
+  registerTransport,
+  getTransport
+};
@@ -0,0 +1,227 @@
+const db = require('../config/database');
+const { getTransport } = require('./notificationTransports');
+
+/**
+ * Customer notifications for order events.
+ * Notifications are written to notification_outbox and delivered by a
+ * background worker, so a slow or failing channel never holds up the
+ * request that triggered it. Failed sends are retried with backoff.
+ */
+
+// Order statuses customers are notified about, and what they are told
+const ORDER_EVENTS = {
+  picked_up: {
+    title: 'Laundry picked up',
+    body: 'We have picked up your laundry and it is on its way to be cleaned.'
+  },
+  ready: {
+    title: 'Laundry ready',
+    body: 'Your laundry is clean and ready for delivery.'
+  },
+  out_for_delivery: {
+    title: 'Out for delivery',
+    body: 'Your driver is on the way with your clean laundry.'
+  }
+};
+
+// Channels used for each event unless the customer changes them
+const DEFAULT_PREFERENCES = Object.fromEntries(
+  Object.keys(ORDER_EVENTS).map(event => [event, { push: true, email: true, sms: false }])
+);
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Rows left in 'sending' this long (e.g. after a crash) are sent again
+const STALE_SENDING_MINUTES = 5;
+
+/**
+ * A customer's preferences with defaults filled in
+ */
+function getPreferences(user) {
+  const saved = user.notification_preferences || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([event, channels]) => [
+      event,
+      { ...channels, ...saved[event] }
+    ])
+  );
+}
+
+/**
+ * Where a channel delivers to, or null if the customer cannot receive it.
+ * Push is addressed to the user; the transport looks up their devices.
+ */
+function recipientFor(user, channel) {
+  if (channel === 'email') {
+    return user.email || null;
+  }
+  if (channel === 'sms') {
+    return user.phone || null;
+  }
+  return user.id;
+}
+
+/**
+ * Queue notifications for an order's new status on every channel the
+ * customer has enabled. Returns the queued outbox rows. Pass the client
+ * of the transaction that changed the status so they are queued only if
+ * it commits; the caller then starts delivery with processOutbox.
+ */
+async function notifyStatusChange(order, client = db) {
+  const event = ORDER_EVENTS[order.status];
+  if (!event) {
+    return [];
+  }
+
+  const userResult = await client.query(
+    'SELECT id, email, phone, notification_preferences FROM users WHERE id = $1',
+    [order.user_id]
+  );
+
+  const user = userResult.rows[0];
+  if (!user) {
+    return [];
+  }
+
+  const channels = getPreferences(user)[order.status];
+  const queued = [];
+
+  for (const [channel, enabled] of Object.entries(channels)) {
+    const to = enabled ? recipientFor(user, channel) : null;
+    if (!to) {
+      continue;
+    }
+
+    const result = await client.query(
+      `INSERT INTO notification_outbox (user_id, order_id, event, channel, payload)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        user.id,
+        order.id,
+        `order.${order.status}`,
+        channel,
+        JSON.stringify({
+          to,
+          title: event.title,
+          body: event.body,
+          data: { orderId: order.id, status: order.status }
+        })
+      ]
+    );
+
+    queued.push(result.rows[0]);
+  }
+
+  // Rows queued in a transaction are not visible to the worker yet
+  if (queued.length > 0 && client === db) {
+    setImmediate(processOutbox);
+  }
+
+  return queued;
+}
+
+/**
+ * Claim due notifications so other workers skip them
+ */
+async function claimDue() {
+  const result = await db.query(
+    `UPDATE notification_outbox
+     SET status = 'sending', attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM notification_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute')
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_SENDING_MINUTES, BATCH_SIZE]
+  );
+
+  return result.rows;
+}
+
+async function deliver(row) {
+  try {
+    const transport = getTransport(row.channel);
+
+    await transport.send({
+      id: row.id,
+      channel: row.channel,
+      event: row.event,
+      userId: row.user_id,
+      orderId: row.order_id,
+      payload: row.payload
+    });
+
+    await db.query(
+      `UPDATE notification_outbox
+       SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+       WHERE id = $1`,
+      [row.id]
+    );
+  } catch (error) {
+    const giveUp = error.permanent || row.attempts >= MAX_ATTEMPTS;
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (row.attempts - 1);
+
+    await db.query(
+      `UPDATE notification_outbox
+       SET status = $1,
+           last_error = $2,
+           next_attempt_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second'
+       WHERE id = $4`,
+      [giveUp ? 'failed' : 'pending', error.message, delaySeconds, row.id]
+    );
+
+    console.error(`Notification ${row.id} (${row.channel}) failed:`, error.message);
+  }
+}
+
+let processing = false;
+
+/**
+ * Deliver everything that is due
+ */
+async function processOutbox() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    let rows;
+    do {
+      rows = await claimDue();
+      for (const row of rows) {
+        await deliver(row);
+      }
+    } while (rows.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Notification outbox processing failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Poll the outbox in the background
+ */
+function startWorker() {
+  processOutbox();
+  setInterval(processOutbox, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  ORDER_EVENTS,
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  notifyStatusChange,
+  processOutbox,
+  startWorker
+};
@@ -0,0 +1,209 @@
+const db = require('../config/database');
+
+/**
+ * Item inventory for orders.
+ * The driver records each category of item, or each tagged bag, with its
+ * count at pickup. Staff count everything again once the laundry is done
+ * (ready) and the driver counts again at delivery. Any count that differs
+ * from the pickup count flags the item and sets orders.item_mismatch.
+ */
+
+const CATEGORIES = [
+  'bag',
+  'shirts',
+  'pants',
+  'dresses',
+  'suits',
+  'outerwear',
+  'bedding',
+  'towels',
+  'delicates',
+  'other'
+];
+
+// Statuses the pickup inventory can be recorded or replaced in
+const PICKUP_STATUSES = ['pending', 'picked_up'];
+
+// Later counts and the statuses each can be recorded in
+const CHECK_STATUSES = {
+  ready: ['in_laundry', 'ready'],
+  delivery: ['out_for_delivery', 'completed']
+};
+
+// Status changes that need a stage's counts first, when the order has items
+const STAGE_BY_STATUS = {
+  ready: 'ready',
+  completed: 'delivery'
+};
+
+function itemError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * An order's items in the order they were recorded, each with a
+ * mismatch flag
+ */
+async function list(orderId, client = db) {
+  const result = await client.query(
+    `SELECT *,
+            (ready_count IS NOT NULL AND ready_count <> pickup_count) OR
+            (delivery_count IS NOT NULL AND delivery_count <> pickup_count) AS mismatch
+     FROM order_items
+     WHERE order_id = $1
+     ORDER BY created_at, id`,
+    [orderId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Run fn with the order locked, so counts for one order are recorded one
+ * request at a time
+ */
+async function withOrderLock(orderId, fn) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw itemError('Order not found', 404);
+    }
+
+    const result = await fn(client, orderResult.rows[0]);
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the items collected at pickup, replacing any list recorded
+ * earlier. The list is fixed once the ready counts are taken.
+ */
+async function recordPickup(orderId, items, userId) {
+  return withOrderLock(orderId, async (client, order) => {
+    if (!PICKUP_STATUSES.includes(order.status)) {
+      throw itemError(`Pickup items cannot be recorded for ${order.status} orders`, 409);
+    }
+
+    const checked = await client.query(
+      'SELECT 1 FROM order_items WHERE order_id = $1 AND ready_count IS NOT NULL LIMIT 1',
+      [orderId]
+    );
+
+    if (checked.rows.length > 0) {
+      throw itemError('Items have already been counted at the laundry', 409);
+    }
+
+    await client.query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
+
+    for (const item of items) {
+      await client.query(
+        `INSERT INTO order_items (order_id, category, bag_tag, description, photos, pickup_count, recorded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          orderId,
+          item.category,
+          item.bagTag || null,
+          item.description || null,
+          item.photos,
+          item.count,
+          userId
+        ]
+      );
+    }
+
+    return list(orderId, client);
+  });
+}
+
+/**
+ * Record the ready or delivery count of every item. Counting a stage
+ * again replaces its earlier counts.
+ */
+async function recordCheck(orderId, stage, counts, userId) {
+  return withOrderLock(orderId, async (client, order) => {
+    if (!CHECK_STATUSES[stage].includes(order.status)) {
+      throw itemError(`${stage} counts cannot be recorded for ${order.status} orders`, 409);
+    }
+
+    const items = await list(orderId, client);
+    if (items.length === 0) {
+      throw itemError('No pickup items were recorded for this order', 409);
+    }
+
+    const countById = new Map(counts.map(c => [c.itemId, c.count]));
+    const unknown = counts.find(c => !items.some(item => item.id === c.itemId));
+    if (unknown) {
+      throw itemError(`Unknown item ${unknown.itemId}`);
+    }
+    if (countById.size < items.length) {
+      throw itemError('Every item must be counted');
+    }
+
+    // Column names come from the fixed stage list, never from the request
+    for (const item of items) {
+      await client.query(
+        `UPDATE order_items
+         SET ${stage}_count = $1, ${stage}_checked_by = $2, ${stage}_checked_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [countById.get(item.id), userId, item.id]
+      );
+    }
+
+    const updated = await list(orderId, client);
+    const mismatched = updated.filter(item => item.mismatch);
+
+    await client.query(
+      'UPDATE orders SET item_mismatch = $1 WHERE id = $2',
+      [mismatched.length > 0, orderId]
+    );
+
+    if (mismatched.length > 0) {
+      console.warn(`Order ${orderId} ${stage} count mismatch on ${mismatched.length} item(s)`);
+    }
+
+    return updated;
+  });
+}
+
+/**
+ * Whether an order moving to `status` still needs its items counted
+ */
+async function needsCheck(orderId, status) {
+  const stage = STAGE_BY_STATUS[status];
+  if (!stage) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT 1 FROM order_items WHERE order_id = $1 AND ${stage}_count IS NULL LIMIT 1`,
+    [orderId]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  CATEGORIES,
+  STAGES: Object.keys(CHECK_STATUSES),
+  STAGE_BY_STATUS,
+  list,
+  recordPickup,
+  recordCheck,
+  needsCheck
+};
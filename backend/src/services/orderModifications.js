@@ -0,0 +1,497 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const orders = require('./orders');
+const refunds = require('./refunds');
+const stripeCustomers = require('./stripeCustomers');
+const scheduling = require('./scheduling');
+const { PAYMENT_STATUS_BY_INTENT, chargeDefinitelyFailed } = require('./payments');
+const { toCents, fromCents } = require('./pricing');
+
+/**
+ * Customer changes to pending orders.
+ * A change re-prices the order and is recorded in order_modifications
+ * with the old and new value of each changed field. If the order was
+ * already paid, a lower price is partially refunded once the change is
+ * saved. A higher price is saved as pending_payment together with a
+ * pending payment for the difference, which is then charged to the card
+ * the order was paid with. The change is applied once the charge goes
+ * through and put back if the card is declined.
+ */
+
+// Request fields, the order columns they change and how values compare
+const MODIFIABLE_FIELDS = {
+  pickupAddress: { column: 'pickup_address', key: value => JSON.stringify(value) },
+  deliveryAddress: { column: 'delivery_address', key: value => JSON.stringify(value) },
+  scheduledTime: { column: 'scheduled_time', key: value => new Date(value).toISOString() },
+  serviceType: { column: 'service_type', key: value => value },
+  itemCount: { column: 'item_count', key: value => value },
+  notes: { column: 'notes', key: value => value ?? '' }
+};
+
+// Payments that mean a charge is still being made
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'processing'];
+
+// Stripe's minimum USD charge; smaller increases are not charged
+const MIN_CHARGE_CENTS = 50;
+
+function modificationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Mark a change applied along with the payment for its difference
+ */
+async function applyChange(modification, payment, paymentIntent) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      `UPDATE payments
+       SET stripe_payment_intent_id = $1,
+           stripe_payment_id = $2,
+           status = $3
+       WHERE id = $4 AND status NOT IN ('completed', 'refunded')
+       RETURNING *`,
+      [
+        paymentIntent.id,
+        paymentIntent.latest_charge || null,
+        PAYMENT_STATUS_BY_INTENT[paymentIntent.status] || 'pending',
+        payment.id
+      ]
+    );
+
+    const modificationResult = await client.query(
+      `UPDATE order_modifications
+       SET status = 'applied', previous_order = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [modification.id]
+    );
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1',
+      [modification.order_id]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      order: orderResult.rows[0],
+      modification: modificationResult.rows[0],
+      payment: paymentResult.rows[0] || payment
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put an order back the way it was before a change whose difference
+ * could not be charged, and close the change and its payment. The old
+ * pickup slot was the order's until the change, so it is booked again
+ * without checking its capacity.
+ */
+async function revertChange(modification, payment, { status, errorMessage, paymentIntentId }) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      `UPDATE orders o
+       SET pickup_address = p.pickup_address,
+           delivery_address = p.delivery_address,
+           scheduled_time = p.scheduled_time,
+           service_type = p.service_type,
+           item_count = p.item_count,
+           notes = p.notes,
+           price = p.price,
+           price_breakdown = p.price_breakdown,
+           pricing_tier_version_id = p.pricing_tier_version_id,
+           discount_amount = p.discount_amount,
+           service_area_id = p.service_area_id,
+           delivery_service_area_id = p.delivery_service_area_id,
+           pickup_window_end = p.pickup_window_end,
+           estimated_delivery_start = p.estimated_delivery_start,
+           estimated_delivery_end = p.estimated_delivery_end
+       FROM order_modifications m,
+            jsonb_populate_record(NULL::orders, m.previous_order) p
+       WHERE m.id = $1 AND m.status = 'pending_payment' AND o.id = m.order_id
+       RETURNING o.*`,
+      [modification.id]
+    );
+
+    const order = orderResult.rows[0];
+
+    // Already applied or reverted by an earlier attempt
+    if (!order) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await client.query(
+      'UPDATE promo_redemptions SET discount_amount = $1 WHERE order_id = $2',
+      [order.discount_amount, order.id]
+    );
+
+    await scheduling.releaseReservation(order.id, client);
+    if (order.service_area_id && order.pickup_window_end) {
+      await scheduling.recordReservation(
+        client,
+        order.service_area_id,
+        { start: order.scheduled_time, end: order.pickup_window_end },
+        order.id
+      );
+    }
+
+    await client.query(
+      `UPDATE order_modifications
+       SET status = 'reverted', previous_order = NULL
+       WHERE id = $1`,
+      [modification.id]
+    );
+
+    await client.query(
+      `UPDATE payments
+       SET status = $1,
+           stripe_payment_intent_id = COALESCE($2, stripe_payment_intent_id),
+           error_message = $3
+       WHERE id = $4`,
+      [status, paymentIntentId || null, errorMessage, payment.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Charge the price increase of a change saved as pending_payment to the
+ * payment's card, then apply the change. Declines and cards that need
+ * authentication put the order back and reject the change. If Stripe's
+ * answer is unknown the change stays pending; the charge is keyed on the
+ * request's Idempotency-Key (or on the change when there is none), so
+ * finishing it later cannot charge twice.
+ */
+async function chargeDifference(modification, payment) {
+  const userResult = await db.query(
+    'SELECT stripe_customer_id FROM users WHERE id = $1',
+    [payment.user_id]
+  );
+
+  const idempotencyKey = modification.idempotency_key
+    ? `order-modification:${modification.order_id}:${modification.idempotency_key}`
+    : `order-modification:${modification.id}`;
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: toCents(payment.amount),
+      currency: 'usd',
+      customer: userResult.rows[0].stripe_customer_id,
+      payment_method: payment.payment_method_id,
+      confirm: true,
+      off_session: true,
+      metadata: {
+        orderId: modification.order_id,
+        userId: payment.user_id,
+        orderModificationId: modification.id,
+        paymentId: payment.id
+      }
+    }, { idempotencyKey });
+  } catch (error) {
+    if (!chargeDefinitelyFailed(error)) {
+      console.error('Order change charge outcome unknown:', error);
+      throw modificationError('The price difference could not be charged yet; retry the request to finish the change', 503);
+    }
+
+    await revertChange(modification, payment, {
+      status: 'failed',
+      errorMessage: error.message,
+      paymentIntentId: error.payment_intent?.id
+    });
+    throw modificationError(`The price difference could not be charged: ${error.message}`, 402);
+  }
+
+  const status = PAYMENT_STATUS_BY_INTENT[paymentIntent.status] || 'pending';
+  if (!['completed', 'processing'].includes(status)) {
+    await stripe.paymentIntents.cancel(paymentIntent.id)
+      .catch(error => console.error('Failed to cancel PaymentIntent:', error));
+    await revertChange(modification, payment, {
+      status: 'canceled',
+      errorMessage: `Payment ${paymentIntent.status}`,
+      paymentIntentId: paymentIntent.id
+    });
+    throw modificationError('The price difference could not be charged', 402);
+  }
+
+  return applyChange(modification, payment, paymentIntent);
+}
+
+/**
+ * Finish the order's change that is still waiting on its charge, if it
+ * has one, e.g. after a timeout talking to Stripe. Resolves with the
+ * pending change and the charge's result or error.
+ */
+async function finishPending(userId, orderId) {
+  const result = await db.query(
+    `SELECT m.*
+     FROM order_modifications m
+     JOIN orders o ON o.id = m.order_id
+     WHERE m.order_id = $1 AND o.user_id = $2 AND m.status = 'pending_payment'`,
+    [orderId, userId]
+  );
+
+  const modification = result.rows[0];
+  if (!modification) {
+    return null;
+  }
+
+  const paymentResult = await db.query(
+    'SELECT * FROM payments WHERE order_modification_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [modification.id]
+  );
+
+  try {
+    return { modification, result: await chargeDifference(modification, paymentResult.rows[0]) };
+  } catch (error) {
+    if (error.statusCode !== 402) {
+      throw error;
+    }
+    return { modification, error };
+  }
+}
+
+/**
+ * Refund a price decrease from the order's payments, newest first
+ */
+async function refundDifference(orderId, modification, amountCents, userId) {
+  const paymentResult = await db.query(
+    `SELECT * FROM payments
+     WHERE order_id = $1 AND status = 'completed'
+     ORDER BY created_at DESC`,
+    [orderId]
+  );
+
+  const issued = [];
+  let remainingCents = amountCents;
+
+  for (const payment of paymentResult.rows) {
+    const refundableCents = Math.min(
+      toCents(payment.amount) - toCents(payment.refunded_amount),
+      remainingCents
+    );
+
+    if (refundableCents > 0) {
+      const { refund } = await refunds.refundPayment(payment.id, {
+        amount: fromCents(refundableCents),
+        reason: 'Order changed to a lower price',
+        initiatedBy: userId,
+        orderModificationId: modification.id
+      });
+      issued.push(refund);
+      remainingCents -= refundableCents;
+    }
+
+    if (remainingCents === 0) {
+      break;
+    }
+  }
+
+  return issued;
+}
+
+/**
+ * Save a change to a customer's pending order. A price increase of a
+ * paid order is saved as pending_payment along with a pending payment
+ * for the difference, to be charged after this commits.
+ */
+async function saveChange(userId, orderId, fields, idempotencyKey) {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [orderId, userId]
+    );
+
+    const order = orderResult.rows[0];
+    if (!order) {
+      throw modificationError('Order not found', 404);
+    }
+
+    if (order.status !== 'pending') {
+      throw modificationError('Orders can only be changed before pickup', 409);
+    }
+
+    const paymentResult = await client.query(
+      `SELECT * FROM payments
+       WHERE order_id = $1 AND status IN ('completed', 'pending', 'requires_action', 'processing')
+       ORDER BY created_at`,
+      [orderId]
+    );
+
+    if (paymentResult.rows.some(p => OPEN_PAYMENT_STATUSES.includes(p.status))) {
+      throw modificationError('A payment for this order is still in progress', 409);
+    }
+
+    const paid = paymentResult.rows.filter(p => p.status === 'completed');
+
+    // Old and new value of every field that actually changes
+    const changes = {};
+    const details = {};
+    Object.entries(MODIFIABLE_FIELDS).forEach(([field, { column, key }]) => {
+      const current = order[column];
+      const next = fields[field] !== undefined ? fields[field] : current;
+      details[field] = next;
+
+      if (key(next) !== key(current)) {
+        changes[field] = { from: current, to: next };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      throw modificationError('Nothing to change');
+    }
+
+    // Read as stored so it can be written back exactly if the charge fails
+    const previousResult = await client.query(
+      'SELECT to_jsonb(o) AS previous_order FROM orders o WHERE id = $1',
+      [orderId]
+    );
+
+    const updated = await orders.updateOrder(client, order, details);
+
+    const differenceCents = toCents(updated.price) - toCents(order.price);
+    const charge = paid.length > 0 && differenceCents >= MIN_CHARGE_CENTS;
+
+    let paymentMethodId;
+    if (charge) {
+      const userResult = await client.query(
+        'SELECT stripe_customer_id FROM users WHERE id = $1',
+        [userId]
+      );
+      const customerId = userResult.rows[0]?.stripe_customer_id;
+      paymentMethodId = paid[0].payment_method_id ||
+        (customerId && await stripeCustomers.getDefaultPaymentMethodId(customerId));
+
+      if (!customerId || !paymentMethodId) {
+        throw modificationError('No saved card to charge the price difference to', 402);
+      }
+    }
+
+    const modificationResult = await client.query(
+      `INSERT INTO order_modifications (
+        order_id, changed_by, changes, old_price, new_price, status, previous_order, idempotency_key
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        orderId,
+        userId,
+        JSON.stringify(changes),
+        order.price,
+        updated.price,
+        charge ? 'pending_payment' : 'applied',
+        charge ? JSON.stringify(previousResult.rows[0].previous_order) : null,
+        charge ? idempotencyKey : null
+      ]
+    );
+    const modification = modificationResult.rows[0];
+
+    let payment = null;
+    if (charge) {
+      const pendingResult = await client.query(
+        `INSERT INTO payments (
+          order_id, user_id, amount, status, payment_method_id, order_modification_id
+        ) VALUES ($1, $2, $3, 'pending', $4, $5)
+        RETURNING *`,
+        [orderId, userId, fromCents(differenceCents), paymentMethodId, modification.id]
+      );
+      payment = pendingResult.rows[0];
+    }
+
+    await client.query('COMMIT');
+
+    return { order, updated, modification, payment, paid };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a customer's pending order. Resolves with the updated order, the
+ * modification record and any extra payment or refunds; `refundError` is
+ * set if the change was saved but its refund failed.
+ *
+ * A change still waiting on its charge is finished first. If this request
+ * is a retry of it (same Idempotency-Key), its result is returned.
+ */
+async function modify(userId, orderId, fields, idempotencyKey = null) {
+  const pending = await finishPending(userId, orderId);
+
+  if (pending && idempotencyKey && pending.modification.idempotency_key === idempotencyKey) {
+    if (pending.error) {
+      throw pending.error;
+    }
+    return { ...pending.result, refunds: [] };
+  }
+
+  const { order, updated, modification, payment, paid } =
+    await saveChange(userId, orderId, fields, idempotencyKey);
+
+  if (payment) {
+    return { ...await chargeDifference(modification, payment), refunds: [] };
+  }
+
+  // The change stands even if Stripe fails; admins can refund by hand
+  let issued = [];
+  let refundError;
+  const differenceCents = toCents(updated.price) - toCents(order.price);
+  if (paid.length > 0 && differenceCents < 0) {
+    try {
+      issued = await refundDifference(orderId, modification, -differenceCents, userId);
+    } catch (error) {
+      console.error('Order change refund failed:', error);
+      refundError = 'Refund could not be processed automatically';
+    }
+  }
+
+  return {
+    order: updated,
+    modification,
+    payment,
+    refunds: issued,
+    ...(refundError && { refundError })
+  };
+}
+
+/**
+ * An order's changes, oldest first
+ */
+async function list(orderId) {
+  const result = await db.query(
+    'SELECT * FROM order_modifications WHERE order_id = $1 ORDER BY created_at',
+    [orderId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  modify,
+  list
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const storage = require('./storage');
+
+/**
+ * Proof of pickup and delivery.
+ * When an order is marked picked_up or completed the driver sends photos
+ * and/or the customer's signature as base64 data URLs, with the GPS
+ * position at that moment. The images go to the storage backend and the
+ * proof is linked to the status history entry of the change.
+ */
+
+const PROOF_STATUSES = ['picked_up', 'completed'];
+
+// Accepted image types and the file extension each is stored with
+const CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic',
+  'image/webp': 'webp'
+};
+
+const MAX_FILE_BYTES = parseInt(process.env.PROOF_MAX_FILE_BYTES, 10) || 5 * 1024 * 1024;
+
+const MAX_PHOTOS = 5;
+
+// Body limit of a status update: every photo and the signature at full
+// size as base64 (4 bytes per 3), plus room for the data URL prefixes
+// and the other fields
+const MAX_BODY_BYTES = (MAX_PHOTOS + 1) * Math.ceil(MAX_FILE_BYTES / 3) * 4 + 64 * 1024;
+
+function proofError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decode a `data:image/...;base64,...` URL
+ */
+function decodeImage(dataUrl, label) {
+  const match = /^data:([\w.+/-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl);
+  if (!match) {
+    throw proofError(`${label} must be a base64 data URL`);
+  }
+
+  const contentType = match[1].toLowerCase();
+  if (!CONTENT_TYPES[contentType]) {
+    throw proofError(`${label} must be a JPEG, PNG, HEIC or WebP image`);
+  }
+
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0) {
+    throw proofError(`${label} is empty`);
+  }
+  if (data.length > MAX_FILE_BYTES) {
+    throw proofError(`${label} is larger than ${MAX_FILE_BYTES} bytes`, 413);
+  }
+
+  return { contentType, data };
+}
+
+/**
+ * Remove stored files, e.g. when the status change they were sent with
+ * is rejected
+ */
+async function discardFiles(files) {
+  for (const file of files) {
+    await storage.getBackend(file.backend).remove(file.key)
+      .catch(error => console.error('Failed to remove proof file:', error));
+  }
+}
+
+/**
+ * Check and store a proof's images. Every image is decoded before any is
+ * stored, so an invalid one stores nothing.
+ */
+async function storeFiles(orderId, status, proof) {
+  const images = [
+    ...(proof.photos || []).map((photo, index) => ({
+      kind: 'photo',
+      ...decodeImage(photo, `photos[${index}]`)
+    })),
+    ...(proof.signature ? [{ kind: 'signature', ...decodeImage(proof.signature, 'signature') }] : [])
+  ];
+
+  if (images.length === 0) {
+    throw proofError('Proof needs at least one photo or a signature');
+  }
+
+  const backendName = storage.getBackendName();
+  const backend = storage.getBackend(backendName);
+  const stored = [];
+
+  try {
+    for (const image of images) {
+      const key = `orders/${orderId}/${status}/${crypto.randomUUID()}.${CONTENT_TYPES[image.contentType]}`;
+      await backend.put(key, image.data, { contentType: image.contentType });
+
+      stored.push({
+        kind: image.kind,
+        backend: backendName,
+        key,
+        contentType: image.contentType,
+        size: image.data.length
+      });
+    }
+  } catch (error) {
+    await discardFiles(stored);
+    throw error;
+  }
+
+  return stored;
+}
+
+/**
+ * Save a proof and its stored files inside the caller's transaction
+ */
+async function record(client, { orderId, status, historyId, userId, proof, files }) {
+  const proofResult = await client.query(
+    `INSERT INTO order_proofs (
+      order_id, status_history_id, status, latitude, longitude, accuracy_meters, recorded_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [orderId, historyId, status, proof.latitude, proof.longitude, proof.accuracy ?? null, userId]
+  );
+
+  const saved = proofResult.rows[0];
+
+  for (const file of files) {
+    await client.query(
+      `INSERT INTO order_proof_files (proof_id, kind, storage_backend, storage_key, content_type, size_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [saved.id, file.kind, file.backend, file.key, file.contentType, file.size]
+    );
+  }
+
+  return saved;
+}
+
+/**
+ * An order's proofs, oldest first. Each file has the URL it can be
+ * downloaded from under `basePath`.
+ */
+async function list(orderId, basePath = '/api/orders') {
+  const result = await db.query(
+    `SELECT p.*,
+            COALESCE(
+              json_agg(
+                json_build_object(
+                  'id', f.id,
+                  'kind', f.kind,
+                  'content_type', f.content_type,
+                  'size_bytes', f.size_bytes
+                ) ORDER BY f.kind, f.created_at
+              ) FILTER (WHERE f.id IS NOT NULL),
+              '[]'
+            ) AS files
+     FROM order_proofs p
+     LEFT JOIN order_proof_files f ON f.proof_id = p.id
+     WHERE p.order_id = $1
+     GROUP BY p.id
+     ORDER BY p.created_at`,
+    [orderId]
+  );
+
+  return result.rows.map(proof => ({
+    ...proof,
+    files: proof.files.map(file => ({
+      ...file,
+      url: `${basePath}/${orderId}/proof/files/${file.id}`
+    }))
+  }));
+}
+
+/**
+ * A proof file of an order with its bytes, or null if the order has no
+ * such file
+ */
+async function getFile(orderId, fileId) {
+  const result = await db.query(
+    `SELECT f.*
+     FROM order_proof_files f
+     JOIN order_proofs p ON p.id = f.proof_id
+     WHERE f.id = $1 AND p.order_id = $2`,
+    [fileId, orderId]
+  );
+
+  const file = result.rows[0];
+  if (!file) {
+    return null;
+  }
+
+  const data = await storage.getBackend(file.storage_backend).get(file.storage_key);
+  return { file, data };
+}
+
+module.exports = {
+  PROOF_STATUSES,
+  MAX_PHOTOS,
+  MAX_BODY_BYTES,
+  storeFiles,
+  discardFiles,
+  record,
+  list,
+  getFile
+};
@@ -0,0 +1,54 @@
+/**
+ * Order status state machine.
+ * Orders move forward one step at a time; cancellation is only
+ * possible before the laundry has been started.
+ */
+
+const ORDER_STATUSES = [
+  'pending',
+  'picked_up',
+  'in_laundry',
+  'ready',
+  'out_for_delivery',
+  'completed',
+  'cancelled'
+];
+
+const TRANSITIONS = {
+  pending: ['picked_up', 'cancelled'],
+  picked_up: ['in_laundry', 'cancelled'],
+  in_laundry: ['ready'],
+  ready: ['out_for_delivery'],
+  out_for_delivery: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+/**
+ * Statuses an order can move to from its current status
+ */
+function getAllowedTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Body for a 409 response describing an illegal transition
+ */
+function transitionError(fromStatus, toStatus) {
+  return {
+    error: `Cannot change order status from ${fromStatus} to ${toStatus}`,
+    currentStatus: fromStatus,
+    allowedTransitions: getAllowedTransitions(fromStatus)
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  transitionError
+};
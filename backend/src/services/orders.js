@@ -0,0 +1,270 @@
+const db = require('../config/database');
+const memberships = require('./memberships');
+const pricing = require('./pricing');
+const promotions = require('./promotions');
+const scheduling = require('./scheduling');
+const serviceAreas = require('./serviceAreas');
+const webhooks = require('./webhooks');
+
+function orderError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Service areas of both addresses; the pickup area sets the pickup slots
+ * and area pricing
+ */
+async function findAreas(pickupAddress, deliveryAddress) {
+  const serviceArea = await serviceAreas.findServiceArea(pickupAddress);
+  if (!serviceArea) {
+    throw orderError('We do not serve this area yet');
+  }
+
+  const deliveryArea = await serviceAreas.findServiceArea(deliveryAddress);
+  if (!deliveryArea) {
+    throw orderError('Delivery address is outside our service area');
+  }
+
+  return { serviceArea, deliveryArea };
+}
+
+/**
+ * Price and insert an order inside the caller's transaction: checks both
+ * addresses are served, uses an included membership load when the user
+ * has one (unless useMembership is false), applies area pricing and the
+ * promo code, books the pickup slot, logs the initial status and queues
+ * the order.created webhook. Used by POST /api/orders and by the
+ * recurring order scheduler.
+ */
+async function insertOrder(client, {
+  userId,
+  pickupAddress,
+  deliveryAddress,
+  scheduledTime,
+  serviceType,
+  itemCount = 0,
+  weightLbs = null,
+  addons = [],
+  promoCode = null,
+  notes = null,
+  recurringOrderId = null,
+  useMembership = true
+}) {
+  const { serviceArea, deliveryArea } = await findAreas(pickupAddress, deliveryAddress);
+
+  // Price with the same engine as POST /api/pricing/calculate; the stored
+  // price is what processPayment charges
+  let quote = await pricing.quote({ serviceType, itemCount, weightLbs, addons });
+
+  // A membership load covers the tier charge; add-ons are still charged
+  let membership = null;
+  if (useMembership) {
+    ({ quote, membership } = await memberships.useLoad(client, userId, quote));
+  }
+
+  quote = serviceAreas.applyAreaPricing(quote, serviceArea);
+
+  // Lock the promo code until the redemption is recorded
+  let promo = null;
+  if (promoCode) {
+    promo = await promotions.validatePromoCode(promoCode, {
+      userId,
+      subtotal: quote.totalPrice,
+      client,
+      forUpdate: true
+    });
+    quote = promotions.applyDiscount(quote, promo.promoCode, promo.discount);
+  }
+
+  // Hold the pickup slot until the reservation is recorded
+  const slot = await scheduling.lockSlot(client, serviceArea.id, scheduledTime);
+  const delivery = await scheduling.estimateDelivery(serviceType, slot.end);
+
+  const result = await client.query(
+    `INSERT INTO orders (
+      user_id,
+      pickup_address,
+      delivery_address,
+      scheduled_time,
+      service_type,
+      item_count,
+      weight_lbs,
+      addons,
+      price,
+      price_breakdown,
+      pricing_tier_version_id,
+      promo_code_id,
+      discount_amount,
+      service_area_id,
+      delivery_service_area_id,
+      pickup_window_end,
+      estimated_delivery_start,
+      estimated_delivery_end,
+      notes,
+      recurring_order_id,
+      membership_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+    RETURNING *`,
+    [
+      userId,
+      JSON.stringify(pickupAddress),
+      JSON.stringify(deliveryAddress),
+      scheduledTime,
+      serviceType,
+      itemCount,
+      weightLbs || null,
+      JSON.stringify(quote.addons),
+      quote.totalPrice,
+      JSON.stringify(quote),
+      quote.priceVersionId,
+      promo ? promo.promoCode.id : null,
+      promo ? promo.discount : 0,
+      serviceArea.id,
+      deliveryArea.id,
+      slot.end,
+      delivery.earliest,
+      delivery.latest,
+      notes,
+      recurringOrderId,
+      membership ? membership.id : null
+    ]
+  );
+
+  const order = result.rows[0];
+
+  await scheduling.recordReservation(client, serviceArea.id, slot, order.id);
+
+  if (promo) {
+    await promotions.recordRedemption(client, promo.promoCode, {
+      userId,
+      orderId: order.id,
+      discount: promo.discount
+    });
+  }
+
+  // Log status history
+  await client.query(
+    `INSERT INTO order_status_history (order_id, new_status, changed_by)
+     VALUES ($1, $2, $3)`,
+    [order.id, 'pending', userId]
+  );
+
+  await webhooks.emit('order.created', { order }, order.id, client);
+
+  return order;
+}
+
+/**
+ * Re-price and re-book a locked pending order with new details inside
+ * the caller's transaction. Current prices apply; the add-ons, promo code
+ * and membership load the order was created with stay applied. The
+ * pickup slot is only booked again when the time or pickup area changes.
+ */
+async function updateOrder(client, order, {
+  pickupAddress,
+  deliveryAddress,
+  scheduledTime,
+  serviceType,
+  itemCount,
+  notes
+}) {
+  const { serviceArea, deliveryArea } = await findAreas(pickupAddress, deliveryAddress);
+
+  let quote = await pricing.quote({
+    serviceType,
+    itemCount,
+    weightLbs: order.weight_lbs,
+    addons: (order.addons || []).map(addon => addon.code)
+  });
+
+  if (order.membership_id) {
+    quote = await memberships.reapplyLoad(client, order.membership_id, quote);
+  }
+
+  quote = serviceAreas.applyAreaPricing(quote, serviceArea);
+
+  const promo = await promotions.updateRedemption(client, order.id, quote.totalPrice);
+  if (promo) {
+    quote = promotions.applyDiscount(quote, promo.promoCode, promo.discount);
+  }
+
+  let pickupWindowEnd = order.pickup_window_end;
+  const sameSlot = serviceArea.id === order.service_area_id &&
+    new Date(scheduledTime).getTime() === new Date(order.scheduled_time).getTime();
+
+  if (!sameSlot) {
+    await scheduling.releaseReservation(order.id, client);
+    const slot = await scheduling.lockSlot(client, serviceArea.id, scheduledTime);
+    await scheduling.recordReservation(client, serviceArea.id, slot, order.id);
+    pickupWindowEnd = slot.end;
+  }
+
+  const delivery = await scheduling.estimateDelivery(serviceType, pickupWindowEnd);
+
+  const result = await client.query(
+    `UPDATE orders
+     SET pickup_address = $1,
+         delivery_address = $2,
+         scheduled_time = $3,
+         service_type = $4,
+         item_count = $5,
+         notes = $6,
+         price = $7,
+         price_breakdown = $8,
+         pricing_tier_version_id = $9,
+         discount_amount = $10,
+         service_area_id = $11,
+         delivery_service_area_id = $12,
+         pickup_window_end = $13,
+         estimated_delivery_start = $14,
+         estimated_delivery_end = $15
+     WHERE id = $16
+     RETURNING *`,
+    [
+      JSON.stringify(pickupAddress),
+      JSON.stringify(deliveryAddress),
+      scheduledTime,
+      serviceType,
+      itemCount,
+      notes,
+      quote.totalPrice,
+      JSON.stringify(quote),
+      quote.priceVersionId,
+      promo ? promo.discount : 0,
+      serviceArea.id,
+      deliveryArea.id,
+      pickupWindowEnd,
+      delivery.earliest,
+      delivery.latest,
+      order.id
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Create an order in its own transaction
+ */
+async function createOrder(details) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await insertOrder(client, details);
+    await client.query('COMMIT');
+    return order;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  insertOrder,
+  updateOrder,
+  createOrder
+};
@@ -0,0 +1,58 @@
+const db = require('../config/database');
+
+// payments.status for each PaymentIntent status
+const PAYMENT_STATUS_BY_INTENT = {
+  succeeded: 'completed',
+  requires_action: 'requires_action',
+  processing: 'processing',
+  canceled: 'canceled',
+  requires_payment_method: 'failed',
+  requires_confirmation: 'pending',
+  requires_capture: 'pending'
+};
+
+/**
+ * Update the payment row for a PaymentIntent from its current state.
+ * Settled payments (completed/refunded) are never moved back by a
+ * late or out-of-order update.
+ */
+async function syncPaymentIntent(intent, client = db) {
+  const status = PAYMENT_STATUS_BY_INTENT[intent.status] || 'pending';
+
+  const result = await client.query(
+    `UPDATE payments
+     SET status = $1,
+         stripe_payment_id = COALESCE($2, stripe_payment_id),
+         error_message = $3
+     WHERE stripe_payment_intent_id = $4
+       AND status NOT IN ('completed', 'refunded')
+     RETURNING *`,
+    [
+      status,
+      intent.latest_charge || null,
+      status === 'failed' || status === 'canceled'
+        ? intent.last_payment_error?.message || intent.cancellation_reason || null
+        : null,
+      intent.id
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether a failed PaymentIntent request definitely charged nothing, so
+ * its attempt can be closed. Timeouts, rate limits, Stripe outages and
+ * concurrent use of the key leave the outcome open; the attempt then
+ * stays pending and a retry sends the same idempotency key.
+ */
+function chargeDefinitelyFailed(error) {
+  return error.statusCode >= 400 && error.statusCode < 500 &&
+    ![409, 429].includes(error.statusCode);
+}
+
+module.exports = {
+  PAYMENT_STATUS_BY_INTENT,
+  syncPaymentIntent,
+  chargeDefinitelyFailed
+};
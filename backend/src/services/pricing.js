@@ -0,0 +1,177 @@
+const db = require('../config/database');
+
+/**
+ * Pricing engine shared by price quotes and order creation.
+ * Tiers and add-ons live in the database so a quote and the
+ * amount charged for the resulting order are always computed
+ * from the same rates.
+ */
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function pricingError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Get tiers with their current price version and features, keyed by service type.
+ * Tiers without a price version in effect yet are left out.
+ */
+async function getTiers({ includeInactive = false } = {}) {
+  const tiersResult = await db.query(
+    `SELECT t.*,
+            v.id AS price_version_id,
+            v.base_price,
+            v.rate_type,
+            v.unit_price,
+            v.included_units,
+            v.effective_from
+     FROM pricing_tiers t
+     JOIN LATERAL (
+       SELECT * FROM pricing_tier_versions pv
+       WHERE pv.service_type = t.service_type
+         AND pv.effective_from <= CURRENT_TIMESTAMP
+       ORDER BY pv.effective_from DESC, pv.created_at DESC
+       LIMIT 1
+     ) v ON TRUE
+     WHERE t.is_active = TRUE OR $1
+     ORDER BY t.sort_order, t.service_type`,
+    [includeInactive]
+  );
+
+  const featuresResult = await db.query(
+    'SELECT service_type, description FROM pricing_tier_features ORDER BY sort_order, created_at'
+  );
+
+  const tiers = {};
+  tiersResult.rows.forEach(tier => {
+    tiers[tier.service_type] = {
+      name: tier.name,
+      basePrice: parseFloat(tier.base_price),
+      rateType: tier.rate_type,
+      unitPrice: parseFloat(tier.unit_price),
+      includedUnits: parseFloat(tier.included_units),
+      description: tier.description,
+      features: featuresResult.rows
+        .filter(feature => feature.service_type === tier.service_type)
+        .map(feature => feature.description),
+      priceVersionId: tier.price_version_id,
+      effectiveFrom: tier.effective_from,
+      ...(includeInactive && {
+        isActive: tier.is_active,
+        sortOrder: tier.sort_order
+      })
+    };
+  });
+
+  return tiers;
+}
+
+/**
+ * Get add-ons with their current price version
+ */
+async function getAddons({ includeInactive = false } = {}) {
+  const result = await db.query(
+    `SELECT a.*, v.id AS price_version_id, v.price, v.effective_from
+     FROM pricing_addons a
+     JOIN LATERAL (
+       SELECT * FROM pricing_addon_versions pv
+       WHERE pv.addon_code = a.code
+         AND pv.effective_from <= CURRENT_TIMESTAMP
+       ORDER BY pv.effective_from DESC, pv.created_at DESC
+       LIMIT 1
+     ) v ON TRUE
+     WHERE a.is_active = TRUE OR $1
+     ORDER BY a.name`,
+    [includeInactive]
+  );
+
+  return result.rows.map(addon => ({
+    code: addon.code,
+    name: addon.name,
+    description: addon.description,
+    price: parseFloat(addon.price),
+    priceVersionId: addon.price_version_id,
+    effectiveFrom: addon.effective_from,
+    ...(includeInactive && { isActive: addon.is_active })
+  }));
+}
+
+/**
+ * Compute an itemized quote.
+ * Throws a 400 error for unknown service types or add-ons, and when a
+ * per-pound tier is quoted without a weight.
+ */
+async function quote({ serviceType, itemCount = 0, weightLbs = null, addons = [] }) {
+  const tiers = await getTiers();
+  const tier = tiers[serviceType];
+
+  if (!tier) {
+    throw pricingError('Invalid service type');
+  }
+
+  // Units billed beyond the ones covered by the base price
+  let units = 0;
+  if (tier.rateType === 'per_item') {
+    units = itemCount;
+  } else if (tier.rateType === 'per_pound') {
+    if (weightLbs === null || weightLbs === undefined) {
+      throw pricingError(`${tier.name} service is priced by weight; weightLbs is required`);
+    }
+    units = weightLbs;
+  }
+
+  const billableUnits = Math.max(0, units - tier.includedUnits);
+  const usageCents = Math.round(billableUnits * toCents(tier.unitPrice));
+
+  const availableAddons = await getAddons();
+  const selectedAddons = [...new Set(addons)].map(code => {
+    const addon = availableAddons.find(a => a.code === code);
+    if (!addon) {
+      throw pricingError(`Unknown add-on: ${code}`);
+    }
+    return {
+      code: addon.code,
+      name: addon.name,
+      price: addon.price,
+      priceVersionId: addon.priceVersionId
+    };
+  });
+
+  const addonsCents = selectedAddons.reduce((sum, addon) => sum + toCents(addon.price), 0);
+  const baseCents = toCents(tier.basePrice);
+  const totalCents = baseCents + usageCents + addonsCents;
+
+  return {
+    serviceType,
+    serviceName: tier.name,
+    priceVersionId: tier.priceVersionId,
+    description: tier.description,
+    features: tier.features,
+    basePrice: tier.basePrice,
+    rateType: tier.rateType,
+    unitPrice: tier.unitPrice,
+    includedUnits: tier.includedUnits,
+    billableUnits,
+    usageCharge: fromCents(usageCents),
+    addons: selectedAddons,
+    addonsTotal: fromCents(addonsCents),
+    totalPrice: fromCents(totalCents)
+  };
+}
+
+module.exports = {
+  getTiers,
+  getAddons,
+  quote,
+  toCents,
+  fromCents
+};
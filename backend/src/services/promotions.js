@@ -0,0 +1,192 @@
+const db = require('../config/database');
+const { toCents, fromCents } = require('./pricing');
+
+/**
+ * Promo code validation and redemption.
+ * Redemptions lock the promo code row so global and per-user
+ * limits hold when several orders use the same code at once.
+ */
+
+function promoError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function normalizeCode(code) {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Discount in dollars for a subtotal, never more than the subtotal itself
+ */
+function calculateDiscount(promoCode, subtotal) {
+  const subtotalCents = toCents(subtotal);
+  let discountCents;
+
+  if (promoCode.discount_type === 'percentage') {
+    discountCents = Math.round(subtotalCents * parseFloat(promoCode.discount_value) / 100);
+    if (promoCode.max_discount !== null) {
+      discountCents = Math.min(discountCents, toCents(promoCode.max_discount));
+    }
+  } else {
+    discountCents = toCents(promoCode.discount_value);
+  }
+
+  return fromCents(Math.min(discountCents, subtotalCents));
+}
+
+/**
+ * Check a promo code against a subtotal and return the discount.
+ * Per-user rules are only checked when a userId is given. Pass a
+ * transaction client with forUpdate to lock the code until commit.
+ */
+async function validatePromoCode(code, { userId = null, subtotal, client = db, forUpdate = false }) {
+  const result = await client.query(
+    `SELECT * FROM promo_codes WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [normalizeCode(code)]
+  );
+
+  const promoCode = result.rows[0];
+  const now = new Date();
+
+  if (!promoCode || !promoCode.is_active) {
+    throw promoError('Invalid promo code');
+  }
+
+  if (promoCode.starts_at && new Date(promoCode.starts_at) > now) {
+    throw promoError('Promo code is not active yet');
+  }
+
+  if (promoCode.expires_at && new Date(promoCode.expires_at) <= now) {
+    throw promoError('Promo code has expired');
+  }
+
+  if (toCents(subtotal) < toCents(promoCode.min_order_value)) {
+    throw promoError(`Promo code requires a minimum order of $${parseFloat(promoCode.min_order_value).toFixed(2)}`);
+  }
+
+  if (promoCode.max_redemptions !== null && promoCode.redemption_count >= promoCode.max_redemptions) {
+    throw promoError('Promo code is no longer available');
+  }
+
+  if (userId) {
+    if (promoCode.max_redemptions_per_user !== null) {
+      const usage = await client.query(
+        'SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = $1 AND user_id = $2',
+        [promoCode.id, userId]
+      );
+
+      if (parseInt(usage.rows[0].count, 10) >= promoCode.max_redemptions_per_user) {
+        throw promoError('You have already used this promo code');
+      }
+    }
+
+    if (promoCode.first_order_only) {
+      const previousOrders = await client.query(
+        `SELECT 1 FROM orders WHERE user_id = $1 AND status <> 'cancelled' LIMIT 1`,
+        [userId]
+      );
+
+      if (previousOrders.rows.length > 0) {
+        throw promoError('Promo code is only valid on your first order');
+      }
+    }
+  }
+
+  return {
+    promoCode,
+    discount: calculateDiscount(promoCode, subtotal)
+  };
+}
+
+/**
+ * Return a copy of a pricing quote with the discount applied
+ */
+function applyDiscount(quote, promoCode, discount) {
+  return {
+    ...quote,
+    subtotal: quote.totalPrice,
+    promoCode: promoCode.code,
+    discount,
+    totalPrice: fromCents(toCents(quote.totalPrice) - toCents(discount))
+  };
+}
+
+/**
+ * Record a redemption inside the transaction that created the order
+ */
+async function recordRedemption(client, promoCode, { userId, orderId, discount }) {
+  await client.query(
+    `INSERT INTO promo_redemptions (promo_code_id, user_id, order_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [promoCode.id, userId, orderId, discount]
+  );
+
+  await client.query(
+    'UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = $1',
+    [promoCode.id]
+  );
+}
+
+/**
+ * Recalculate an order's redemption for a new subtotal, e.g. after the
+ * customer changes the order. Usage limits were checked when the code was
+ * redeemed; the minimum order value must still be met. Returns null if
+ * the order has no redemption.
+ */
+async function updateRedemption(client, orderId, subtotal) {
+  const result = await client.query(
+    `SELECT p.*
+     FROM promo_redemptions r
+     JOIN promo_codes p ON p.id = r.promo_code_id
+     WHERE r.order_id = $1
+     FOR UPDATE OF r`,
+    [orderId]
+  );
+
+  const promoCode = result.rows[0];
+  if (!promoCode) {
+    return null;
+  }
+
+  if (toCents(subtotal) < toCents(promoCode.min_order_value)) {
+    throw promoError(`Promo code requires a minimum order of $${parseFloat(promoCode.min_order_value).toFixed(2)}`);
+  }
+
+  const discount = calculateDiscount(promoCode, subtotal);
+
+  await client.query(
+    'UPDATE promo_redemptions SET discount_amount = $1 WHERE order_id = $2',
+    [discount, orderId]
+  );
+
+  return { promoCode, discount };
+}
+
+/**
+ * Give a cancelled order's redemption back so the code can be used again
+ */
+async function releaseRedemption(orderId, client = db) {
+  const result = await client.query(
+    'DELETE FROM promo_redemptions WHERE order_id = $1 RETURNING promo_code_id',
+    [orderId]
+  );
+
+  if (result.rows.length > 0) {
+    await client.query(
+      'UPDATE promo_codes SET redemption_count = GREATEST(redemption_count - 1, 0) WHERE id = $1',
+      [result.rows[0].promo_code_id]
+    );
+  }
+}
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  validatePromoCode,
+  applyDiscount,
+  recordRedemption,
+  updateRedemption,
+  releaseRedemption
+};
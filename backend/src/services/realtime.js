@@ -0,0 +1,227 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Validation schema for client messages
+const messageSchema = Joi.object({
+  type: Joi.string().valid('subscribe', 'unsubscribe').required(),
+  orderId: Joi.string().uuid().required()
+});
+
+// orderId -> Set of sockets subscribed to that order
+const subscriptions = new Map();
+
+let wss = null;
+
+/**
+ * Pull the session token from the upgrade request.
+ * Native clients send an Authorization header; browsers cannot,
+ * so a `token` query parameter is accepted as well.
+ */
+function getTokenFromRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+function send(socket, payload) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+}
+
+function rejectUpgrade(socket, statusCode, message) {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function unsubscribe(socket, orderId) {
+  const sockets = subscriptions.get(orderId);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  socket.orderIds.delete(orderId);
+
+  if (sockets.size === 0) {
+    subscriptions.delete(orderId);
+  }
+}
+
+/**
+ * Subscribe a socket to an order after checking the caller owns it
+ */
+async function subscribe(socket, orderId) {
+  const result = await db.query(
+    `SELECT o.id
+     FROM orders o
+     JOIN users u ON u.id = o.user_id
+     WHERE o.id = $1 AND u.clerk_id = $2`,
+    [orderId, socket.user.clerkId]
+  );
+
+  if (result.rows.length === 0) {
+    return send(socket, { type: 'error', orderId, error: 'Order not found' });
+  }
+
+  if (!subscriptions.has(orderId)) {
+    subscriptions.set(orderId, new Set());
+  }
+  subscriptions.get(orderId).add(socket);
+  socket.orderIds.add(orderId);
+
+  send(socket, { type: 'subscribed', orderId });
+}
+
+async function handleMessage(socket, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    return send(socket, { type: 'error', error: 'Invalid JSON' });
+  }
+
+  const { error, value } = messageSchema.validate(message);
+  if (error) {
+    return send(socket, {
+      type: 'error',
+      error: 'Validation error',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  try {
+    if (value.type === 'subscribe') {
+      await subscribe(socket, value.orderId);
+    } else {
+      unsubscribe(socket, value.orderId);
+      send(socket, { type: 'unsubscribed', orderId: value.orderId });
+    }
+  } catch (err) {
+    console.error('WebSocket message error:', err);
+    send(socket, { type: 'error', orderId: value.orderId, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Attach the WebSocket server to an HTTP server.
+ * Connections are authenticated with the same Clerk session token
+ * used for the REST API before the upgrade is accepted.
+ */
+function attach(server) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = getTokenFromRequest(req);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let user;
+    try {
+      user = await authenticateToken(token);
+    } catch (err) {
+      console.error('WebSocket authentication error:', err.message);
+    }
+
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.orderIds = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (data) => handleMessage(socket, data.toString()));
+
+    socket.on('close', () => {
+      for (const orderId of [...socket.orderIds]) {
+        unsubscribe(socket, orderId);
+      }
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+/**
+ * Push an event to every socket subscribed to the order
+ */
+function publish(orderId, type, data) {
+  const sockets = subscriptions.get(orderId);
+  if (!sockets) return;
+
+  const payload = { type, orderId, ...data, timestamp: new Date().toISOString() };
+  sockets.forEach(socket => send(socket, payload));
+}
+
+/**
+ * Notify subscribers that an order moved to a new status
+ */
+function publishStatusChange(order, oldStatus) {
+  publish(order.id, 'order.status_changed', {
+    oldStatus,
+    status: order.status,
+    order
+  });
+}
+
+/**
+ * Notify subscribers of a new driver position
+ */
+function publishDriverLocation(order) {
+  publish(order.id, 'order.driver_location', {
+    location: order.driver_location
+  });
+}
+
+/**
+ * Notify subscribers that the order's driver changed
+ */
+function publishDriverAssignment(order) {
+  publish(order.id, 'order.driver_assigned', {
+    driverId: order.driver_id
+  });
+}
+
+module.exports = {
+  attach,
+  publishStatusChange,
+  publishDriverLocation,
+  publishDriverAssignment
+};
@@ -0,0 +1,586 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const orders = require('./orders');
+const pricing = require('./pricing');
+const scheduling = require('./scheduling');
+const serviceAreas = require('./serviceAreas');
+const stripeCustomers = require('./stripeCustomers');
+const stripeEvents = require('./stripeEvents');
+const { PAYMENT_STATUS_BY_INTENT } = require('./payments');
+
+/**
+ * Recurring pickups.
+ * A recurrence repeats every week, two weeks or month from its first
+ * pickup, at the same local time. next_sequence/next_pickup_at point at
+ * the first pickup that has no occurrence yet; the scheduler creates the
+ * order for it DAYS_AHEAD before pickup, records the occurrence and moves
+ * on to the next one. Skipping records an occurrence without an order.
+ */
+
+// Orders are created this many days before pickup
+const DAYS_AHEAD = Math.min(
+  parseInt(process.env.RECURRING_ORDER_DAYS_AHEAD, 10) || 3,
+  scheduling.MAX_DAYS_AHEAD
+);
+
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 15 * 60 * 1000;
+
+// Time between pickups
+const FREQUENCY_INTERVALS = {
+  weekly: '7 days',
+  biweekly: '14 days',
+  monthly: '1 month'
+};
+
+const FREQUENCIES = Object.keys(FREQUENCY_INTERVALS);
+
+// Upcoming pickups listed with a recurrence
+const UPCOMING_COUNT = 4;
+
+function recurringError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * UTC time of a local date and time in a timezone
+ */
+async function localToUtc(date, time, timezone) {
+  const result = await db.query(
+    `SELECT (($1::date + $2::time) AT TIME ZONE $3) AT TIME ZONE 'UTC' AS pickup_at`,
+    [date, time, timezone]
+  );
+
+  return result.rows[0].pickup_at;
+}
+
+/**
+ * The next `count` pickups of a recurrence from `fromSequence` on that
+ * are later than `after`. Monthly pickups on the 29th-31st fall on the
+ * last day of shorter months.
+ */
+async function pickupsFrom(recurrenceId, fromSequence, { after = null, count = 1 } = {}, client = db) {
+  const result = await client.query(
+    `SELECT s.n AS sequence, p.pickup_at
+     FROM recurring_orders r
+     CROSS JOIN LATERAL generate_series($2::int, $2::int + 1000) AS s(n)
+     CROSS JOIN LATERAL (
+       SELECT (((r.anchor_date + s.n * CASE r.frequency
+                   WHEN 'weekly' THEN INTERVAL '${FREQUENCY_INTERVALS.weekly}'
+                   WHEN 'biweekly' THEN INTERVAL '${FREQUENCY_INTERVALS.biweekly}'
+                   ELSE INTERVAL '${FREQUENCY_INTERVALS.monthly}'
+                 END)::date + r.pickup_time) AT TIME ZONE r.timezone) AT TIME ZONE 'UTC' AS pickup_at
+     ) p
+     WHERE r.id = $1 AND ($3::timestamp IS NULL OR p.pickup_at > $3::timestamp)
+     ORDER BY s.n
+     LIMIT $4`,
+    [recurrenceId, fromSequence, after, count]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Point a recurrence at the first pickup from `fromSequence` on that is
+ * later than `after`
+ */
+async function advance(client, recurrenceId, fromSequence, after = null) {
+  const [next] = await pickupsFrom(recurrenceId, fromSequence, { after }, client);
+
+  const result = await client.query(
+    `UPDATE recurring_orders
+     SET next_sequence = $1, next_pickup_at = $2
+     WHERE id = $3
+     RETURNING *`,
+    [next.sequence, next.pickup_at, recurrenceId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Saved address by its index in users.saved_addresses
+ */
+function savedAddress(addresses, index, field) {
+  const address = (addresses || [])[index];
+  if (!address) {
+    throw recurringError(`${field} does not match a saved address`);
+  }
+  return address;
+}
+
+/**
+ * Create a recurrence. The first pickup is on startDate at pickupTime,
+ * local to the pickup address's service area, and must be a pickup slot.
+ */
+async function create(userId, {
+  frequency,
+  startDate,
+  pickupTime,
+  addressIndex,
+  deliveryAddressIndex = addressIndex,
+  serviceType,
+  itemCount = 0,
+  weightLbs = null,
+  addons = [],
+  notes = null,
+  autoCharge = false
+}) {
+  const userResult = await db.query(
+    'SELECT saved_addresses, stripe_customer_id FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+
+  const pickupAddress = savedAddress(user.saved_addresses, addressIndex, 'addressIndex');
+  const deliveryAddress = savedAddress(user.saved_addresses, deliveryAddressIndex, 'deliveryAddressIndex');
+
+  const serviceArea = await serviceAreas.findServiceArea(pickupAddress);
+  if (!serviceArea) {
+    throw recurringError('We do not serve this area yet');
+  }
+
+  if (!await serviceAreas.findServiceArea(deliveryAddress)) {
+    throw recurringError('Delivery address is outside our service area');
+  }
+
+  // Rejects unknown add-ons and missing weights now rather than at every pickup
+  await pricing.quote({ serviceType, itemCount, weightLbs, addons });
+
+  const firstPickup = await localToUtc(startDate, pickupTime, serviceArea.timezone);
+
+  const slots = await scheduling.getSlots(serviceArea.id, startDate, startDate);
+  const slot = slots.find(s => s.start.getTime() === firstPickup.getTime());
+  if (!slot) {
+    throw recurringError('pickupTime must be the start of a pickup slot on startDate; see GET /api/scheduling/slots');
+  }
+  if (firstPickup.getTime() < Date.now() + scheduling.MIN_LEAD_MINUTES * 60 * 1000) {
+    throw recurringError('The first pickup must be in the future');
+  }
+
+  if (autoCharge) {
+    const paymentMethodId = user.stripe_customer_id &&
+      await stripeCustomers.getDefaultPaymentMethodId(user.stripe_customer_id);
+    if (!paymentMethodId) {
+      throw recurringError('Save a default payment method before turning on automatic charging');
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO recurring_orders (
+      user_id,
+      frequency,
+      anchor_date,
+      pickup_time,
+      timezone,
+      pickup_address,
+      delivery_address,
+      service_type,
+      item_count,
+      weight_lbs,
+      addons,
+      notes,
+      auto_charge,
+      next_pickup_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *`,
+    [
+      userId,
+      frequency,
+      startDate,
+      pickupTime,
+      serviceArea.timezone,
+      JSON.stringify(pickupAddress),
+      JSON.stringify(deliveryAddress),
+      serviceType,
+      itemCount,
+      weightLbs,
+      addons,
+      notes,
+      autoCharge,
+      firstPickup
+    ]
+  );
+
+  return result.rows[0];
+}
+
+async function list(userId) {
+  const result = await db.query(
+    `SELECT * FROM recurring_orders
+     WHERE user_id = $1 AND status <> 'cancelled'
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * A recurrence with its upcoming pickups, recent occurrences and the
+ * orders already created that have not been picked up yet
+ */
+async function get(userId, id) {
+  const result = await db.query(
+    'SELECT * FROM recurring_orders WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+
+  const recurrence = result.rows[0];
+  if (!recurrence) {
+    return null;
+  }
+
+  const upcoming = recurrence.status === 'cancelled'
+    ? []
+    : await pickupsFrom(id, recurrence.next_sequence, { count: UPCOMING_COUNT });
+
+  const occurrencesResult = await db.query(
+    `SELECT * FROM recurring_order_occurrences
+     WHERE recurring_order_id = $1
+     ORDER BY sequence DESC
+     LIMIT 20`,
+    [id]
+  );
+
+  const ordersResult = await db.query(
+    `SELECT * FROM orders
+     WHERE recurring_order_id = $1 AND status = 'pending'
+     ORDER BY scheduled_time`,
+    [id]
+  );
+
+  return {
+    ...recurrence,
+    upcoming_pickups: upcoming.map(p => p.pickup_at),
+    occurrences: occurrencesResult.rows,
+    pending_orders: ordersResult.rows
+  };
+}
+
+/**
+ * Lock a customer's recurrence for a change
+ */
+async function lockRecurrence(client, userId, id) {
+  const result = await client.query(
+    'SELECT * FROM recurring_orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [id, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw recurringError('Recurring order not found', 404);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Run a change to a customer's recurrence in a transaction
+ */
+async function change(userId, id, apply) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const recurrence = await lockRecurrence(client, userId, id);
+    const result = await apply(client, recurrence);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Stop creating orders until resumed
+ */
+function pause(userId, id) {
+  return change(userId, id, async (client, recurrence) => {
+    if (recurrence.status !== 'active') {
+      throw recurringError(`Cannot pause a ${recurrence.status} recurring order`, 409);
+    }
+
+    const result = await client.query(
+      `UPDATE recurring_orders SET status = 'paused', paused_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Start creating orders again. Pickups that fell while paused, or that
+ * are too close to book now, are left out.
+ */
+function resume(userId, id) {
+  return change(userId, id, async (client, recurrence) => {
+    if (recurrence.status !== 'paused') {
+      throw recurringError(`Cannot resume a ${recurrence.status} recurring order`, 409);
+    }
+
+    await client.query(
+      `UPDATE recurring_orders SET status = 'active', paused_at = NULL WHERE id = $1`,
+      [id]
+    );
+
+    const earliest = new Date(Date.now() + scheduling.MIN_LEAD_MINUTES * 60 * 1000);
+    return advance(client, id, recurrence.next_sequence, earliest);
+  });
+}
+
+/**
+ * Skip the next pickup that has no order yet. Pickups whose orders were
+ * already created are cancelled like any other order.
+ */
+function skip(userId, id) {
+  return change(userId, id, async (client, recurrence) => {
+    if (recurrence.status !== 'active') {
+      throw recurringError(`Cannot skip a pickup of a ${recurrence.status} recurring order`, 409);
+    }
+
+    const occurrenceResult = await client.query(
+      `INSERT INTO recurring_order_occurrences (recurring_order_id, sequence, scheduled_time, status)
+       VALUES ($1, $2, $3, 'skipped')
+       RETURNING *`,
+      [id, recurrence.next_sequence, recurrence.next_pickup_at]
+    );
+
+    const updated = await advance(client, id, recurrence.next_sequence + 1);
+    return { recurrence: updated, skipped: occurrenceResult.rows[0] };
+  });
+}
+
+/**
+ * Stop the recurrence for good. Orders already created are kept.
+ */
+function cancel(userId, id) {
+  return change(userId, id, async (client, recurrence) => {
+    if (recurrence.status === 'cancelled') {
+      throw recurringError('Recurring order is already cancelled', 409);
+    }
+
+    const result = await client.query(
+      `UPDATE recurring_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Charge a created order off-session with the customer's default card.
+ * A declined or failed charge is recorded as a failed payment; the
+ * customer can still pay with POST /api/payments/charge.
+ */
+async function chargeOrder(order) {
+  if (pricing.toCents(order.price) === 0) {
+    return;
+  }
+
+  const userResult = await db.query(
+    'SELECT stripe_customer_id FROM users WHERE id = $1',
+    [order.user_id]
+  );
+  const customerId = userResult.rows[0]?.stripe_customer_id;
+  const paymentMethodId = customerId && await stripeCustomers.getDefaultPaymentMethodId(customerId);
+
+  if (!paymentMethodId) {
+    console.warn(`Recurring order ${order.id} not charged: no default payment method`);
+    return;
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: pricing.toCents(order.price),
+      currency: 'usd',
+      customer: customerId,
+      payment_method: paymentMethodId,
+      confirm: true,
+      off_session: true,
+      metadata: {
+        orderId: order.id,
+        userId: order.user_id,
+        recurringOrderId: order.recurring_order_id
+      }
+    }, { idempotencyKey: `recurring-charge:${order.id}` });
+  } catch (error) {
+    console.error(`Automatic charge for order ${order.id} failed:`, error.message);
+    await db.query(
+      `INSERT INTO payments (order_id, user_id, stripe_payment_intent_id, amount, status, payment_method_id, error_message)
+       VALUES ($1, $2, $3, $4, 'failed', $5, $6)`,
+      [order.id, order.user_id, error.raw?.payment_intent?.id || null, order.price, paymentMethodId, error.message]
+    );
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO payments (order_id, user_id, stripe_payment_id, stripe_payment_intent_id, amount, status, payment_method_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      order.id,
+      order.user_id,
+      paymentIntent.latest_charge || null,
+      paymentIntent.id,
+      order.price,
+      PAYMENT_STATUS_BY_INTENT[paymentIntent.status] || 'pending',
+      paymentMethodId
+    ]
+  );
+
+  // Apply webhook events that arrived before the payment row existed
+  await stripeEvents.retryUnmatched(paymentIntent.id);
+}
+
+/**
+ * Create the order for a recurrence's next pickup if it is due. The
+ * occurrence is recorded whether or not the order could be created, so
+ * a full slot or a price change never blocks later pickups.
+ */
+async function generateNext(recurrenceId) {
+  const client = await db.pool.connect();
+  let recurrence;
+  let order = null;
+  let failure = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM recurring_orders
+       WHERE id = $1 AND status = 'active'
+         AND next_pickup_at <= CURRENT_TIMESTAMP + $2 * INTERVAL '1 day'
+       FOR UPDATE SKIP LOCKED`,
+      [recurrenceId, DAYS_AHEAD]
+    );
+
+    recurrence = result.rows[0];
+    if (!recurrence) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query('SAVEPOINT recurring_order');
+    try {
+      order = await orders.insertOrder(client, {
+        userId: recurrence.user_id,
+        pickupAddress: recurrence.pickup_address,
+        deliveryAddress: recurrence.delivery_address,
+        scheduledTime: recurrence.next_pickup_at,
+        serviceType: recurrence.service_type,
+        itemCount: recurrence.item_count,
+        weightLbs: recurrence.weight_lbs === null ? null : parseFloat(recurrence.weight_lbs),
+        addons: recurrence.addons,
+        notes: recurrence.notes,
+        recurringOrderId: recurrence.id
+      });
+      await client.query('RELEASE SAVEPOINT recurring_order');
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT recurring_order');
+      failure = error;
+    }
+
+    await client.query(
+      `INSERT INTO recurring_order_occurrences
+        (recurring_order_id, sequence, scheduled_time, status, order_id, error)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        recurrence.id,
+        recurrence.next_sequence,
+        recurrence.next_pickup_at,
+        order ? 'created' : 'failed',
+        order ? order.id : null,
+        failure ? failure.message : null
+      ]
+    );
+
+    await advance(client, recurrence.id, recurrence.next_sequence + 1);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (failure) {
+    console.error(`Recurring order ${recurrence.id} could not create its pickup:`, failure.message);
+    return null;
+  }
+
+  if (recurrence.auto_charge) {
+    await chargeOrder(order)
+      .catch(error => console.error(`Automatic charge for order ${order.id} failed:`, error));
+  }
+
+  return order;
+}
+
+let generating = false;
+
+/**
+ * Create orders for every pickup that is due
+ */
+async function generateDue() {
+  if (generating) {
+    return;
+  }
+
+  generating = true;
+  try {
+    // Each recurrence is tried once per run. One that is locked by another
+    // worker or cannot advance stays due, and would otherwise be selected
+    // again forever; one with several pickups due catches up on later runs.
+    const attempted = [];
+    let due;
+    do {
+      const result = await db.query(
+        `SELECT id FROM recurring_orders
+         WHERE status = 'active' AND next_pickup_at <= CURRENT_TIMESTAMP + $1 * INTERVAL '1 day'
+           AND id <> ALL($3::uuid[])
+         ORDER BY next_pickup_at
+         LIMIT $2`,
+        [DAYS_AHEAD, BATCH_SIZE, attempted]
+      );
+      due = result.rows;
+
+      for (const { id } of due) {
+        attempted.push(id);
+        await generateNext(id);
+      }
+    } while (due.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Recurring order generation failed:', error);
+  } finally {
+    generating = false;
+  }
+}
+
+/**
+ * Create due orders in the background
+ */
+function startScheduler() {
+  generateDue();
+  setInterval(generateDue, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  FREQUENCIES,
+  DAYS_AHEAD,
+  create,
+  list,
+  get,
+  pause,
+  resume,
+  skip,
+  cancel,
+  generateDue,
+  startScheduler
+};
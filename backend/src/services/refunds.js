@@ -0,0 +1,186 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const { toCents, fromCents } = require('./pricing');
+const { getRefundPercentage } = require('../config/refundPolicy');
+
+function refundError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Refund all or part of a completed payment through Stripe.
+ * The payment row is locked for the duration so concurrent refunds
+ * cannot exceed the amount that was charged.
+ */
+async function refundPayment(paymentId, {
+  amount = null,
+  reason = null,
+  initiatedBy = null,
+  orderModificationId = null
+} = {}) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+      [paymentId]
+    );
+
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      throw refundError('Payment not found', 404);
+    }
+
+    if (payment.status !== 'completed') {
+      throw refundError(`Cannot refund a payment with status ${payment.status}`);
+    }
+
+    const remainingCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+    const amountCents = amount === null ? remainingCents : toCents(amount);
+
+    if (amountCents <= 0 || amountCents > remainingCents) {
+      throw refundError(`Refund amount must be between $0.01 and $${fromCents(remainingCents).toFixed(2)}`);
+    }
+
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: payment.stripe_payment_intent_id,
+      amount: amountCents,
+      metadata: {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        reason: reason || ''
+      }
+    });
+
+    const refundResult = await client.query(
+      `INSERT INTO refunds (
+        payment_id, order_id, stripe_refund_id, amount, reason, status, initiated_by, order_modification_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        payment.id,
+        payment.order_id,
+        stripeRefund.id,
+        fromCents(amountCents),
+        reason,
+        stripeRefund.status,
+        initiatedBy,
+        orderModificationId
+      ]
+    );
+
+    const refundedCents = toCents(payment.refunded_amount) + amountCents;
+    const updatedPayment = await client.query(
+      `UPDATE payments
+       SET refunded_amount = $1,
+           status = CASE WHEN $2 THEN 'refunded'::payment_status ELSE status END
+       WHERE id = $3
+       RETURNING *`,
+      [fromCents(refundedCents), refundedCents >= toCents(payment.amount), payment.id]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      refund: refundResult.rows[0],
+      payment: updatedPayment.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply the cancellation refund policy to a cancelled order: its payment
+ * and any extra charges for changes to it, each less what was refunded
+ * when the order's price went down. Resolves with the refunds made,
+ * empty when nothing was paid or the policy refunds nothing.
+ */
+async function refundCancelledOrder(orderId, statusAtCancellation, initiatedBy) {
+  const percentage = getRefundPercentage(statusAtCancellation);
+  if (percentage === 0) {
+    return [];
+  }
+
+  const paymentResult = await db.query(
+    `SELECT p.*,
+            COALESCE((
+              SELECT SUM(r.amount) FROM refunds r
+              WHERE r.payment_id = p.id AND r.order_modification_id IS NOT NULL
+            ), 0) AS modification_refunds
+     FROM payments p
+     WHERE p.order_id = $1 AND p.status = 'completed'
+     ORDER BY p.created_at`,
+    [orderId]
+  );
+
+  const results = [];
+
+  for (const payment of paymentResult.rows) {
+    const remainingCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+    const amountCents = Math.min(
+      Math.round((toCents(payment.amount) - toCents(payment.modification_refunds)) * percentage / 100),
+      remainingCents
+    );
+
+    if (amountCents > 0) {
+      results.push(await refundPayment(payment.id, {
+        amount: fromCents(amountCents),
+        reason: `Order cancelled while ${statusAtCancellation} (${percentage}% refund)`,
+        initiatedBy
+      }));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Sync a payment with a charge.refunded webhook event.
+ * Records refunds made outside the API, e.g. from the Stripe dashboard.
+ */
+async function syncChargeRefunds(charge, client = db) {
+  const paymentResult = await client.query(
+    `UPDATE payments
+     SET refunded_amount = $1,
+         status = CASE WHEN $2 THEN 'refunded'::payment_status ELSE status END
+     WHERE stripe_payment_intent_id = $3
+     RETURNING *`,
+    [fromCents(charge.amount_refunded), charge.refunded, charge.payment_intent]
+  );
+
+  const payment = paymentResult.rows[0];
+  if (!payment) {
+    return null;
+  }
+
+  for (const stripeRefund of charge.refunds?.data || []) {
+    await client.query(
+      `INSERT INTO refunds (payment_id, order_id, stripe_refund_id, amount, reason, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (stripe_refund_id) DO UPDATE SET status = EXCLUDED.status`,
+      [
+        payment.id,
+        payment.order_id,
+        stripeRefund.id,
+        fromCents(stripeRefund.amount),
+        stripeRefund.reason,
+        stripeRefund.status
+      ]
+    );
+  }
+
+  return payment;
+}
+
+module.exports = {
+  refundPayment,
+  refundCancelledOrder,
+  syncChargeRefunds
+};
@@ -0,0 +1,209 @@
+const db = require('../config/database');
+
+/**
+ * Business reports for admins.
+ * Each report returns { columns, rows } so it can be sent as JSON or CSV.
+ * Periods are bucketed on the stored (UTC) timestamps; `from` is
+ * inclusive and `to` exclusive.
+ */
+
+const PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Revenue per period from completed and refunded payments.
+ * Refunds count against the period of the payment they belong to.
+ */
+async function revenue({ from, to, period, byServiceType = false }) {
+  const serviceTypeJoin = byServiceType
+    ? 'CROSS JOIN (SELECT service_type FROM pricing_tiers) t'
+    : '';
+
+  const result = await db.query(
+    `WITH buckets AS (
+       SELECT generate_series(
+         date_trunc($3, $1::timestamp),
+         date_trunc($3, $2::timestamp - INTERVAL '1 microsecond'),
+         ('1 ' || $3)::interval
+       ) AS period_start
+     )
+     SELECT to_char(b.period_start, 'YYYY-MM-DD') AS period_start,
+            ${byServiceType ? 't.service_type::text AS service_type,' : ''}
+            COUNT(p.id)::int AS payments,
+            COALESCE(SUM(p.amount), 0)::float8 AS gross_revenue,
+            COALESCE(SUM(p.refunded_amount), 0)::float8 AS refunded,
+            COALESCE(SUM(p.amount - p.refunded_amount), 0)::float8 AS net_revenue
+     FROM buckets b
+     ${serviceTypeJoin}
+     LEFT JOIN (
+       payments p JOIN orders o ON o.id = p.order_id
+     ) ON date_trunc($3, p.created_at) = b.period_start
+       AND p.status IN ('completed', 'refunded')
+       AND p.created_at >= $1 AND p.created_at < $2
+       ${byServiceType ? 'AND o.service_type = t.service_type' : ''}
+     GROUP BY b.period_start${byServiceType ? ', t.service_type' : ''}
+     ORDER BY b.period_start${byServiceType ? ', t.service_type' : ''}`,
+    [from, to, period]
+  );
+
+  return {
+    columns: [
+      'period_start',
+      ...(byServiceType ? ['service_type'] : []),
+      'payments',
+      'gross_revenue',
+      'refunded',
+      'net_revenue'
+    ],
+    rows: result.rows
+  };
+}
+
+/**
+ * Orders created in the range, counted by status and service tier
+ */
+async function orderVolume({ from, to }) {
+  const result = await db.query(
+    `SELECT status::text AS status,
+            service_type::text AS service_type,
+            COUNT(*)::int AS orders,
+            COALESCE(SUM(price), 0)::float8 AS order_value
+     FROM orders
+     WHERE created_at >= $1 AND created_at < $2
+     GROUP BY status, service_type
+     ORDER BY status, service_type`,
+    [from, to]
+  );
+
+  return {
+    columns: ['status', 'service_type', 'orders', 'order_value'],
+    rows: result.rows
+  };
+}
+
+/**
+ * Refunds issued per period
+ */
+async function refunds({ from, to, period }) {
+  const result = await db.query(
+    `WITH buckets AS (
+       SELECT generate_series(
+         date_trunc($3, $1::timestamp),
+         date_trunc($3, $2::timestamp - INTERVAL '1 microsecond'),
+         ('1 ' || $3)::interval
+       ) AS period_start
+     )
+     SELECT to_char(b.period_start, 'YYYY-MM-DD') AS period_start,
+            COUNT(r.id)::int AS refunds,
+            COALESCE(SUM(r.amount), 0)::float8 AS refunded_amount,
+            COUNT(DISTINCT r.order_id)::int AS orders
+     FROM buckets b
+     LEFT JOIN refunds r
+       ON date_trunc($3, r.created_at) = b.period_start
+       AND r.status NOT IN ('failed', 'canceled')
+       AND r.created_at >= $1 AND r.created_at < $2
+     GROUP BY b.period_start
+     ORDER BY b.period_start`,
+    [from, to, period]
+  );
+
+  return {
+    columns: ['period_start', 'refunds', 'refunded_amount', 'orders'],
+    rows: result.rows
+  };
+}
+
+/**
+ * Average and median hours between status transitions completed in the range.
+ * Without fromStatus/toStatus, each consecutive transition is reported;
+ * with them, the time from first reaching fromStatus to first reaching
+ * toStatus on each order (e.g. picked_up to completed).
+ */
+async function turnaround({ from, to, serviceType = null, fromStatus = null, toStatus = null }) {
+  let result;
+
+  if (fromStatus && toStatus) {
+    result = await db.query(
+      `WITH reached AS (
+         SELECT h.order_id,
+                MIN(h.created_at) FILTER (WHERE h.new_status = $4::order_status) AS from_at,
+                MIN(h.created_at) FILTER (WHERE h.new_status = $5::order_status) AS to_at
+         FROM order_status_history h
+         JOIN orders o ON o.id = h.order_id
+         WHERE ($3::service_type IS NULL OR o.service_type = $3)
+         GROUP BY h.order_id
+       ),
+       durations AS (
+         SELECT EXTRACT(EPOCH FROM (to_at - from_at)) / 3600 AS hours
+         FROM reached
+         WHERE to_at > from_at AND to_at >= $1 AND to_at < $2
+       )
+       SELECT $4::order_status::text AS from_status,
+              $5::order_status::text AS to_status,
+              COUNT(*)::int AS transitions,
+              ROUND(AVG(hours)::numeric, 2)::float8 AS avg_hours,
+              ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours))::numeric, 2)::float8 AS median_hours
+       FROM durations`,
+      [from, to, serviceType, fromStatus, toStatus]
+    );
+  } else {
+    // Dispatch entries log old_status = new_status and are not transitions
+    result = await db.query(
+      `WITH changes AS (
+         SELECT h.order_id, h.old_status, h.new_status, h.created_at,
+                LAG(h.created_at) OVER (PARTITION BY h.order_id ORDER BY h.created_at) AS previous_at
+         FROM order_status_history h
+         JOIN orders o ON o.id = h.order_id
+         WHERE h.old_status IS DISTINCT FROM h.new_status
+           AND ($3::service_type IS NULL OR o.service_type = $3)
+       )
+       SELECT old_status::text AS from_status,
+              new_status::text AS to_status,
+              COUNT(*)::int AS transitions,
+              ROUND(AVG(EXTRACT(EPOCH FROM (created_at - previous_at)) / 3600)::numeric, 2)::float8 AS avg_hours,
+              ROUND((percentile_cont(0.5) WITHIN GROUP (
+                ORDER BY EXTRACT(EPOCH FROM (created_at - previous_at)) / 3600
+              ))::numeric, 2)::float8 AS median_hours
+       FROM changes
+       WHERE old_status IS NOT NULL
+         AND previous_at IS NOT NULL
+         AND created_at >= $1 AND created_at < $2
+       GROUP BY old_status, new_status
+       ORDER BY old_status, new_status`,
+      [from, to, serviceType]
+    );
+  }
+
+  return {
+    columns: ['from_status', 'to_status', 'transitions', 'avg_hours', 'median_hours'],
+    rows: result.rows
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV with a header row
+ */
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(csvValue).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  PERIODS,
+  revenue,
+  orderVolume,
+  refunds,
+  turnaround,
+  toCsv
+};
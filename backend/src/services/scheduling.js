@@ -0,0 +1,189 @@
+const db = require('../config/database');
+
+/**
+ * Pickup slot scheduling.
+ * Slots are generated from each service area's weekly hours in the
+ * area's own timezone; slot times are returned and stored in UTC.
+ */
+
+// Slots starting sooner than this cannot be booked
+const MIN_LEAD_MINUTES = 60;
+
+// How far ahead customers can book
+const MAX_DAYS_AHEAD = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function schedulingError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * All slots for an area between two local dates (inclusive) with their bookings
+ */
+async function getSlots(serviceAreaId, fromDate, toDate, client = db) {
+  const result = await client.query(
+    `WITH slots AS (
+       SELECT
+         ((d.day::date + h.opens_at + s.n * h.slot_minutes * INTERVAL '1 minute')
+           AT TIME ZONE a.timezone) AT TIME ZONE 'UTC' AS slot_start,
+         ((d.day::date + h.opens_at + (s.n + 1) * h.slot_minutes * INTERVAL '1 minute')
+           AT TIME ZONE a.timezone) AT TIME ZONE 'UTC' AS slot_end,
+         h.slot_capacity AS capacity
+       FROM service_areas a
+       JOIN service_area_hours h ON h.service_area_id = a.id
+       JOIN generate_series($2::date, $3::date, INTERVAL '1 day') AS d(day)
+         ON EXTRACT(DOW FROM d.day) = h.day_of_week
+       CROSS JOIN LATERAL generate_series(
+         0,
+         FLOOR(EXTRACT(EPOCH FROM (h.closes_at - h.opens_at)) / 60 / h.slot_minutes)::int - 1
+       ) AS s(n)
+       WHERE a.id = $1
+     )
+     SELECT slots.slot_start, slots.slot_end, slots.capacity, COUNT(r.id)::int AS booked
+     FROM slots
+     LEFT JOIN slot_reservations r
+       ON r.service_area_id = $1 AND r.slot_start = slots.slot_start
+     GROUP BY slots.slot_start, slots.slot_end, slots.capacity
+     ORDER BY slots.slot_start`,
+    [serviceAreaId, fromDate, toDate]
+  );
+
+  const earliestStart = Date.now() + MIN_LEAD_MINUTES * 60 * 1000;
+
+  return result.rows.map(slot => ({
+    start: slot.slot_start,
+    end: slot.slot_end,
+    capacity: slot.capacity,
+    remaining: Math.max(slot.capacity - slot.booked, 0),
+    available: slot.booked < slot.capacity && slot.slot_start.getTime() >= earliestStart
+  }));
+}
+
+/**
+ * Bookable slots for the next `days` days, starting today
+ */
+async function getAvailableSlots(serviceAreaId, { from = new Date(), days = 7 } = {}) {
+  const start = new Date(Math.max(from.getTime(), Date.now()));
+  const end = new Date(Math.min(
+    start.getTime() + (days - 1) * DAY_MS,
+    Date.now() + MAX_DAYS_AHEAD * DAY_MS
+  ));
+
+  const slots = await getSlots(serviceAreaId, toDateString(start), toDateString(end));
+  return slots.filter(slot => slot.available);
+}
+
+/**
+ * Lock a slot for an order being created in the caller's transaction.
+ * Returns the slot so the order can be inserted, after which
+ * recordReservation stores the booking. The advisory lock is held until
+ * the transaction ends, so capacity cannot be exceeded.
+ */
+async function lockSlot(client, serviceAreaId, scheduledTime) {
+  const requested = new Date(scheduledTime);
+
+  if (requested.getTime() > Date.now() + MAX_DAYS_AHEAD * DAY_MS) {
+    throw schedulingError(`Pickups can be booked at most ${MAX_DAYS_AHEAD} days ahead`);
+  }
+
+  await client.query(
+    'SELECT pg_advisory_xact_lock(hashtext($1))',
+    [`slot:${serviceAreaId}:${requested.toISOString()}`]
+  );
+
+  // Search the surrounding days so timezone offsets cannot hide the slot
+  const slots = await getSlots(
+    serviceAreaId,
+    toDateString(new Date(requested.getTime() - DAY_MS)),
+    toDateString(new Date(requested.getTime() + DAY_MS)),
+    client
+  );
+
+  const slot = slots.find(s => s.start.getTime() === requested.getTime());
+
+  if (!slot) {
+    throw schedulingError('scheduledTime must be the start of a pickup slot; see GET /api/scheduling/slots');
+  }
+
+  if (!slot.available) {
+    throw schedulingError(
+      slot.remaining === 0 ? 'This pickup slot is fully booked' : 'This pickup slot can no longer be booked',
+      409
+    );
+  }
+
+  return slot;
+}
+
+async function recordReservation(client, serviceAreaId, slot, orderId) {
+  await client.query(
+    `INSERT INTO slot_reservations (service_area_id, slot_start, slot_end, order_id)
+     VALUES ($1, $2, $3, $4)`,
+    [serviceAreaId, slot.start, slot.end, orderId]
+  );
+}
+
+/**
+ * Free the slot held by an order, e.g. when it is cancelled or rebooked
+ */
+async function releaseReservation(orderId, client = db) {
+  await client.query('DELETE FROM slot_reservations WHERE order_id = $1', [orderId]);
+}
+
+/**
+ * Turnaround hours for a service tier
+ */
+async function getTurnaround(serviceType) {
+  const result = await db.query(
+    'SELECT turnaround_min_hours, turnaround_max_hours FROM pricing_tiers WHERE service_type::text = $1',
+    [serviceType]
+  );
+
+  if (result.rows.length === 0) {
+    throw schedulingError('Invalid service type');
+  }
+
+  return {
+    minHours: result.rows[0].turnaround_min_hours,
+    maxHours: result.rows[0].turnaround_max_hours
+  };
+}
+
+/**
+ * Delivery window counted from the end of pickup
+ */
+function deliveryWindow({ minHours, maxHours }, pickupEnd) {
+  const base = new Date(pickupEnd).getTime();
+
+  return {
+    earliest: new Date(base + minHours * 60 * 60 * 1000),
+    latest: new Date(base + maxHours * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Delivery window from the tier's turnaround time
+ */
+async function estimateDelivery(serviceType, pickupEnd) {
+  return deliveryWindow(await getTurnaround(serviceType), pickupEnd);
+}
+
+module.exports = {
+  MIN_LEAD_MINUTES,
+  MAX_DAYS_AHEAD,
+  getSlots,
+  getAvailableSlots,
+  lockSlot,
+  recordReservation,
+  releaseReservation,
+  getTurnaround,
+  deliveryWindow,
+  estimateDelivery
+};
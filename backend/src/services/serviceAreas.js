@@ -0,0 +1,121 @@
+const db = require('../config/database');
+const { toCents, fromCents } = require('./pricing');
+
+/**
+ * Service area coverage.
+ * An address is covered by an active area when its zip code is listed
+ * on the area, or its coordinates fall inside the area's boundary.
+ * Boundaries are GeoJSON Polygons ([longitude, latitude] positions).
+ */
+
+/**
+ * Ray-casting test for a point against a single linear ring
+ */
+function ringContains(ring, longitude, latitude) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon, honouring holes
+ */
+function polygonContains(polygon, longitude, latitude) {
+  if (!polygon || polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates)) {
+    return false;
+  }
+
+  const [outer, ...holes] = polygon.coordinates;
+  if (!outer || !ringContains(outer, longitude, latitude)) {
+    return false;
+  }
+
+  return !holes.some(hole => ringContains(hole, longitude, latitude));
+}
+
+/**
+ * Find the active service area covering an address, or null.
+ * Zip code matches take precedence over boundary matches.
+ */
+async function findServiceArea({ zipCode, latitude, longitude } = {}, client = db) {
+  const zip = zipCode ? zipCode.trim() : null;
+  const hasPoint = typeof latitude === 'number' && typeof longitude === 'number';
+
+  if (!zip && !hasPoint) {
+    return null;
+  }
+
+  const result = await client.query(
+    `SELECT * FROM service_areas
+     WHERE is_active = TRUE
+       AND (($1::text IS NOT NULL AND $1 = ANY(zip_codes)) OR boundary IS NOT NULL)
+     ORDER BY created_at`,
+    [zip]
+  );
+
+  const byZip = zip && result.rows.find(area => area.zip_codes.includes(zip));
+  if (byZip) {
+    return byZip;
+  }
+
+  if (!hasPoint) {
+    return null;
+  }
+
+  return result.rows.find(area => polygonContains(area.boundary, longitude, latitude)) || null;
+}
+
+/**
+ * Apply an area's multiplier and surcharge to a price quote
+ */
+function applyAreaPricing(quote, area) {
+  const multiplier = parseFloat(area.price_multiplier);
+  const surchargeCents = toCents(area.surcharge);
+
+  const subtotalCents = toCents(quote.totalPrice);
+  const adjustedCents = Math.round(subtotalCents * multiplier) + surchargeCents;
+
+  return {
+    ...quote,
+    serviceArea: {
+      id: area.id,
+      name: area.name,
+      priceMultiplier: multiplier,
+      surcharge: fromCents(surchargeCents)
+    },
+    areaAdjustment: fromCents(adjustedCents - subtotalCents),
+    totalPrice: fromCents(adjustedCents)
+  };
+}
+
+/**
+ * Public view of an area for coverage checks and quotes
+ */
+function formatServiceArea(area) {
+  return {
+    id: area.id,
+    name: area.name,
+    timezone: area.timezone,
+    surcharge: parseFloat(area.surcharge),
+    priceMultiplier: parseFloat(area.price_multiplier)
+  };
+}
+
+module.exports = {
+  polygonContains,
+  findServiceArea,
+  applyAreaPricing,
+  formatServiceArea
+};
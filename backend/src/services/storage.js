@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage backends for uploads.
+ * A backend has `put(key, data, { contentType })`, `get(key)` resolving
+ * with the file's bytes, and `remove(key)`. Keys are relative paths such
+ * as `orders/<id>/completed/<uuid>.jpg`, generated by the server.
+ *
+ * The backend is chosen with STORAGE_BACKEND (default: local). `local`
+ * writes under STORAGE_LOCAL_DIR (default: ./uploads); other backends,
+ * e.g. for S3, can be added with registerBackend.
+ */
+
+function storageError(message, statusCode = 500) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function localPath(key) {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const file = path.resolve(root, key);
+
+  if (!file.startsWith(root + path.sep)) {
+    throw storageError(`Invalid storage key ${key}`);
+  }
+
+  return file;
+}
+
+// Files on the server's disk
+const localBackend = {
+  async put(key, data) {
+    const file = localPath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+  },
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(localPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw storageError('File not found', 404);
+      }
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const backends = {
+  local: localBackend
+};
+
+/**
+ * Make a backend available by name, e.g. for a cloud provider
+ */
+function registerBackend(name, backend) {
+  backends[name] = backend;
+}
+
+/**
+ * Name of the configured backend, stored with each file so files stay
+ * readable after the setting changes
+ */
+function getBackendName() {
+  return process.env.STORAGE_BACKEND || 'local';
+}
+
+function getBackend(name = getBackendName()) {
+  const backend = backends[name];
+
+  if (!backend) {
+    throw storageError(`No storage backend named "${name}"`);
+  }
+
+  return backend;
+}
+
+module.exports = {
+  registerBackend,
+  getBackendName,
+  getBackend
+};
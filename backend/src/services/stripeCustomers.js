@@ -0,0 +1,71 @@
+const db = require('../config/database');
+const stripe = require('../config/stripe');
+const { clerkClient } = require('@clerk/clerk-sdk-node');
+
+/**
+ * Get the Stripe customer ID for a user, creating the customer if needed.
+ * The ID is stored on users.stripe_customer_id; customers created before
+ * that column existed are picked up from Clerk publicMetadata and copied over.
+ */
+async function getOrCreateCustomerId({ userId, clerkId, email }) {
+  const userResult = await db.query(
+    'SELECT stripe_customer_id FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userResult.rows[0]?.stripe_customer_id) {
+    return userResult.rows[0].stripe_customer_id;
+  }
+
+  const clerkUser = await clerkClient.users.getUser(clerkId);
+  let customerId = clerkUser.publicMetadata?.stripeCustomerId;
+
+  // Create Stripe customer if doesn't exist
+  if (!customerId) {
+    const customer = await stripe.customers.create({
+      email,
+      metadata: {
+        clerkId: clerkId,
+        userId: userId
+      }
+    });
+    customerId = customer.id;
+
+    // Keep Clerk metadata in sync for older app versions
+    await clerkClient.users.updateUserMetadata(clerkId, {
+      publicMetadata: {
+        ...(clerkUser.publicMetadata || {}),
+        stripeCustomerId: customerId
+      }
+    });
+  }
+
+  // Another request may have stored a customer first; keep that one
+  const saved = await db.query(
+    `UPDATE users SET stripe_customer_id = COALESCE(stripe_customer_id, $1)
+     WHERE id = $2
+     RETURNING stripe_customer_id`,
+    [customerId, userId]
+  );
+
+  return saved.rows[0].stripe_customer_id;
+}
+
+/**
+ * Default payment method ID for a customer, or null
+ */
+async function getDefaultPaymentMethodId(customerId) {
+  const customer = await stripe.customers.retrieve(customerId);
+  const defaultMethod = customer.invoice_settings?.default_payment_method;
+
+  if (!defaultMethod) {
+    return null;
+  }
+
+  return typeof defaultMethod === 'string' ? defaultMethod : defaultMethod.id;
+}
+
+module.exports = {
+  getOrCreateCustomerId,
+  getDefaultPaymentMethodId
+};
@@ -0,0 +1,337 @@
+const db = require('../config/database');
+const memberships = require('./memberships');
+const refunds = require('./refunds');
+const webhooks = require('./webhooks');
+const { syncPaymentIntent } = require('./payments');
+const { fromCents } = require('./pricing');
+
+/**
+ * Durable log of Stripe webhook events.
+ * Every verified event is stored in stripe_events under Stripe's event ID
+ * before it is handled, and handled inside a transaction that also marks
+ * it processed, so a redelivered event is never applied twice.
+ *
+ * A handler returns the status to record:
+ * - processed: the event was applied
+ * - unmatched: the payment or membership it refers to does not exist yet;
+ *   the event is retried when that row is created and by the background
+ *   worker
+ * - ignored: nothing to do for this event
+ * Handlers that throw leave the event failed, to be retried the same way.
+ */
+
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_SECONDS = 60;
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Statuses the worker and Stripe redeliveries may (re)process
+const RETRYABLE_STATUSES = ['pending', 'unmatched', 'failed'];
+
+async function findPaymentByIntent(intentId, client) {
+  const result = await client.query(
+    'SELECT * FROM payments WHERE stripe_payment_intent_id = $1',
+    [intentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function handlePaymentIntent(event, client) {
+  const paymentIntent = event.data.object;
+
+  // The charge request may already have marked the payment completed
+  const payment = await syncPaymentIntent(paymentIntent, client) ||
+    await findPaymentByIntent(paymentIntent.id, client);
+
+  if (!payment) {
+    // Membership invoices are charged by Stripe Billing, not by processPayment
+    return paymentIntent.invoice ? 'ignored' : 'unmatched';
+  }
+
+  if (event.type === 'payment_intent.succeeded') {
+    await webhooks.emit('payment.completed', { payment }, payment.id, client);
+  } else if (event.type === 'payment_intent.payment_failed') {
+    await webhooks.emit('payment.failed', {
+      payment,
+      error: paymentIntent.last_payment_error?.message || null
+    }, event.id, client);
+  }
+
+  console.log(`PaymentIntent ${paymentIntent.status}:`, paymentIntent.id);
+  return 'processed';
+}
+
+async function handleChargeRefunded(event, client) {
+  const charge = event.data.object;
+
+  // Keep refunded_amount, status and the refunds table in sync,
+  // including refunds issued from the Stripe dashboard
+  const payment = await refunds.syncChargeRefunds(charge, client);
+
+  if (!payment) {
+    return charge.invoice ? 'ignored' : 'unmatched';
+  }
+
+  await webhooks.emit('payment.refunded', {
+    payment,
+    amountRefunded: fromCents(charge.amount_refunded)
+  }, event.id, client);
+
+  console.log('Charge refunded:', charge.id);
+  return 'processed';
+}
+
+async function handleInvoicePaid(event, client) {
+  const invoice = event.data.object;
+
+  if (!invoice.subscription) {
+    return 'ignored';
+  }
+
+  const membership = await memberships.recordInvoicePaid(invoice, client);
+  if (!membership) {
+    return 'unmatched';
+  }
+
+  console.log('Membership invoice paid:', invoice.id);
+  return 'processed';
+}
+
+async function handleSubscription(event, client) {
+  const subscription = event.data.object;
+
+  const membership = await memberships.syncSubscription(subscription, event.created, client);
+  if (!membership) {
+    return 'unmatched';
+  }
+
+  console.log(`Subscription ${subscription.status}:`, subscription.id);
+  return 'processed';
+}
+
+const HANDLERS = {
+  'payment_intent.succeeded': handlePaymentIntent,
+  'payment_intent.payment_failed': handlePaymentIntent,
+  'payment_intent.requires_action': handlePaymentIntent,
+  'payment_intent.processing': handlePaymentIntent,
+  'payment_intent.canceled': handlePaymentIntent,
+  'charge.refunded': handleChargeRefunded,
+  'invoice.paid': handleInvoicePaid,
+  'customer.subscription.created': handleSubscription,
+  'customer.subscription.updated': handleSubscription,
+  'customer.subscription.deleted': handleSubscription,
+  'customer.subscription.paused': handleSubscription,
+  'customer.subscription.resumed': handleSubscription
+};
+
+/**
+ * PaymentIntent an event refers to, used to find events to retry once
+ * the payment exists
+ */
+function paymentIntentIdOf(event) {
+  const object = event.data?.object || {};
+
+  if (object.object === 'payment_intent') {
+    return object.id;
+  }
+
+  return typeof object.payment_intent === 'string' ? object.payment_intent : null;
+}
+
+/**
+ * Subscription an event refers to, used to find events to retry once
+ * the membership exists
+ */
+function subscriptionIdOf(event) {
+  const object = event.data?.object || {};
+
+  if (object.object === 'subscription') {
+    return object.id;
+  }
+
+  return typeof object.subscription === 'string' ? object.subscription : null;
+}
+
+/**
+ * Store a verified event. Returns false if it was already stored.
+ */
+async function record(event) {
+  const result = await db.query(
+    `INSERT INTO stripe_events (id, type, payment_intent_id, subscription_id, payload, stripe_created_at)
+     VALUES ($1, $2, $3, $4, $5, to_timestamp($6))
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id`,
+    [
+      event.id,
+      event.type,
+      paymentIntentIdOf(event),
+      subscriptionIdOf(event),
+      JSON.stringify(event),
+      event.created
+    ]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Seconds until the next automatic retry, or null once attempts run out
+ */
+function retryDelay(attempts) {
+  return attempts < MAX_ATTEMPTS ? RETRY_BASE_SECONDS * 2 ** (attempts - 1) : null;
+}
+
+/**
+ * Handle a stored event. Only pending, unmatched and failed events are
+ * handled unless `force` is set. Resolves with the updated event, or
+ * null if the event is missing, already handled or being handled by
+ * another request.
+ */
+async function processEvent(eventId, { force = false } = {}) {
+  const client = await db.pool.connect();
+  let stored = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const eventResult = await client.query(
+      `SELECT * FROM stripe_events
+       WHERE id = $1 AND ($2::boolean OR status = ANY($3::stripe_event_status[]))
+       FOR UPDATE SKIP LOCKED`,
+      [eventId, force, RETRYABLE_STATUSES]
+    );
+
+    stored = eventResult.rows[0];
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const handler = HANDLERS[stored.type];
+    const status = handler ? await handler(stored.payload, client) : 'ignored';
+    const attempts = stored.attempts + 1;
+
+    const result = await client.query(
+      `UPDATE stripe_events
+       SET status = $1,
+           attempts = $2,
+           last_error = NULL,
+           processed_at = CASE WHEN $1::stripe_event_status = 'processed' THEN CURRENT_TIMESTAMP ELSE processed_at END,
+           next_attempt_at = CURRENT_TIMESTAMP + $3::integer * INTERVAL '1 second'
+       WHERE id = $4
+       RETURNING *`,
+      [status, attempts, status === 'unmatched' ? retryDelay(attempts) : null, eventId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (!stored) {
+      throw error;
+    }
+
+    console.error(`Stripe event ${eventId} failed:`, error);
+
+    const attempts = stored.attempts + 1;
+    const result = await db.query(
+      `UPDATE stripe_events
+       SET status = 'failed',
+           attempts = $1,
+           last_error = $2,
+           next_attempt_at = CURRENT_TIMESTAMP + $3::integer * INTERVAL '1 second'
+       WHERE id = $4
+       RETURNING *`,
+      [attempts, error.message, retryDelay(attempts), eventId]
+    );
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retry the unmatched events for a PaymentIntent, oldest first
+ */
+async function retryUnmatched(paymentIntentId) {
+  const result = await db.query(
+    `SELECT id FROM stripe_events
+     WHERE payment_intent_id = $1 AND status = 'unmatched'
+     ORDER BY stripe_created_at`,
+    [paymentIntentId]
+  );
+
+  for (const { id } of result.rows) {
+    await processEvent(id);
+  }
+}
+
+/**
+ * Retry the unmatched events for a subscription, oldest first
+ */
+async function retryUnmatchedSubscription(subscriptionId) {
+  const result = await db.query(
+    `SELECT id FROM stripe_events
+     WHERE subscription_id = $1 AND status = 'unmatched'
+     ORDER BY stripe_created_at`,
+    [subscriptionId]
+  );
+
+  for (const { id } of result.rows) {
+    await processEvent(id);
+  }
+}
+
+let processing = false;
+
+/**
+ * Retry every event that is due
+ */
+async function processDue() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    let due;
+    do {
+      const result = await db.query(
+        `SELECT id FROM stripe_events
+         WHERE status = ANY($1::stripe_event_status[]) AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY stripe_created_at
+         LIMIT $2`,
+        [RETRYABLE_STATUSES, BATCH_SIZE]
+      );
+      due = result.rows;
+
+      for (const { id } of due) {
+        await processEvent(id);
+      }
+    } while (due.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Stripe event processing failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Poll for events due for a retry in the background
+ */
+function startWorker() {
+  processDue();
+  setInterval(processDue, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  record,
+  processEvent,
+  retryUnmatched,
+  retryUnmatchedSubscription,
+  processDue,
+  startWorker
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Outgoing webhooks for partner integrations.
+ * Emitting an event queues one delivery per subscribed endpoint in
+ * webhook_deliveries; a background worker POSTs them and retries
+ * failures with exponential backoff. Every request is signed with the
+ * endpoint's secret:
+ *
+ *   X-HappyLaunderer-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+const EVENT_TYPES = [
+  'order.created',
+  'order.status_changed',
+  'payment.completed',
+  'payment.failed',
+  'payment.refunded'
+];
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 60;
+const BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 15 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const STALE_SENDING_MINUTES = 5;
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_LOGGED_RESPONSE = 1000;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it.
+ * `key` identifies the occurrence (e.g. a payment ID) so emitting the
+ * same occurrence twice delivers it only once.
+ */
+async function emit(type, data, key = null, client = db) {
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  const result = await client.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, event_key, payload)
+     SELECT id, $1, $2::text, $3, $4
+     FROM webhook_endpoints
+     WHERE is_active = TRUE AND $2::text = ANY(event_types)
+     ON CONFLICT (endpoint_id, event_key) WHERE event_key IS NOT NULL AND replay_of IS NULL
+     DO NOTHING
+     RETURNING id`,
+    [eventId, type, key ? `${type}:${key}` : null, JSON.stringify(payload)]
+  );
+
+  if (result.rows.length > 0) {
+    setImmediate(processDeliveries);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Send a delivery again as a new log entry
+ */
+async function replay(deliveryId) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, replay_of)
+     SELECT endpoint_id, event_id, event_type, payload, id
+     FROM webhook_deliveries
+     WHERE id = $1
+     RETURNING *`,
+    [deliveryId]
+  );
+
+  if (result.rows.length > 0) {
+    setImmediate(processDeliveries);
+  }
+
+  return result.rows[0] || null;
+}
+
+async function claimDue() {
+  const result = await db.query(
+    `UPDATE webhook_deliveries d
+     SET status = 'sending', attempts = d.attempts + 1
+     FROM webhook_endpoints e
+     WHERE e.id = d.endpoint_id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute')
+         ORDER BY next_attempt_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, e.url, e.secret`,
+    [STALE_SENDING_MINUTES, BATCH_SIZE]
+  );
+
+  return result.rows;
+}
+
+async function deliver(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  let statusCode = null;
+  let responseText = null;
+  let errorMessage = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HappyLaunderer-Webhooks/1.0',
+        'X-HappyLaunderer-Event': delivery.event_type,
+        'X-HappyLaunderer-Delivery': delivery.id,
+        'X-HappyLaunderer-Signature': sign(delivery.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    responseText = (await response.text()).slice(0, MAX_LOGGED_RESPONSE);
+    if (!response.ok) {
+      errorMessage = `Endpoint responded ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  if (!errorMessage) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'succeeded', delivered_at = CURRENT_TIMESTAMP,
+           last_status_code = $1, last_response = $2, last_error = NULL
+       WHERE id = $3`,
+      [statusCode, responseText, delivery.id]
+    );
+    return;
+  }
+
+  const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+  const delaySeconds = RETRY_BASE_SECONDS * 2 ** (delivery.attempts - 1);
+
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $1,
+         last_status_code = $2,
+         last_response = $3,
+         last_error = $4,
+         next_attempt_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 second'
+     WHERE id = $6`,
+    [giveUp ? 'failed' : 'pending', statusCode, responseText, errorMessage, delaySeconds, delivery.id]
+  );
+}
+
+let processing = false;
+
+/**
+ * Send every delivery that is due
+ */
+async function processDeliveries() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    let deliveries;
+    do {
+      deliveries = await claimDue();
+      for (const delivery of deliveries) {
+        await deliver(delivery);
+      }
+    } while (deliveries.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Webhook delivery processing failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Poll for due deliveries in the background
+ */
+function startWorker() {
+  processDeliveries();
+  setInterval(processDeliveries, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  generateSecret,
+  sign,
+  emit,
+  replay,
+  processDeliveries,
+  startWorker
+};
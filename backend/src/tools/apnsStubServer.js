@@ -0,0 +1,61 @@
+/**
+ * Local stand-in for APNs, for developing and testing push delivery.
+ * Speaks HTTP/2 without TLS; point the API at it with
+ * APNS_HOST=http://localhost:2197 and NOTIFICATION_PUSH_TRANSPORT=apns.
+ *
+ * Responses follow APNs:
+ * - 400 BadDeviceToken for tokens that are not 64 hex characters
+ * - 410 Unregistered for tokens starting with "0000"
+ * - 200 with an apns-id header otherwise
+ */
+const crypto = require('crypto');
+const http2 = require('http2');
+
+const PORT = process.env.APNS_STUB_PORT || 2197;
+
+function respond(stream, status, body = null) {
+  stream.respond({
+    ':status': status,
+    'apns-id': crypto.randomUUID(),
+    ...(body && { 'content-type': 'application/json' })
+  });
+  stream.end(body ? JSON.stringify(body) : undefined);
+}
+
+const server = http2.createServer();
+
+server.on('stream', (stream, headers) => {
+  const match = /^\/3\/device\/([^/]+)$/.exec(headers[':path']);
+  let body = '';
+
+  stream.setEncoding('utf8');
+  stream.on('data', chunk => {
+    body += chunk;
+  });
+  stream.on('end', () => {
+    const token = match && match[1];
+    console.log(`[apns-stub] ${headers[':method']} ${headers[':path']} topic=${headers['apns-topic']} ${body}`);
+
+    if (headers[':method'] !== 'POST' || !match) {
+      return respond(stream, 405, { reason: 'MethodNotAllowed' });
+    }
+    if (!headers.authorization) {
+      return respond(stream, 403, { reason: 'MissingProviderToken' });
+    }
+    if (!headers['apns-topic']) {
+      return respond(stream, 400, { reason: 'MissingTopic' });
+    }
+    if (!/^[0-9a-f]{64}$/i.test(token)) {
+      return respond(stream, 400, { reason: 'BadDeviceToken' });
+    }
+    if (token.startsWith('0000')) {
+      return respond(stream, 410, { reason: 'Unregistered', timestamp: Date.now() });
+    }
+
+    respond(stream, 200);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`APNs stub listening on http://localhost:${PORT}`);
+});
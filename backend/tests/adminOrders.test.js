@@ -0,0 +1,93 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const adminOrderController = require('../src/controllers/adminOrderController');
+const { callController } = require('./helpers');
+
+const ORDER_IDS = [
+  'a0000000-0000-4000-8000-000000000001',
+  'a0000000-0000-4000-8000-000000000002',
+  'a0000000-0000-4000-8000-000000000003'
+];
+
+function rows(count) {
+  return ORDER_IDS.slice(0, count).map((id, i) => ({
+    id,
+    status: 'pending',
+    cursor_value: `2030-01-0${i + 1} 10:00:00.123456`
+  }));
+}
+
+function list(query) {
+  return callController(adminOrderController.listOrders, { query, user: { clerkId: 'admin', role: 'admin' } });
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('listOrders', () => {
+  test('combines filters into one parameterized query', async () => {
+    await list({ status: 'pending, ready', serviceType: 'express', driverId: 'unassigned', zipCode: '94102', search: 'Ann' });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/o\.status = ANY\(\$1::order_status\[\]\)/);
+    expect(sql).toMatch(/o\.service_type = \$2/);
+    expect(sql).toMatch(/o\.driver_id IS NULL/);
+    expect(sql).toMatch(/pickup_address->>'zipCode' = \$3 OR o\.delivery_address->>'zipCode' = \$3/);
+    expect(sql).toMatch(/c\.name ILIKE \$4 OR c\.phone ILIKE \$4 OR o\.id::text LIKE \$5/);
+    expect(params).toEqual([['pending', 'ready'], 'express', '94102', '%Ann%', 'ann%', 51]);
+  });
+
+  test('rejects unknown statuses', async () => {
+    const { res } = await list({ status: 'pending,lost' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid status: lost');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('returns a cursor only when there is another page', async () => {
+    db.query.mockResolvedValueOnce({ rows: rows(3) });
+
+    const { res } = await list({ limit: 2 });
+
+    expect(res.body.orders).toEqual([
+      { id: ORDER_IDS[0], status: 'pending' },
+      { id: ORDER_IDS[1], status: 'pending' }
+    ]);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+
+    db.query.mockResolvedValueOnce({ rows: rows(2) });
+    const last = await list({ limit: 2 });
+    expect(last.res.body.nextCursor).toBeNull();
+  });
+
+  test('continues after the cursor row in sort order', async () => {
+    db.query.mockResolvedValueOnce({ rows: rows(3) });
+    const { res } = await list({ limit: 2 });
+
+    await list({ limit: 2, cursor: res.body.nextCursor, sort: 'createdAt', direction: 'desc' });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toMatch(/\(o\.created_at, o\.id\) < \(\$1::timestamp, \$2::uuid\)/);
+    expect(sql).toMatch(/ORDER BY o\.created_at DESC, o\.id DESC/);
+    expect(params.slice(0, 2)).toEqual(['2030-01-02 10:00:00.123456', ORDER_IDS[1]]);
+  });
+
+  test('ascending pages compare the other way', async () => {
+    const cursor = Buffer.from(JSON.stringify(['25.00', ORDER_IDS[0]])).toString('base64url');
+
+    await list({ cursor, sort: 'price', direction: 'asc' });
+
+    expect(db.query.mock.calls[0][0]).toMatch(/\(o\.price, o\.id\) > \(\$1::numeric, \$2::uuid\)/);
+  });
+
+  test('rejects malformed cursors', async () => {
+    const { res } = await list({ cursor: 'not-a-cursor' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+});
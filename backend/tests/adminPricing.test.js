@@ -0,0 +1,96 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../src/config/database');
+const adminPricingController = require('../src/controllers/adminPricingController');
+const { callController } = require('./helpers');
+
+const admin = { clerkId: 'admin_clerk', role: 'admin' };
+let client;
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.query.mockResolvedValue({ rows: [{ id: 'admin-1' }] });
+  client = { query: jest.fn(async () => ({ rows: [{ id: 'row-1' }] })), release: jest.fn() };
+  db.pool.connect.mockResolvedValue(client);
+});
+
+describe('createTier', () => {
+  const body = {
+    serviceType: 'premium',
+    name: 'Premium',
+    basePrice: 45,
+    rateType: 'per_item',
+    unitPrice: 2,
+    includedUnits: 10,
+    features: ['Hand finished', 'Garment bags']
+  };
+
+  test('creates the tier, its features and first price version in one transaction', async () => {
+    const { res, error } = await callController(adminPricingController.createTier, { body, user: admin });
+
+    expect(error).toBeUndefined();
+    expect(res.statusCode).toBe(201);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    expect(statements).toEqual([
+      'BEGIN',
+      'INSERT INTO pricing_tiers',
+      'INSERT INTO pricing_tier_features',
+      'INSERT INTO pricing_tier_features',
+      'INSERT INTO pricing_tier_versions',
+      'COMMIT'
+    ]);
+    expect(client.query.mock.calls[4][1]).toEqual(['premium', 45, 'per_item', 2, 10, undefined, 'admin-1']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('rolls back when a statement fails', async () => {
+    const failure = new Error('duplicate key');
+    client.query.mockImplementation(async sql => {
+      if (sql.includes('pricing_tier_versions')) throw failure;
+      return { rows: [{}] };
+    });
+
+    const { error } = await callController(adminPricingController.createTier, { body, user: admin });
+
+    expect(error).toBe(failure);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('validates rate types and prices', async () => {
+    const { error } = await callController(adminPricingController.createTier, {
+      body: { ...body, rateType: 'per_bag', basePrice: -1 },
+      user: admin
+    });
+
+    expect(error.isJoi).toBe(true);
+  });
+});
+
+describe('price versions', () => {
+  test('scheduling a version for an unknown tier returns 404', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(adminPricingController.createTierPriceVersion, {
+      params: { serviceType: 'deluxe' },
+      body: { basePrice: 30 },
+      user: admin
+    });
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('only versions that have not taken effect can be deleted', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(adminPricingController.deleteTierPriceVersion, {
+      params: { serviceType: 'standard', versionId: 'version-1' },
+      user: admin
+    });
+
+    expect(db.query.mock.calls[0][0]).toMatch(/effective_from > CURRENT_TIMESTAMP/);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Scheduled price version not found');
+  });
+});
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const http2 = require('http2');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const apns = require('../src/services/apns');
+const authController = require('../src/controllers/authController');
+const { callController } = require('./helpers');
+
+const GOOD_TOKEN = 'ab'.repeat(32);
+const UNREGISTERED_TOKEN = `0000${'ab'.repeat(30)}`;
+const BAD_TOKEN = 'cd'.repeat(32);
+
+const NOTIFICATION = {
+  event: 'order.ready',
+  userId: 'user-1',
+  payload: {
+    title: 'Laundry ready',
+    body: 'Your laundry is clean and ready for delivery.',
+    data: { orderId: 'order-1', status: 'ready' }
+  }
+};
+
+let server;
+let requests;
+const sessions = new Set();
+
+// Answers like APNs: 200, 410 Unregistered, 400 BadDeviceToken or a 500
+function respond(stream, token) {
+  const responses = {
+    [GOOD_TOKEN]: [200],
+    [UNREGISTERED_TOKEN]: [410, { reason: 'Unregistered' }],
+    [BAD_TOKEN]: [400, { reason: 'BadDeviceToken' }]
+  };
+  const [status, body] = responses[token] || [500, { reason: 'InternalServerError' }];
+
+  stream.respond({ ':status': status });
+  stream.end(body ? JSON.stringify(body) : undefined);
+}
+
+beforeAll(done => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  process.env.APNS_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  process.env.APNS_KEY_ID = 'KEY123';
+  process.env.APNS_TEAM_ID = 'TEAM123';
+  process.env.APNS_BUNDLE_ID = 'com.happylaunderer.app';
+
+  server = http2.createServer();
+  server.on('session', session => {
+    sessions.add(session);
+    session.on('close', () => sessions.delete(session));
+  });
+  server.on('stream', (stream, headers) => {
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      body += chunk;
+    });
+    stream.on('end', () => {
+      const token = headers[':path'].split('/').pop();
+      requests.push({ headers, token, body: JSON.parse(body) });
+      respond(stream, token);
+    });
+  });
+  server.listen(0, () => {
+    process.env.APNS_HOST = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  sessions.forEach(session => session.destroy());
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests = [];
+  db.query.mockReset();
+});
+
+describe('buildPayload', () => {
+  test('maps an outbox notification to an APNs alert threaded by order', () => {
+    expect(apns.buildPayload(NOTIFICATION)).toEqual({
+      aps: {
+        alert: { title: 'Laundry ready', body: 'Your laundry is clean and ready for delivery.' },
+        sound: 'default',
+        'thread-id': 'order-order-1'
+      },
+      event: 'order.ready',
+      orderId: 'order-1',
+      status: 'ready'
+    });
+  });
+});
+
+describe('sendNotification', () => {
+  function mockDevices(...tokens) {
+    db.query.mockResolvedValueOnce({
+      rows: tokens.map(token => ({ token, environment: 'sandbox' }))
+    });
+    db.query.mockResolvedValue({ rows: [] });
+  }
+
+  test('sends to every device with a signed provider token', async () => {
+    mockDevices(GOOD_TOKEN);
+
+    expect(await apns.sendNotification(NOTIFICATION)).toEqual({ sent: 1, removed: 0, failed: 0 });
+
+    const [{ headers, body }] = requests;
+    expect(headers['apns-topic']).toBe('com.happylaunderer.app');
+    expect(headers['apns-push-type']).toBe('alert');
+    expect(body.aps.alert.title).toBe('Laundry ready');
+
+    const [header, claims] = headers.authorization.replace('bearer ', '').split('.')
+      .slice(0, 2)
+      .map(part => JSON.parse(Buffer.from(part, 'base64url').toString()));
+    expect(header).toEqual({ alg: 'ES256', kid: 'KEY123' });
+    expect(claims.iss).toBe('TEAM123');
+  });
+
+  test('removes tokens APNs reports as invalid', async () => {
+    mockDevices(GOOD_TOKEN, UNREGISTERED_TOKEN, BAD_TOKEN);
+
+    expect(await apns.sendNotification(NOTIFICATION)).toEqual({ sent: 1, removed: 2, failed: 0 });
+    expect(db.query.mock.calls.slice(1).map(call => call[1])).toEqual([[UNREGISTERED_TOKEN], [BAD_TOKEN]]);
+  });
+
+  test('rejects for a retry when a device fails for another reason', async () => {
+    mockDevices(GOOD_TOKEN, 'ef'.repeat(32));
+
+    const error = await apns.sendNotification(NOTIFICATION).catch(err => err);
+
+    expect(error.message).toBe('1 of 2 devices failed: APNs responded 500 (InternalServerError)');
+    expect(error.permanent).toBe(false);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('requires a bundle ID', async () => {
+    const bundleId = process.env.APNS_BUNDLE_ID;
+    delete process.env.APNS_BUNDLE_ID;
+
+    try {
+      await expect(apns.sendNotification(NOTIFICATION)).rejects.toThrow('APNS_BUNDLE_ID must be set');
+    } finally {
+      process.env.APNS_BUNDLE_ID = bundleId;
+    }
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('device registration', () => {
+  const user = { clerkId: 'user_1' };
+
+  test('stores lowercased tokens with their environment and app version', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'user-1' }] })
+      .mockResolvedValueOnce({ rows: [{ token: GOOD_TOKEN, environment: 'production' }] });
+
+    const { res, error } = await callController(authController.registerDevice, {
+      user,
+      body: { token: GOOD_TOKEN.toUpperCase(), environment: 'production', appVersion: '1.4.0' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.statusCode).toBe(201);
+    expect(db.query.mock.calls[1][0]).toContain('ON CONFLICT (token) DO UPDATE');
+    expect(db.query.mock.calls[1][1]).toEqual(['user-1', GOOD_TOKEN, 'production', '1.4.0']);
+  });
+
+  test('rejects malformed tokens and unknown environments', async () => {
+    for (const body of [
+      { token: 'not-hex', environment: 'sandbox' },
+      { token: GOOD_TOKEN, environment: 'staging' }
+    ]) {
+      const { error } = await callController(authController.registerDevice, { user, body });
+      expect(error.isJoi).toBe(true);
+    }
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('only unregisters the caller\'s own devices', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(authController.unregisterDevice, {
+      user,
+      params: { token: GOOD_TOKEN.toUpperCase() }
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(db.query.mock.calls[0][1]).toEqual(['user_1', GOOD_TOKEN]);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({ paymentIntents: { create: jest.fn(), retrieve: jest.fn() } }));
+jest.mock('../src/services/stripeCustomers', () => ({
+  getOrCreateCustomerId: jest.fn(),
+  getDefaultPaymentMethodId: jest.fn()
+}));
+jest.mock('../src/services/stripeEvents', () => ({ retryUnmatched: jest.fn() }));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const stripeCustomers = require('../src/services/stripeCustomers');
+const stripeEvents = require('../src/services/stripeEvents');
+const paymentController = require('../src/controllers/paymentController');
+const { callController } = require('./helpers');
+
+const ORDER_ID = '2f8e4c1a-7b3d-4e5f-a6b7-c8d9e0f1a2b3';
+const attempt = { id: 'payment-1', order_id: ORDER_ID, amount: '42.50', status: 'pending', payment_method_id: 'pm_default' };
+
+let client;
+
+// Serve the order lock and payment lookup of startAttempt
+function mockAttempt({ order = { id: ORDER_ID, price: '42.50' }, payments = [] } = {}) {
+  client = {
+    query: jest.fn(async sql => {
+      if (sql.includes('FROM orders')) return { rows: order ? [order] : [] };
+      if (sql.includes('FROM payments')) return { rows: payments };
+      if (sql.includes('INSERT INTO payments')) return { rows: [attempt] };
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+function charge(body = { orderId: ORDER_ID }) {
+  return callController(paymentController.processPayment, { body, user: { clerkId: 'user_1' } });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockImplementation(async sql => {
+    if (sql.includes('FROM users')) return { rows: [{ id: 'user-1' }] };
+    if (sql.includes('UPDATE payments')) return { rows: [{ ...attempt, status: 'completed' }] };
+    return { rows: [] };
+  });
+  stripeCustomers.getOrCreateCustomerId.mockResolvedValue('cus_1');
+  stripeCustomers.getDefaultPaymentMethodId.mockResolvedValue('pm_default');
+  stripeEvents.retryUnmatched.mockResolvedValue();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('processPayment', () => {
+  test('records the attempt before charging and keys the charge on it', async () => {
+    mockAttempt();
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_1', status: 'succeeded', latest_charge: 'ch_1' });
+
+    const { res } = await charge();
+
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(client.release.mock.invocationCallOrder[0])
+      .toBeLessThan(stripe.paymentIntents.create.mock.invocationCallOrder[0]);
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[0];
+    expect(params).toMatchObject({ amount: 4250, customer: 'cus_1', payment_method: 'pm_default' });
+    expect(options).toEqual({ idempotencyKey: `charge:${ORDER_ID}:payment-1` });
+
+    const update = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE payments'));
+    expect(update[1]).toEqual(['pi_1', 'ch_1', 'completed', 'payment-1']);
+    expect(res.body).toMatchObject({ success: true, requiresAction: false });
+  });
+
+  test('retries an attempt whose outcome is unknown with the same key', async () => {
+    mockAttempt({ payments: [attempt] });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_1', status: 'succeeded' });
+
+    await charge();
+
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payments'))).toBe(false);
+    expect(stripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: `charge:${ORDER_ID}:payment-1` });
+  });
+
+  test('leaves the attempt pending when Stripe cannot be reached', async () => {
+    mockAttempt();
+    const timeout = Object.assign(new Error('Request timed out'), { type: 'StripeConnectionError' });
+    stripe.paymentIntents.create.mockRejectedValue(timeout);
+
+    const { error } = await charge();
+
+    expect(error).toBe(timeout);
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE payments|INSERT INTO payments/.test(sql))).toBe(false);
+  });
+
+  test('marks a declined attempt failed', async () => {
+    mockAttempt();
+    const declined = Object.assign(new Error('Your card was declined.'), {
+      type: 'StripeCardError',
+      statusCode: 402,
+      payment_intent: { id: 'pi_declined' }
+    });
+    stripe.paymentIntents.create.mockRejectedValue(declined);
+
+    const { error } = await charge();
+
+    expect(error).toBe(declined);
+    const update = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE payments'));
+    expect(update[0]).toMatch(/SET status = 'failed'/);
+    expect(update[1]).toEqual(['pi_declined', 'Your card was declined.', 'payment-1']);
+  });
+
+  test('rejects orders that are already paid', async () => {
+    mockAttempt({ payments: [{ ...attempt, status: 'completed' }] });
+
+    const { res } = await charge();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Order already paid');
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  test('requires a card when the customer has no default', async () => {
+    stripeCustomers.getDefaultPaymentMethodId.mockResolvedValue(null);
+
+    const { res } = await charge();
+
+    expect(res.statusCode).toBe(400);
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+});
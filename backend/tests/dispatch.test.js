@@ -0,0 +1,111 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('@clerk/clerk-sdk-node', () => ({ clerkClient: { users: { getUser: jest.fn() } } }));
+jest.mock('../src/services/realtime', () => ({ publishDriverAssignment: jest.fn() }));
+
+const db = require('../src/config/database');
+const { clerkClient } = require('@clerk/clerk-sdk-node');
+const realtime = require('../src/services/realtime');
+const dispatchController = require('../src/controllers/dispatchController');
+const { callController } = require('./helpers');
+
+const ORDER_ID = 'order-1';
+const DRIVER_ID = '0b6c4f8e-2a1d-4e3b-9c5f-7d8e9f0a1b2c';
+
+beforeEach(() => {
+  db.query.mockReset();
+  realtime.publishDriverAssignment.mockReset();
+});
+
+describe('claimOrder', () => {
+  const req = { params: { id: ORDER_ID }, user: { clerkId: 'driver_clerk' } };
+
+  test('assigns an unclaimed pending order to the calling driver', async () => {
+    const order = { id: ORDER_ID, status: 'pending', driver_id: DRIVER_ID };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: DRIVER_ID }] })
+      .mockResolvedValueOnce({ rows: [order] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(dispatchController.claimOrder, req);
+
+    expect(res.body).toEqual({ success: true, order });
+    expect(db.query.mock.calls[1][0]).toMatch(/WHERE id = \$2 AND driver_id IS NULL AND status = 'pending'/);
+    expect(db.query.mock.calls[2][1]).toEqual([ORDER_ID, 'pending', 'pending', DRIVER_ID, DRIVER_ID, 'Claimed by driver']);
+    expect(realtime.publishDriverAssignment).toHaveBeenCalledWith(order);
+  });
+
+  test('returns 409 when another driver claimed it first', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: DRIVER_ID }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: ORDER_ID }] });
+
+    const { res } = await callController(dispatchController.claimOrder, req);
+
+    expect(res.statusCode).toBe(409);
+    expect(realtime.publishDriverAssignment).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for unknown orders', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: DRIVER_ID }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(dispatchController.claimOrder, req);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('assignDriver', () => {
+  const req = {
+    params: { id: ORDER_ID },
+    body: { driverId: DRIVER_ID },
+    user: { clerkId: 'admin_clerk' }
+  };
+
+  function mockLookups(order) {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'admin-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: DRIVER_ID, clerk_id: 'driver_clerk' }] })
+      .mockResolvedValueOnce({ rows: order ? [order] : [] });
+  }
+
+  test('rejects users without the driver role', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'admin-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: DRIVER_ID, clerk_id: 'customer_clerk' }] });
+    clerkClient.users.getUser.mockResolvedValueOnce({ publicMetadata: {} });
+
+    const { res } = await callController(dispatchController.assignDriver, req);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('User is not a driver');
+  });
+
+  test('rejects closed orders', async () => {
+    clerkClient.users.getUser.mockResolvedValueOnce({ publicMetadata: { role: 'driver' } });
+    mockLookups({ id: ORDER_ID, status: 'completed' });
+
+    const { res } = await callController(dispatchController.assignDriver, req);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Cannot assign a driver to a closed order');
+  });
+
+  test('records a reassignment in the status history', async () => {
+    clerkClient.users.getUser.mockResolvedValueOnce({ publicMetadata: { role: 'driver' } });
+    mockLookups({ id: ORDER_ID, status: 'picked_up', driver_id: 'previous-driver' });
+    const updated = { id: ORDER_ID, status: 'picked_up', driver_id: DRIVER_ID };
+    db.query
+      .mockResolvedValueOnce({ rows: [updated] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(dispatchController.assignDriver, req);
+
+    expect(res.body.order).toEqual(updated);
+    expect(db.query.mock.calls[4][1]).toEqual([ORDER_ID, 'picked_up', 'picked_up', 'admin-1', DRIVER_ID, 'Driver reassigned']);
+    expect(realtime.publishDriverAssignment).toHaveBeenCalledWith(updated);
+  });
+});
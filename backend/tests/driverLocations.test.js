@@ -0,0 +1,121 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../src/config/database');
+const driverLocations = require('../src/services/driverLocations');
+
+const HERE = { latitude: 37.7749, longitude: -122.4194 };
+let client;
+
+// Transaction client whose previous ping is `last` (or none)
+function mockClient(last) {
+  client = {
+    query: jest.fn(async sql => {
+      if (sql.includes('FROM driver_location_pings')) return { rows: last ? [last] : [] };
+      if (sql.includes('INSERT INTO driver_location_pings')) return { rows: [{ id: 'ping-1' }] };
+      if (sql.includes('UPDATE orders')) return { rows: [{ id: 'order-1' }] };
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.pool.connect.mockReset();
+});
+
+describe('distanceMeters', () => {
+  test('measures great-circle distance', () => {
+    const oneDegreeNorth = { latitude: HERE.latitude + 1, longitude: HERE.longitude };
+
+    expect(driverLocations.distanceMeters(HERE, HERE)).toBe(0);
+    expect(driverLocations.distanceMeters(HERE, oneDegreeNorth)).toBeCloseTo(111195, -1);
+  });
+});
+
+describe('recordPing', () => {
+  test('stores the ping and updates the order location', async () => {
+    mockClient({ ...HERE, age_seconds: '30' });
+
+    const result = await driverLocations.recordPing('order-1', 'driver-1', { latitude: 37.7752, longitude: -122.4194, accuracy: 10 });
+
+    expect(result).toEqual({ order: { id: 'order-1' }, ping: { id: 'ping-1' } });
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('rate limits pings per order', async () => {
+    mockClient({ ...HERE, age_seconds: '1.5' });
+
+    await expect(driverLocations.recordPing('order-1', 'driver-1', HERE))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 4 });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('rejects GPS jumps faster than a car can drive', async () => {
+    // About 11 km in 60 seconds
+    mockClient({ ...HERE, age_seconds: '60' });
+
+    await expect(driverLocations.recordPing('order-1', 'driver-1', { latitude: 37.875, longitude: -122.4194 }))
+      .rejects.toMatchObject({ statusCode: 422, message: 'Location rejected as an outlier' });
+  });
+
+  test('does not compare against stale pings', async () => {
+    mockClient({ ...HERE, age_seconds: '600' });
+
+    await expect(driverLocations.recordPing('order-1', 'driver-1', { latitude: 37.875, longitude: -122.4194 }))
+      .resolves.toBeDefined();
+  });
+
+  test('rejects inaccurate fixes without opening a transaction', async () => {
+    await expect(driverLocations.recordPing('order-1', 'driver-1', { ...HERE, accuracy: 500 }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('estimateArrival', () => {
+  const order = {
+    id: 'order-1',
+    status: 'out_for_delivery',
+    delivery_address: { latitude: 37.7839, longitude: -122.4194 }
+  };
+
+  test('uses the default city speed without recent movement', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ ...HERE, recorded_at: new Date() }] })
+      .mockResolvedValueOnce({ rows: [{ ...HERE, age_seconds: '30' }] });
+
+    const eta = await driverLocations.estimateArrival(order);
+
+    expect(eta).toMatchObject({ target: 'delivery', distanceMeters: 1001, speedSource: 'default', speedMps: 8 });
+    expect(eta.etaSeconds).toBe(125);
+  });
+
+  test('uses the speed over recent pings', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ ...HERE, recorded_at: new Date() }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { latitude: 37.7659, longitude: -122.4194, age_seconds: '100' },
+          { ...HERE, age_seconds: '0' }
+        ]
+      });
+
+    const eta = await driverLocations.estimateArrival(order);
+
+    expect(eta.speedSource).toBe('recent');
+    expect(eta.speedMps).toBe(10);
+    expect(eta.etaSeconds).toBe(100);
+  });
+
+  test('has no ETA while the laundry is being done', async () => {
+    await expect(driverLocations.estimateArrival({ ...order, status: 'in_laundry' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('needs coordinates on the destination address', async () => {
+    await expect(driverLocations.estimateArrival({ ...order, delivery_address: { street: '1 Main St' } }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Shared helpers for controller tests
+ */
+
+// Minimal Express response that records its status and body
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined
+  };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+/**
+ * Run a controller and resolve with the response, or with the error it
+ * passed to next()
+ */
+async function callController(handler, req) {
+  const res = mockResponse();
+  let error;
+  await handler({ params: {}, query: {}, body: {}, ...req }, res, err => {
+    error = err;
+  });
+  return { res, error };
+}
+
+module.exports = {
+  mockResponse,
+  callController
+};
@@ -0,0 +1,114 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const idempotency = require('../src/middleware/idempotency');
+const { mockResponse } = require('./helpers');
+
+function request(key, body = { orderId: 'order-1' }) {
+  const headers = key ? { 'idempotency-key': key } : {};
+  return {
+    method: 'POST',
+    originalUrl: '/api/payments/charge',
+    body,
+    user: { clerkId: 'user_1' },
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+async function run(req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  await idempotency(req, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('idempotency middleware', () => {
+  test('passes requests without a key straight through', async () => {
+    const req = request(null);
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.idempotencyKey).toBeUndefined();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('rejects keys over 255 characters', async () => {
+    const { res, next } = await run(request('k'.repeat(256)));
+
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('stores the response of the first request with a key', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ status: 'in_progress' }] });
+    const req = request('key-1');
+    const { res, next } = await run(req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.idempotencyKey).toBe('key-1');
+
+    res.status(201).json({ success: true });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toMatch(/SET status = 'completed'/);
+    expect(params).toEqual([201, JSON.stringify({ success: true }), 'user_1', 'key-1']);
+    expect(res.body).toEqual({ success: true });
+  });
+
+  test('forgets the key after a server error so the request can be retried', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ status: 'in_progress' }] });
+    const { res } = await run(request('key-1'));
+
+    res.status(500).json({ error: 'Internal server error' });
+
+    expect(db.query.mock.calls[1][0]).toMatch(/^DELETE FROM idempotency_keys/);
+  });
+
+  describe('repeated keys', () => {
+    // The first request's row, as stored for the same body
+    async function storedRow(overrides) {
+      const first = request('key-1');
+      db.query.mockResolvedValueOnce({ rows: [{ status: 'in_progress' }] });
+      await run(first);
+      const requestHash = db.query.mock.calls[0][1][3];
+
+      db.query.mockReset();
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ request_hash: requestHash, ...overrides }] });
+    }
+
+    test('replay the stored response', async () => {
+      await storedRow({ status: 'completed', response_status: 201, response_body: { success: true, payment: { id: 'p1' } } });
+
+      const { res, next } = await run(request('key-1'));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(201);
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+      expect(res.body).toEqual({ success: true, payment: { id: 'p1' } });
+    });
+
+    test('return 409 while the first request is still running', async () => {
+      await storedRow({ status: 'in_progress' });
+
+      const { res, next } = await run(request('key-1'));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(409);
+    });
+
+    test('return 422 when the body differs', async () => {
+      await storedRow({ status: 'completed' });
+
+      const { res } = await run(request('key-1', { orderId: 'order-2' }));
+
+      expect(res.statusCode).toBe(422);
+    });
+  });
+});
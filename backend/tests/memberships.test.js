@@ -0,0 +1,204 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({
+  subscriptions: { create: jest.fn(), retrieve: jest.fn(), update: jest.fn(), cancel: jest.fn() }
+}));
+jest.mock('../src/services/stripeCustomers', () => ({
+  getOrCreateCustomerId: jest.fn(),
+  getDefaultPaymentMethodId: jest.fn()
+}));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const stripeCustomers = require('../src/services/stripeCustomers');
+const memberships = require('../src/services/memberships');
+
+const PLAN = { id: 'plan-1', code: 'family', stripe_price_id: 'price_1', included_loads: 4 };
+const USER = { userId: 'user-1', clerkId: 'user_1', email: 'jane@example.com' };
+
+function subscription(overrides = {}) {
+  return {
+    id: 'sub_1',
+    status: 'active',
+    created: 1700000000,
+    current_period_start: 1700000000,
+    current_period_end: 1702592000,
+    latest_invoice: { payment_intent: { status: 'succeeded', client_secret: 'pi_1_secret' } },
+    ...overrides
+  };
+}
+
+let client;
+
+// Transaction client with an optional live membership that echoes inserts
+function mockClient(currentMembership = null) {
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM memberships m')) return { rows: currentMembership ? [currentMembership] : [] };
+      if (sql.includes('INSERT INTO memberships')) return { rows: [{ stripe_subscription_id: params[2], status: params[3] }] };
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset();
+  db.query.mockResolvedValueOnce({ rows: [PLAN] });
+  db.pool.connect.mockReset();
+  Object.values(stripe.subscriptions).forEach(fn => fn.mockReset());
+  stripeCustomers.getOrCreateCustomerId.mockResolvedValue('cus_1');
+  stripeCustomers.getDefaultPaymentMethodId.mockResolvedValue('pm_default');
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('subscribe', () => {
+  test('creates the subscription with the default card and saves the membership', async () => {
+    mockClient();
+    stripe.subscriptions.create.mockResolvedValue(subscription());
+
+    const result = await memberships.subscribe(USER, { planCode: 'family' });
+
+    expect(stripe.subscriptions.create).toHaveBeenCalledWith(expect.objectContaining({
+      customer: 'cus_1',
+      items: [{ price: 'price_1' }],
+      default_payment_method: 'pm_default'
+    }), undefined);
+    expect(result).toEqual({
+      membership: { stripe_subscription_id: 'sub_1', status: 'active', plan: PLAN },
+      clientSecret: 'pi_1_secret',
+      requiresAction: false
+    });
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('returns the original subscription for a retried Idempotency-Key', async () => {
+    mockClient();
+    stripe.subscriptions.create.mockResolvedValue(subscription({ status: 'incomplete' }));
+    stripe.subscriptions.retrieve.mockResolvedValue(subscription({
+      latest_invoice: { payment_intent: { status: 'requires_action', client_secret: 'pi_1_secret' } }
+    }));
+
+    const result = await memberships.subscribe(USER, { planCode: 'family', paymentMethodId: 'pm_2' }, 'key-1');
+
+    expect(stripe.subscriptions.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'membership:user-1:key-1' });
+    expect(stripe.subscriptions.create.mock.calls[0][0].default_payment_method).toBe('pm_2');
+    expect(result.requiresAction).toBe(true);
+    expect(client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO memberships'))[1][3]).toBe('active');
+  });
+
+  test('refuses to save a subscription from an earlier failed attempt with the same key', async () => {
+    mockClient();
+    stripe.subscriptions.create.mockResolvedValue(subscription());
+    stripe.subscriptions.retrieve.mockResolvedValue(subscription({ status: 'canceled' }));
+
+    await expect(memberships.subscribe(USER, { planCode: 'family' }, 'key-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(stripe.subscriptions.cancel).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('cancels the new subscription when the membership cannot be saved', async () => {
+    mockClient();
+    stripe.subscriptions.create.mockResolvedValue(subscription());
+    stripe.subscriptions.cancel.mockResolvedValue({});
+    client.query.mockImplementation(async sql => {
+      if (sql.includes('INSERT INTO memberships')) throw new Error('connection lost');
+      return { rows: [] };
+    });
+
+    await expect(memberships.subscribe(USER, { planCode: 'family' })).rejects.toThrow('connection lost');
+
+    expect(stripe.subscriptions.cancel).toHaveBeenCalledWith('sub_1');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('allows one membership at a time', async () => {
+    mockClient({ id: 'membership-1', status: 'active' });
+
+    await expect(memberships.subscribe(USER, { planCode: 'family' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(stripe.subscriptions.create).not.toHaveBeenCalled();
+  });
+
+  test('requires a card and an active plan', async () => {
+    stripeCustomers.getDefaultPaymentMethodId.mockResolvedValue(null);
+    await expect(memberships.subscribe(USER, { planCode: 'family' })).rejects.toMatchObject({ statusCode: 400 });
+
+    db.query.mockReset();
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await expect(memberships.subscribe(USER, { planCode: 'gone' })).rejects.toMatchObject({ statusCode: 404 });
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancel', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'membership-1', stripe_subscription_id: 'sub_1', plan: PLAN }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'membership-1', status: 'active', cancel_at_period_end: true }] });
+  });
+
+  test('cancels at the end of the paid period by default', async () => {
+    stripe.subscriptions.update.mockResolvedValue(subscription({ cancel_at_period_end: true }));
+
+    const result = await memberships.cancel('user-1');
+
+    expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_1', { cancel_at_period_end: true });
+    expect(stripe.subscriptions.cancel).not.toHaveBeenCalled();
+    expect(db.query.mock.calls[1][1][5]).toBe(true);
+    expect(result.plan).toBe(PLAN);
+  });
+
+  test('cancels straight away when asked', async () => {
+    stripe.subscriptions.cancel.mockResolvedValue(subscription({ status: 'canceled', canceled_at: 1701000000 }));
+
+    await memberships.cancel('user-1', { immediately: true });
+
+    expect(stripe.subscriptions.cancel).toHaveBeenCalledWith('sub_1');
+    expect(db.query.mock.calls[1][1][1]).toBe('canceled');
+  });
+});
+
+describe('loads', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('waives the tier charge of an order that uses a load', async () => {
+    const txClient = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'membership-1', plan_name: 'Family', loads_remaining: 2 }] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+    const quote = { serviceType: 'standard', basePrice: 25, usageCharge: 7.5, totalPrice: 40 };
+
+    const result = await memberships.useLoad(txClient, 'user-1', quote);
+
+    expect(result.quote).toMatchObject({
+      membershipCredit: 32.5,
+      totalPrice: 7.5,
+      membership: { id: 'membership-1', planName: 'Family', loadsRemaining: 1 }
+    });
+    expect(txClient.query.mock.calls[1][0]).toContain('loads_remaining - 1');
+  });
+
+  test('grants each paid period once', async () => {
+    const periodEnd = new Date(1702592000 * 1000);
+    const invoice = { subscription: 'sub_1', lines: { data: [{ type: 'subscription', period: { start: 1700000000, end: 1702592000 } }] } };
+
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'membership-1', loads_period_end: periodEnd }] });
+    expect(await memberships.recordInvoicePaid(invoice)).toEqual({ id: 'membership-1', loads_period_end: periodEnd });
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'membership-1', loads_period_end: new Date(1700000000 * 1000) }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'membership-1', loads_remaining: 4 }] });
+    expect(await memberships.recordInvoicePaid(invoice)).toEqual({ id: 'membership-1', loads_remaining: 4 });
+    expect(db.query.mock.calls[2][1]).toEqual(['membership-1', new Date(1700000000 * 1000), periodEnd]);
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn(), end: jest.fn() } }));
+
+const { pool } = require('../src/config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../src/migrations');
+
+const FILES = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d+_.+\.sql$/.test(file)).sort();
+const VERSIONS = FILES.map(file => file.split('_')[0]);
+
+/**
+ * Connection that keeps schema_migrations in memory. Writes made inside
+ * a transaction only land on COMMIT, and every statement that is not
+ * bookkeeping is logged as migration SQL.
+ */
+function fakeClient(appliedVersions, failingSql = null) {
+  const applied = new Map(appliedVersions.map(version => [
+    version,
+    { version, name: FILES[VERSIONS.indexOf(version)], checksum: 'old', applied_at: new Date(0) }
+  ]));
+  let uncommitted = null;
+  const executed = [];
+
+  const write = change => (uncommitted ? uncommitted.push(change) : change());
+
+  const client = {
+    applied,
+    executed,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      if (sql === 'BEGIN') {
+        uncommitted = [];
+      } else if (sql === 'COMMIT') {
+        uncommitted.forEach(change => change());
+        uncommitted = null;
+      } else if (sql === 'ROLLBACK') {
+        uncommitted = null;
+      } else if (sql.startsWith('SELECT * FROM schema_migrations')) {
+        return { rows: [...applied.values()] };
+      } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+        write(() => applied.set(params[0], { version: params[0], name: params[1], checksum: params[2] }));
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        write(() => applied.delete(params[0]));
+      } else if (!sql.includes('pg_advisory_lock') && !sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        if (sql === failingSql) {
+          throw new Error('syntax error');
+        }
+        executed.push(sql);
+      }
+      return { rows: [] };
+    })
+  };
+
+  return client;
+}
+
+const read = (...parts) => fs.readFileSync(path.join(MIGRATIONS_DIR, ...parts), 'utf8');
+
+/**
+ * Run the migrate script with the given arguments and resolve with its
+ * exit code
+ */
+function migrate(client, ...args) {
+  pool.connect.mockResolvedValue(client);
+  process.argv = ['node', 'run.js', ...args];
+
+  return new Promise(resolve => {
+    jest.spyOn(process, 'exit').mockImplementation(resolve);
+    jest.isolateModules(() => {
+      require('../src/migrations/run');
+    });
+  });
+}
+
+const argv = process.argv;
+
+beforeEach(() => {
+  pool.connect.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.argv = argv;
+});
+
+describe('migrate up', () => {
+  test('applies pending migrations in order and records each one', async () => {
+    const client = fakeClient(VERSIONS.slice(0, -2));
+
+    expect(await migrate(client)).toBe(0);
+
+    expect(client.executed).toEqual(FILES.slice(-2).map(file => read(file)));
+    expect([...client.applied.keys()]).toEqual(VERSIONS);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('stops at --to and --steps', async () => {
+    let client = fakeClient(VERSIONS.slice(0, 1));
+    expect(await migrate(client, 'up', '--to', String(Number(VERSIONS[2])))).toBe(0);
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, 3));
+
+    client = fakeClient([]);
+    expect(await migrate(client, 'up', '--steps=1')).toBe(0);
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, 1));
+  });
+
+  test('keeps migrations that committed before one that fails', async () => {
+    const client = fakeClient(VERSIONS.slice(0, -3), read(FILES[FILES.length - 2]));
+
+    expect(await migrate(client)).toBe(1);
+
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, -2));
+    expect(console.error).toHaveBeenCalledWith('❌ Migration failed:', `${FILES[FILES.length - 2]}: syntax error`);
+  });
+
+  test('runs the SQL but changes nothing on a dry run', async () => {
+    const client = fakeClient(VERSIONS.slice(0, -2));
+
+    expect(await migrate(client, '--dry-run')).toBe(0);
+
+    expect(client.executed).toHaveLength(2);
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, -2));
+    expect(client.query.mock.calls.filter(([sql]) => sql === 'BEGIN')).toHaveLength(1);
+  });
+});
+
+describe('migrate down', () => {
+  test('rolls back the latest migration with its down script', async () => {
+    const client = fakeClient(VERSIONS);
+
+    expect(await migrate(client, 'down')).toBe(0);
+
+    expect(client.executed).toEqual([read('down', FILES[FILES.length - 1])]);
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, -1));
+  });
+
+  test('rolls back newest first with --steps and --to', async () => {
+    let client = fakeClient(VERSIONS);
+    expect(await migrate(client, 'down', '--steps', '2')).toBe(0);
+    expect(client.executed).toEqual([FILES[FILES.length - 1], FILES[FILES.length - 2]].map(file => read('down', file)));
+
+    client = fakeClient(VERSIONS);
+    expect(await migrate(client, 'down', '--to', VERSIONS[VERSIONS.length - 4])).toBe(0);
+    expect([...client.applied.keys()]).toEqual(VERSIONS.slice(0, -3));
+  });
+
+  test('every migration has a rollback script', () => {
+    expect(fs.readdirSync(path.join(MIGRATIONS_DIR, 'down')).sort()).toEqual(FILES);
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const client = fakeClient(VERSIONS);
+
+    expect(await migrate(client, 'down', '--steps', '3', '--dry-run')).toBe(0);
+
+    expect(client.executed).toHaveLength(3);
+    expect([...client.applied.keys()]).toEqual(VERSIONS);
+  });
+});
+
+describe('arguments', () => {
+  test('rejects unknown commands and options before connecting', async () => {
+    for (const args of [['sideways'], ['--force'], ['up', '--to', 'latest'], ['down', '--steps', '0']]) {
+      expect(await migrate(fakeClient([]), ...args)).toBe(1);
+    }
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
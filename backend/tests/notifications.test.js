@@ -0,0 +1,172 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const { registerTransport, transportError } = require('../src/services/notificationTransports');
+const notifications = require('../src/services/notifications');
+
+const USER = {
+  id: 'user-1',
+  email: 'jane@example.com',
+  phone: '+15555550100',
+  notification_preferences: null
+};
+
+const ORDER = { id: 'order-1', user_id: 'user-1', status: 'ready' };
+
+const send = jest.fn();
+
+beforeAll(() => {
+  registerTransport('test', { channels: ['push', 'email', 'sms'], send });
+  for (const channel of ['push', 'email', 'sms']) {
+    process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] = 'test';
+  }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset();
+  send.mockReset();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+// A transaction client whose queries echo the queued outbox row
+function mockClient(user) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      if (sql.startsWith('SELECT')) {
+        return { rows: user ? [user] : [] };
+      }
+      return { rows: [{ channel: params[3], payload: JSON.parse(params[4]) }] };
+    })
+  };
+}
+
+describe('getPreferences', () => {
+  test('fills in defaults for events the customer has not changed', () => {
+    const preferences = notifications.getPreferences({
+      notification_preferences: { ready: { sms: true, email: false } }
+    });
+
+    expect(preferences.ready).toEqual({ push: true, email: false, sms: true });
+    expect(preferences.picked_up).toEqual({ push: true, email: true, sms: false });
+    expect(Object.keys(preferences)).toEqual(Object.keys(notifications.ORDER_EVENTS));
+  });
+});
+
+describe('notifyStatusChange', () => {
+  test('queues one row per enabled channel on the given client', async () => {
+    const client = mockClient(USER);
+
+    const queued = await notifications.notifyStatusChange(ORDER, client);
+
+    expect(queued.map(row => row.channel)).toEqual(['push', 'email']);
+    expect(queued[0].payload).toMatchObject({ to: 'user-1', title: 'Laundry ready' });
+    expect(queued[1].payload).toMatchObject({
+      to: 'jane@example.com',
+      data: { orderId: 'order-1', status: 'ready' }
+    });
+    expect(client.query.mock.calls[1][1].slice(0, 4)).toEqual(['user-1', 'order-1', 'order.ready', 'push']);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('skips channels without a recipient', async () => {
+    const client = mockClient({
+      ...USER,
+      email: null,
+      notification_preferences: { ready: { push: false, sms: true } }
+    });
+
+    const queued = await notifications.notifyStatusChange(ORDER, client);
+
+    expect(queued.map(row => row.channel)).toEqual(['sms']);
+    expect(queued[0].payload.to).toBe('+15555550100');
+  });
+
+  test('ignores statuses customers are not notified about', async () => {
+    const client = mockClient(USER);
+
+    expect(await notifications.notifyStatusChange({ ...ORDER, status: 'in_laundry' }, client)).toEqual([]);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('queues nothing for unknown users', async () => {
+    const client = mockClient(null);
+
+    expect(await notifications.notifyStatusChange(ORDER, client)).toEqual([]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('processOutbox', () => {
+  const row = (attempts, channel = 'email') => ({
+    id: `n-${attempts}`,
+    channel,
+    event: 'order.ready',
+    user_id: 'user-1',
+    order_id: 'order-1',
+    attempts,
+    payload: { to: 'jane@example.com' }
+  });
+
+  // The claim query returns the given rows once, then every update succeeds
+  function mockOutbox(rows) {
+    db.query.mockResolvedValueOnce({ rows });
+    db.query.mockResolvedValue({ rows: [] });
+  }
+
+  const updates = () => db.query.mock.calls.slice(1).map(call => call[1]);
+
+  test('marks delivered notifications as sent', async () => {
+    mockOutbox([row(1)]);
+    send.mockResolvedValue();
+
+    await notifications.processOutbox();
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: 'n-1', channel: 'email', orderId: 'order-1' }));
+    expect(db.query.mock.calls[1][0]).toContain("status = 'sent'");
+    expect(updates()).toEqual([['n-1']]);
+  });
+
+  test('retries failed sends with exponential backoff', async () => {
+    mockOutbox([row(1), row(3)]);
+    send.mockRejectedValue(new Error('Timed out'));
+
+    await notifications.processOutbox();
+
+    expect(updates()).toEqual([
+      ['pending', 'Timed out', 30, 'n-1'],
+      ['pending', 'Timed out', 120, 'n-3']
+    ]);
+  });
+
+  test('gives up after the last attempt or on permanent errors', async () => {
+    mockOutbox([row(6), row(1)]);
+    send
+      .mockRejectedValueOnce(new Error('Timed out'))
+      .mockRejectedValueOnce(transportError('Invalid address', true));
+
+    await notifications.processOutbox();
+
+    expect(updates().map(params => [params[0], params[3]])).toEqual([
+      ['failed', 'n-6'],
+      ['failed', 'n-1']
+    ]);
+  });
+
+  test('fails notifications for channels without a transport', async () => {
+    process.env.NOTIFICATION_SMS_TRANSPORT = 'missing';
+    mockOutbox([row(1, 'sms')]);
+
+    try {
+      await notifications.processOutbox();
+    } finally {
+      process.env.NOTIFICATION_SMS_TRANSPORT = 'test';
+    }
+
+    expect(send).not.toHaveBeenCalled();
+    expect(updates()[0]).toEqual(['pending', 'No sms transport named "missing"', 30, 'n-1']);
+  });
+});
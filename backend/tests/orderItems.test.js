@@ -0,0 +1,165 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../src/config/database');
+const orderItems = require('../src/services/orderItems');
+
+let client;
+let items;
+
+/**
+ * Transaction client for one locked order that keeps its items in
+ * memory, computing mismatch the way list() does in SQL
+ */
+function mockOrder(status, existing = []) {
+  items = existing.map((item, i) => ({ id: `item-${i + 1}`, ready_count: null, delivery_count: null, ...item }));
+
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM orders')) {
+        return { rows: status ? [{ id: 'order-1', status }] : [] };
+      }
+      if (sql.startsWith('SELECT 1 FROM order_items')) {
+        return { rows: items.filter(item => item.ready_count !== null).slice(0, 1) };
+      }
+      if (sql.startsWith('DELETE FROM order_items')) {
+        items = [];
+      } else if (sql.startsWith('INSERT INTO order_items')) {
+        items.push({
+          id: `item-${items.length + 1}`,
+          category: params[1],
+          bag_tag: params[2],
+          pickup_count: params[5],
+          ready_count: null,
+          delivery_count: null
+        });
+      } else if (sql.includes('UPDATE order_items')) {
+        const stage = /SET (\w+)_count/.exec(sql)[1];
+        items.find(item => item.id === params[2])[`${stage}_count`] = params[0];
+      } else if (sql.includes('FROM order_items')) {
+        return {
+          rows: items.map(item => ({
+            ...item,
+            mismatch: [item.ready_count, item.delivery_count].some(count => count !== null && count !== item.pickup_count)
+          }))
+        };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+const mismatchFlag = () => client.query.mock.calls
+  .find(([sql]) => sql.startsWith('UPDATE orders SET item_mismatch'))[1][0];
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  db.query.mockReset();
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('recordPickup', () => {
+  test('replaces the pickup list of a picked up order', async () => {
+    mockOrder('picked_up', [{ category: 'shirts', pickup_count: 3 }]);
+
+    const result = await orderItems.recordPickup('order-1', [
+      { category: 'bag', bagTag: 'HL-1', photos: [], count: 1 },
+      { category: 'towels', photos: [], count: 6 }
+    ], 'driver-1');
+
+    expect(result.map(item => [item.category, item.pickup_count, item.mismatch])).toEqual([
+      ['bag', 1, false],
+      ['towels', 6, false]
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('fixes the list once the laundry has counted it', async () => {
+    mockOrder('picked_up', [{ category: 'shirts', pickup_count: 3, ready_count: 3 }]);
+
+    await expect(orderItems.recordPickup('order-1', [], 'driver-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('only records pickup items before the order reaches the laundry', async () => {
+    mockOrder('in_laundry');
+    await expect(orderItems.recordPickup('order-1', [], 'driver-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    mockOrder(null);
+    await expect(orderItems.recordPickup('order-1', [], 'driver-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('recordCheck', () => {
+  const pickedUp = [
+    { category: 'shirts', pickup_count: 5 },
+    { category: 'bag', bag_tag: 'HL-1', pickup_count: 1 }
+  ];
+
+  test('flags items and the order when a count differs from pickup', async () => {
+    mockOrder('ready', pickedUp);
+
+    const result = await orderItems.recordCheck('order-1', 'ready', [
+      { itemId: 'item-1', count: 4 },
+      { itemId: 'item-2', count: 1 }
+    ], 'staff-1');
+
+    expect(result.map(item => item.mismatch)).toEqual([true, false]);
+    expect(mismatchFlag()).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith('Order order-1 ready count mismatch on 1 item(s)');
+  });
+
+  test('clears the flag when a recount matches', async () => {
+    mockOrder('out_for_delivery', pickedUp);
+
+    await orderItems.recordCheck('order-1', 'delivery', [
+      { itemId: 'item-1', count: 5 },
+      { itemId: 'item-2', count: 1 }
+    ], 'driver-1');
+
+    expect(mismatchFlag()).toBe(false);
+    expect(items.map(item => item.delivery_count)).toEqual([5, 1]);
+  });
+
+  test('requires every recorded item and nothing else to be counted', async () => {
+    mockOrder('ready', pickedUp);
+    await expect(orderItems.recordCheck('order-1', 'ready', [{ itemId: 'item-1', count: 5 }], 'staff-1'))
+      .rejects.toThrow('Every item must be counted');
+
+    await expect(orderItems.recordCheck('order-1', 'ready', [
+      { itemId: 'item-1', count: 5 },
+      { itemId: 'item-2', count: 1 },
+      { itemId: 'item-9', count: 1 }
+    ], 'staff-1')).rejects.toThrow('Unknown item item-9');
+  });
+
+  test('only takes counts at the matching stage', async () => {
+    mockOrder('picked_up', pickedUp);
+    await expect(orderItems.recordCheck('order-1', 'ready', [], 'staff-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    mockOrder('completed', []);
+    await expect(orderItems.recordCheck('order-1', 'delivery', [], 'driver-1'))
+      .rejects.toThrow('No pickup items were recorded for this order');
+  });
+});
+
+describe('needsCheck', () => {
+  test('requires the stage counts before moving to ready or completed', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+    expect(await orderItems.needsCheck('order-1', 'ready')).toBe(true);
+    expect(db.query.mock.calls[0][0]).toContain('ready_count IS NULL');
+
+    db.query.mockResolvedValueOnce({ rows: [] });
+    expect(await orderItems.needsCheck('order-1', 'completed')).toBe(false);
+    expect(db.query.mock.calls[1][0]).toContain('delivery_count IS NULL');
+  });
+
+  test('ignores other statuses', async () => {
+    expect(await orderItems.needsCheck('order-1', 'out_for_delivery')).toBe(false);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
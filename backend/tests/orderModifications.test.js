@@ -0,0 +1,232 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({ paymentIntents: { create: jest.fn(), cancel: jest.fn() } }));
+jest.mock('../src/services/orders', () => ({ updateOrder: jest.fn() }));
+jest.mock('../src/services/refunds', () => ({ refundPayment: jest.fn() }));
+jest.mock('../src/services/stripeCustomers', () => ({ getDefaultPaymentMethodId: jest.fn() }));
+jest.mock('../src/services/scheduling', () => ({ releaseReservation: jest.fn(), recordReservation: jest.fn() }));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const orders = require('../src/services/orders');
+const refunds = require('../src/services/refunds');
+const scheduling = require('../src/services/scheduling');
+const orderModifications = require('../src/services/orderModifications');
+
+const ORDER = {
+  id: 'order-1',
+  user_id: 'user-1',
+  status: 'pending',
+  service_type: 'standard',
+  item_count: 10,
+  notes: null,
+  price: '40.00',
+  service_area_id: 'area-1',
+  scheduled_time: new Date('2026-03-02T15:00:00Z'),
+  pickup_window_end: new Date('2026-03-02T17:00:00Z')
+};
+
+const PAID = {
+  id: 'payment-1',
+  order_id: 'order-1',
+  status: 'completed',
+  amount: '40.00',
+  refunded_amount: '0.00',
+  payment_method_id: 'pm_1'
+};
+
+let state;
+
+/**
+ * One query function for the pool and its transactions, answering from
+ * `state` so every statement ends up in db.query.mock.calls
+ */
+function handle(sql, params) {
+  const rows = (...list) => ({ rows: list.filter(Boolean) });
+
+  if (sql.includes('jsonb_populate_record')) return rows(state.order);
+  if (sql.includes("m.status = 'pending_payment'")) return rows(state.pending?.modification);
+  if (sql.includes('WHERE order_modification_id')) return rows(state.pending?.payment);
+  if (sql.includes('SELECT stripe_customer_id FROM users')) return rows({ stripe_customer_id: 'cus_1' });
+  if (sql.includes('FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE')) return rows(state.order);
+  if (sql.includes("status IN ('completed', 'pending'")) return { rows: state.payments };
+  if (sql.includes("WHERE order_id = $1 AND status = 'completed'")) return { rows: state.payments };
+  if (sql.includes('to_jsonb(o)')) return rows({ previous_order: { ...state.order } });
+  if (sql.includes('INSERT INTO order_modifications')) {
+    return rows({ id: 'modification-1', order_id: params[0], status: params[5], idempotency_key: params[7] });
+  }
+  if (sql.includes('INSERT INTO payments')) {
+    return rows({ id: 'payment-2', user_id: params[1], amount: params[2], payment_method_id: params[3] });
+  }
+  if (sql.includes('SET stripe_payment_intent_id = $1')) return rows({ id: params[3], status: params[2] });
+  if (sql.includes("SET status = 'applied'")) return rows({ id: params[0], status: 'applied' });
+  if (sql.includes('SELECT * FROM orders WHERE id = $1')) return rows(state.updated);
+  return rows();
+}
+
+function setUp({ newPrice, payments = [PAID], pending = null }) {
+  state = { order: ORDER, updated: { ...ORDER, price: newPrice }, payments, pending };
+  db.query.mockImplementation(async (sql, params) => handle(sql, params));
+  orders.updateOrder.mockResolvedValue(state.updated);
+}
+
+const statements = text => db.query.mock.calls.filter(([sql]) => sql.includes(text));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset();
+  db.pool.connect.mockResolvedValue({ query: db.query, release: jest.fn() });
+  stripe.paymentIntents.create.mockReset();
+  stripe.paymentIntents.cancel.mockReset();
+  stripe.paymentIntents.cancel.mockResolvedValue({});
+  refunds.refundPayment.mockReset();
+  orders.updateOrder.mockReset();
+  scheduling.recordReservation.mockReset();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('price increases on paid orders', () => {
+  test('are saved pending payment, charged with the request key and then applied', async () => {
+    setUp({ newPrice: '55.00' });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_2', status: 'succeeded', latest_charge: 'ch_2' });
+
+    const result = await orderModifications.modify('user-1', 'order-1', { serviceType: 'express' }, 'key-1');
+
+    const [, , , , , status, previousOrder, key] = statements('INSERT INTO order_modifications')[0][1];
+    expect([status, JSON.parse(previousOrder).price, key]).toEqual(['pending_payment', '40.00', 'key-1']);
+    expect(statements('INSERT INTO payments')[0][1]).toEqual(['order-1', 'user-1', 15, 'pm_1', 'modification-1']);
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[0];
+    expect(params).toMatchObject({ amount: 1500, customer: 'cus_1', payment_method: 'pm_1', off_session: true });
+    expect(options).toEqual({ idempotencyKey: 'order-modification:order-1:key-1' });
+
+    expect(result).toMatchObject({
+      order: { price: '55.00' },
+      modification: { status: 'applied' },
+      payment: { id: 'payment-2', status: 'completed' },
+      refunds: []
+    });
+  });
+
+  test('are put back exactly when the card is declined', async () => {
+    setUp({ newPrice: '55.00' });
+    stripe.paymentIntents.create.mockRejectedValue(Object.assign(new Error('Your card was declined.'), {
+      statusCode: 402,
+      payment_intent: { id: 'pi_2' }
+    }));
+
+    await expect(orderModifications.modify('user-1', 'order-1', { serviceType: 'express' }, 'key-1'))
+      .rejects.toMatchObject({ statusCode: 402 });
+
+    expect(statements('jsonb_populate_record')[0][1]).toEqual(['modification-1']);
+    expect(statements("SET status = 'reverted'")).toHaveLength(1);
+    expect(scheduling.recordReservation).toHaveBeenCalledWith(
+      expect.anything(),
+      'area-1',
+      { start: ORDER.scheduled_time, end: ORDER.pickup_window_end },
+      'order-1'
+    );
+    expect(statements('error_message = $3')[0][1]).toEqual(['failed', 'pi_2', 'Your card was declined.', 'payment-2']);
+    expect(statements("SET status = 'applied'")).toHaveLength(0);
+  });
+
+  test('are put back when the card needs authentication', async () => {
+    setUp({ newPrice: '55.00' });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_2', status: 'requires_action' });
+
+    await expect(orderModifications.modify('user-1', 'order-1', { serviceType: 'express' }))
+      .rejects.toMatchObject({ statusCode: 402 });
+
+    expect(stripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'order-modification:modification-1' });
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_2');
+    expect(statements('error_message = $3')[0][1][0]).toBe('canceled');
+  });
+
+  test('stay pending when the charge outcome is unknown', async () => {
+    setUp({ newPrice: '55.00' });
+    stripe.paymentIntents.create.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(orderModifications.modify('user-1', 'order-1', { serviceType: 'express' }, 'key-1'))
+      .rejects.toMatchObject({ statusCode: 503 });
+
+    expect(statements('jsonb_populate_record')).toHaveLength(0);
+    expect(statements("SET status = 'applied'")).toHaveLength(0);
+  });
+
+  test('are finished by a retry with the same key without saving the change again', async () => {
+    setUp({
+      newPrice: '55.00',
+      pending: {
+        modification: { id: 'modification-1', order_id: 'order-1', idempotency_key: 'key-1' },
+        payment: { id: 'payment-2', user_id: 'user-1', amount: '15.00', payment_method_id: 'pm_1' }
+      }
+    });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_2', status: 'succeeded' });
+
+    const result = await orderModifications.modify('user-1', 'order-1', { serviceType: 'express' }, 'key-1');
+
+    expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    expect(stripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'order-modification:order-1:key-1' });
+    expect(orders.updateOrder).not.toHaveBeenCalled();
+    expect(result.modification.status).toBe('applied');
+  });
+
+  test('under the minimum charge are absorbed', async () => {
+    setUp({ newPrice: '40.49' });
+
+    const result = await orderModifications.modify('user-1', 'order-1', { itemCount: 11 });
+
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(statements('INSERT INTO order_modifications')[0][1].slice(5)).toEqual(['applied', null, null]);
+    expect(result.payment).toBeNull();
+  });
+});
+
+describe('other changes', () => {
+  test('refund a price decrease from the order\'s payments', async () => {
+    setUp({ newPrice: '30.00' });
+    refunds.refundPayment.mockResolvedValue({ refund: { id: 'refund-1', amount: 10 } });
+
+    const result = await orderModifications.modify('user-1', 'order-1', { serviceType: 'standard', itemCount: 5 });
+
+    expect(refunds.refundPayment).toHaveBeenCalledWith('payment-1', expect.objectContaining({
+      amount: 10,
+      orderModificationId: 'modification-1'
+    }));
+    expect(result.refunds).toEqual([{ id: 'refund-1', amount: 10 }]);
+  });
+
+  test('keep the change when its refund fails', async () => {
+    setUp({ newPrice: '30.00' });
+    refunds.refundPayment.mockRejectedValue(new Error('Stripe unavailable'));
+
+    const result = await orderModifications.modify('user-1', 'order-1', { itemCount: 5 });
+
+    expect(result.modification.status).toBe('applied');
+    expect(result.refundError).toBe('Refund could not be processed automatically');
+  });
+
+  test('of unpaid orders are applied without charging', async () => {
+    setUp({ newPrice: '55.00', payments: [] });
+
+    const result = await orderModifications.modify('user-1', 'order-1', { serviceType: 'express' });
+
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(result.modification.status).toBe('applied');
+  });
+
+  test('are refused after pickup, while a payment is open or when nothing changes', async () => {
+    setUp({ newPrice: '40.00' });
+    state.order = { ...ORDER, status: 'picked_up' };
+    await expect(orderModifications.modify('user-1', 'order-1', { itemCount: 5 })).rejects.toMatchObject({ statusCode: 409 });
+
+    setUp({ newPrice: '40.00', payments: [{ ...PAID, status: 'processing' }] });
+    await expect(orderModifications.modify('user-1', 'order-1', { itemCount: 5 })).rejects.toMatchObject({ statusCode: 409 });
+
+    setUp({ newPrice: '40.00' });
+    await expect(orderModifications.modify('user-1', 'order-1', { itemCount: 10 })).rejects.toThrow('Nothing to change');
+    expect(orders.updateOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+const express = require('express');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('@clerk/clerk-sdk-node', () => ({ clerkClient: { users: { getUser: jest.fn() } } }));
+jest.mock('../src/controllers/orderController', () => Object.fromEntries([
+  'createOrder', 'getUserOrders', 'getOrderById', 'modifyOrder', 'updateOrderStatus', 'updateDriverLocation',
+  'getOrderEta', 'getOrderItems', 'recordPickupItems', 'recordItemCheck', 'getProofFile', 'cancelOrder'
+].map(name => [name, jest.fn((req, res) => res.json({ body: req.body }))])));
+
+// Small enough to exceed in a test; the body limit follows from it
+process.env.PROOF_MAX_FILE_BYTES = '300';
+process.env.STORAGE_BACKEND = 'memory';
+
+const { clerkClient } = require('@clerk/clerk-sdk-node');
+const orderController = require('../src/controllers/orderController');
+const storage = require('../src/services/storage');
+const orderProofs = require('../src/services/orderProofs');
+const orderRoutes = require('../src/routes/orders');
+
+const files = new Map();
+const memoryBackend = {
+  put: jest.fn(async (key, data) => {
+    files.set(key, data);
+  }),
+  get: jest.fn(async key => files.get(key)),
+  remove: jest.fn(async key => {
+    files.delete(key);
+  })
+};
+storage.registerBackend('memory', memoryBackend);
+
+const image = (bytes, type = 'image/jpeg') => `data:${type};base64,${Buffer.alloc(bytes, 1).toString('base64')}`;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  files.clear();
+  Object.values(memoryBackend).forEach(fn => fn.mockClear());
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('storeFiles', () => {
+  test('stores photos and the signature under the order and status', async () => {
+    const stored = await orderProofs.storeFiles('order-1', 'completed', {
+      photos: [image(10), image(20, 'image/png')],
+      signature: image(30, 'image/webp')
+    });
+
+    expect(stored.map(file => [file.kind, file.backend, file.contentType, file.size])).toEqual([
+      ['photo', 'memory', 'image/jpeg', 10],
+      ['photo', 'memory', 'image/png', 20],
+      ['signature', 'memory', 'image/webp', 30]
+    ]);
+    expect(stored[0].key).toMatch(/^orders\/order-1\/completed\/[0-9a-f-]{36}\.jpg$/);
+    expect(files.get(stored[2].key)).toHaveLength(30);
+  });
+
+  test('stores nothing when any image is invalid', async () => {
+    await expect(orderProofs.storeFiles('order-1', 'picked_up', { photos: [image(10), 'not an image'] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'photos[1] must be a base64 data URL' });
+    await expect(orderProofs.storeFiles('order-1', 'picked_up', { photos: [image(10, 'image/gif')] }))
+      .rejects.toThrow('photos[0] must be a JPEG, PNG, HEIC or WebP image');
+    await expect(orderProofs.storeFiles('order-1', 'picked_up', { photos: [], signature: image(301) }))
+      .rejects.toMatchObject({ statusCode: 413 });
+    await expect(orderProofs.storeFiles('order-1', 'picked_up', { photos: [] }))
+      .rejects.toThrow('Proof needs at least one photo or a signature');
+
+    expect(memoryBackend.put).not.toHaveBeenCalled();
+  });
+
+  test('removes the files already stored when storing one fails', async () => {
+    memoryBackend.put
+      .mockImplementationOnce(async (key, data) => files.set(key, data))
+      .mockRejectedValueOnce(new Error('Disk full'));
+
+    await expect(orderProofs.storeFiles('order-1', 'completed', { photos: [image(10), image(10)] }))
+      .rejects.toThrow('Disk full');
+
+    expect(memoryBackend.remove).toHaveBeenCalledTimes(1);
+    expect(files.size).toBe(0);
+  });
+});
+
+describe('status update body', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { clerkId: req.get('X-Test-User') };
+      next();
+    });
+    app.use('/api/orders', orderRoutes);
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.type }));
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/orders`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    clerkClient.users.getUser.mockImplementation(async clerkId => ({
+      publicMetadata: clerkId === 'driver_1' ? { role: 'driver' } : {}
+    }));
+    orderController.updateOrderStatus.mockClear();
+  });
+
+  function putStatus(user, body) {
+    return fetch(`${baseUrl}/order-1`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-Test-User': user },
+      body: JSON.stringify(body)
+    });
+  }
+
+  const largeBody = () => ({ status: 'completed', proof: { photos: ['x'.repeat(orderProofs.MAX_BODY_BYTES)] } });
+
+  test('is parsed for drivers up to the proof size limit', async () => {
+    const response = await putStatus('driver_1', { status: 'picked_up', proof: { photos: [image(10)] } });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).body).toEqual({ status: 'picked_up', proof: { photos: [image(10)] } });
+  });
+
+  test('is refused past the limit', async () => {
+    const response = await putStatus('driver_1', largeBody());
+
+    expect(response.status).toBe(413);
+    expect(orderController.updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  test('is not read for callers who are not drivers', async () => {
+    const response = await putStatus('customer_1', largeBody());
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: 'Driver access required' });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../src/config/database');
+const orderController = require('../src/controllers/orderController');
+const {
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  transitionError
+} = require('../src/services/orderStatus');
+const { callController } = require('./helpers');
+
+describe('order status state machine', () => {
+  test('orders move forward one step at a time', () => {
+    expect(canTransition('pending', 'picked_up')).toBe(true);
+    expect(canTransition('picked_up', 'in_laundry')).toBe(true);
+    expect(canTransition('in_laundry', 'ready')).toBe(true);
+    expect(canTransition('ready', 'out_for_delivery')).toBe(true);
+    expect(canTransition('out_for_delivery', 'completed')).toBe(true);
+
+    expect(canTransition('pending', 'ready')).toBe(false);
+    expect(canTransition('ready', 'picked_up')).toBe(false);
+    expect(canTransition('pending', 'pending')).toBe(false);
+  });
+
+  test('orders can only be cancelled before the laundry is started', () => {
+    expect(canTransition('pending', 'cancelled')).toBe(true);
+    expect(canTransition('picked_up', 'cancelled')).toBe(true);
+    expect(canTransition('in_laundry', 'cancelled')).toBe(false);
+    expect(canTransition('out_for_delivery', 'cancelled')).toBe(false);
+  });
+
+  test('completed and cancelled orders are final', () => {
+    ORDER_STATUSES.forEach(status => {
+      expect(canTransition('completed', status)).toBe(false);
+      expect(canTransition('cancelled', status)).toBe(false);
+    });
+  });
+
+  test('unknown statuses allow nothing', () => {
+    expect(getAllowedTransitions('lost')).toEqual([]);
+    expect(canTransition('lost', 'pending')).toBe(false);
+  });
+
+  test('describes illegal transitions with the allowed next states', () => {
+    expect(transitionError('ready', 'cancelled')).toEqual({
+      error: 'Cannot change order status from ready to cancelled',
+      currentStatus: 'ready',
+      allowedTransitions: ['out_for_delivery']
+    });
+  });
+});
+
+describe('updateOrderStatus', () => {
+  function mockOrder(order) {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'driver-1' }] })
+      .mockResolvedValueOnce({ rows: [order] });
+  }
+
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('rejects illegal transitions with 409 and the allowed next states', async () => {
+    mockOrder({ id: 'order-1', status: 'pending', driver_id: 'driver-1' });
+
+    const { res } = await callController(orderController.updateOrderStatus, {
+      params: { id: 'order-1' },
+      body: { status: 'ready' },
+      user: { clerkId: 'driver_clerk', role: 'driver' }
+    });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.allowedTransitions).toEqual(['picked_up', 'cancelled']);
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('drivers can only update orders assigned to them', async () => {
+    mockOrder({ id: 'order-1', status: 'pending', driver_id: 'driver-2' });
+
+    const { res } = await callController(orderController.updateOrderStatus, {
+      params: { id: 'order-1' },
+      body: { status: 'picked_up' },
+      user: { clerkId: 'driver_clerk', role: 'driver' }
+    });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../src/config/stripe', () => ({
+  customers: { retrieve: jest.fn(), update: jest.fn() },
+  paymentMethods: { attach: jest.fn(), retrieve: jest.fn(), detach: jest.fn() }
+}));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const paymentMethodController = require('../src/controllers/paymentMethodController');
+const { getDefaultPaymentMethodId } = require('../src/services/stripeCustomers');
+const { callController } = require('./helpers');
+
+const user = { clerkId: 'user_1', email: 'a@example.com' };
+const card = { id: 'pm_2', customer: 'cus_1', card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030 } };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue({ rows: [{ id: 'user-1', stripe_customer_id: 'cus_1' }] });
+});
+
+describe('getDefaultPaymentMethodId', () => {
+  test('reads the default from the customer, expanded or not', async () => {
+    stripe.customers.retrieve.mockResolvedValueOnce({ invoice_settings: { default_payment_method: 'pm_1' } });
+    expect(await getDefaultPaymentMethodId('cus_1')).toBe('pm_1');
+
+    stripe.customers.retrieve.mockResolvedValueOnce({ invoice_settings: { default_payment_method: { id: 'pm_1' } } });
+    expect(await getDefaultPaymentMethodId('cus_1')).toBe('pm_1');
+
+    stripe.customers.retrieve.mockResolvedValueOnce({ invoice_settings: {} });
+    expect(await getDefaultPaymentMethodId('cus_1')).toBeNull();
+  });
+});
+
+describe('attachPaymentMethod', () => {
+  test('makes the first card the default', async () => {
+    stripe.paymentMethods.attach.mockResolvedValue(card);
+    stripe.customers.retrieve.mockResolvedValue({ invoice_settings: {} });
+
+    const { res } = await callController(paymentMethodController.attachPaymentMethod, {
+      body: { paymentMethodId: 'pm_2' },
+      user
+    });
+
+    expect(stripe.customers.update).toHaveBeenCalledWith('cus_1', { invoice_settings: { default_payment_method: 'pm_2' } });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.paymentMethod).toEqual({
+      id: 'pm_2', brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030, isDefault: true
+    });
+  });
+
+  test('keeps the existing default unless asked to replace it', async () => {
+    stripe.paymentMethods.attach.mockResolvedValue(card);
+    stripe.customers.retrieve.mockResolvedValue({ invoice_settings: { default_payment_method: 'pm_1' } });
+
+    const { res } = await callController(paymentMethodController.attachPaymentMethod, {
+      body: { paymentMethodId: 'pm_2' },
+      user
+    });
+
+    expect(stripe.customers.update).not.toHaveBeenCalled();
+    expect(res.body.paymentMethod.isDefault).toBe(false);
+  });
+});
+
+describe('cards of other customers', () => {
+  test.each([
+    ['setDefaultPaymentMethod'],
+    ['removePaymentMethod']
+  ])('%s returns 404', async handler => {
+    stripe.paymentMethods.retrieve.mockResolvedValue({ ...card, customer: 'cus_other' });
+
+    const { res } = await callController(paymentMethodController[handler], { params: { id: 'pm_2' }, user });
+
+    expect(res.statusCode).toBe(404);
+    expect(stripe.customers.update).not.toHaveBeenCalled();
+    expect(stripe.paymentMethods.detach).not.toHaveBeenCalled();
+  });
+
+  test('unknown cards return 404 too', async () => {
+    stripe.paymentMethods.retrieve.mockRejectedValue(Object.assign(new Error('No such PaymentMethod'), { type: 'StripeInvalidRequestError' }));
+
+    const { res } = await callController(paymentMethodController.removePaymentMethod, { params: { id: 'pm_x' }, user });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
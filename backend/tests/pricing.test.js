@@ -0,0 +1,92 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const pricing = require('../src/services/pricing');
+
+const TIERS = [
+  {
+    service_type: 'standard', name: 'Standard', description: 'Wash and fold', price_version_id: 'tv-1',
+    base_price: '25.00', rate_type: 'per_item', unit_price: '1.50', included_units: '10'
+  },
+  {
+    service_type: 'express', name: 'Express', description: 'Next day', price_version_id: 'tv-2',
+    base_price: '20.00', rate_type: 'per_pound', unit_price: '2.35', included_units: '0'
+  }
+];
+
+const FEATURES = [
+  { service_type: 'standard', description: 'Folded' },
+  { service_type: 'express', description: '24h turnaround' }
+];
+
+const ADDONS = [
+  { code: 'ironing', name: 'Ironing', price_version_id: 'av-1', price: '10.00' },
+  { code: 'stain', name: 'Stain treatment', price_version_id: 'av-2', price: '4.99' }
+];
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.query.mockImplementation(async sql => {
+    if (sql.includes('FROM pricing_tiers')) return { rows: TIERS };
+    if (sql.includes('FROM pricing_tier_features')) return { rows: FEATURES };
+    if (sql.includes('FROM pricing_addons')) return { rows: ADDONS };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+});
+
+describe('pricing engine', () => {
+  test('charges per item beyond the units included in the base price', async () => {
+    const quote = await pricing.quote({ serviceType: 'standard', itemCount: 13 });
+
+    expect(quote).toMatchObject({
+      serviceName: 'Standard',
+      priceVersionId: 'tv-1',
+      features: ['Folded'],
+      billableUnits: 3,
+      usageCharge: 4.5,
+      addonsTotal: 0,
+      totalPrice: 29.5
+    });
+  });
+
+  test('does not charge for item counts within the included units', async () => {
+    const quote = await pricing.quote({ serviceType: 'standard', itemCount: 4 });
+
+    expect(quote.billableUnits).toBe(0);
+    expect(quote.totalPrice).toBe(25);
+  });
+
+  test('charges per pound and rounds to the cent', async () => {
+    const quote = await pricing.quote({ serviceType: 'express', weightLbs: 3.3 });
+
+    // 3.3 lbs * $2.35 = $7.755
+    expect(quote.usageCharge).toBe(7.76);
+    expect(quote.totalPrice).toBe(27.76);
+  });
+
+  test('requires a weight for per-pound tiers', async () => {
+    await expect(pricing.quote({ serviceType: 'express' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/weightLbs is required/) });
+  });
+
+  test('adds each selected add-on once', async () => {
+    const quote = await pricing.quote({ serviceType: 'standard', addons: ['ironing', 'stain', 'ironing'] });
+
+    expect(quote.addons.map(addon => addon.code)).toEqual(['ironing', 'stain']);
+    expect(quote.addonsTotal).toBe(14.99);
+    expect(quote.totalPrice).toBe(39.99);
+  });
+
+  test('rejects unknown service types and add-ons', async () => {
+    await expect(pricing.quote({ serviceType: 'laundromat' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid service type' });
+    await expect(pricing.quote({ serviceType: 'standard', addons: ['starch'] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unknown add-on: starch' });
+  });
+
+  test('converts between dollars and cents without float drift', () => {
+    expect(pricing.toCents('19.99')).toBe(1999);
+    expect(pricing.toCents(0.1 + 0.2)).toBe(30);
+    expect(pricing.fromCents(1999)).toBe(19.99);
+  });
+});
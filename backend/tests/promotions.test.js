@@ -0,0 +1,106 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const promotions = require('../src/services/promotions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function promo(overrides = {}) {
+  return {
+    id: 'promo-1',
+    code: 'SAVE20',
+    discount_type: 'percentage',
+    discount_value: '20',
+    max_discount: null,
+    min_order_value: '0',
+    max_redemptions: null,
+    max_redemptions_per_user: null,
+    redemption_count: 0,
+    first_order_only: false,
+    is_active: true,
+    starts_at: null,
+    expires_at: null,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+});
+
+describe('calculateDiscount', () => {
+  test('takes a percentage of the subtotal, rounded to the cent', () => {
+    expect(promotions.calculateDiscount(promo({ discount_value: '15' }), 33.33)).toBe(5);
+    expect(promotions.calculateDiscount(promo({ discount_value: '12.5' }), 19.99)).toBe(2.5);
+  });
+
+  test('caps percentage discounts at max_discount', () => {
+    expect(promotions.calculateDiscount(promo({ discount_value: '50', max_discount: '10.00' }), 80)).toBe(10);
+  });
+
+  test('never discounts more than the subtotal', () => {
+    expect(promotions.calculateDiscount(promo({ discount_type: 'fixed', discount_value: '25' }), 18.5)).toBe(18.5);
+  });
+});
+
+describe('applyDiscount', () => {
+  test('keeps the subtotal and subtracts the discount in cents', () => {
+    const quote = promotions.applyDiscount({ totalPrice: 40.1 }, promo(), 8.02);
+
+    expect(quote).toEqual({ totalPrice: 32.08, subtotal: 40.1, promoCode: 'SAVE20', discount: 8.02 });
+  });
+});
+
+describe('validatePromoCode', () => {
+  function mockCode(code) {
+    db.query.mockResolvedValueOnce({ rows: code ? [code] : [] });
+  }
+
+  test('normalizes the code before looking it up', async () => {
+    mockCode(promo());
+
+    const result = await promotions.validatePromoCode('  save20 ', { subtotal: 50 });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['SAVE20']);
+    expect(result.discount).toBe(10);
+  });
+
+  test.each([
+    ['unknown codes', null, 'Invalid promo code'],
+    ['inactive codes', promo({ is_active: false }), 'Invalid promo code'],
+    ['codes that have not started', promo({ starts_at: new Date(Date.now() + DAY_MS) }), 'Promo code is not active yet'],
+    ['expired codes', promo({ expires_at: new Date(Date.now() - DAY_MS) }), 'Promo code has expired'],
+    ['orders under the minimum', promo({ min_order_value: '60' }), 'Promo code requires a minimum order of $60.00'],
+    ['codes used up', promo({ max_redemptions: 5, redemption_count: 5 }), 'Promo code is no longer available']
+  ])('rejects %s', async (name, code, message) => {
+    mockCode(code);
+
+    await expect(promotions.validatePromoCode('SAVE20', { subtotal: 50 }))
+      .rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  test('enforces the per-user limit', async () => {
+    mockCode(promo({ max_redemptions_per_user: 1 }));
+    db.query.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+    await expect(promotions.validatePromoCode('SAVE20', { userId: 'user-1', subtotal: 50 }))
+      .rejects.toMatchObject({ message: 'You have already used this promo code' });
+  });
+
+  test('limits first-order codes to customers without orders', async () => {
+    mockCode(promo({ first_order_only: true }));
+    db.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+    await expect(promotions.validatePromoCode('SAVE20', { userId: 'user-1', subtotal: 50 }))
+      .rejects.toMatchObject({ message: 'Promo code is only valid on your first order' });
+  });
+
+  test('locks the code when validating inside a transaction', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [promo()] }) };
+
+    await promotions.validatePromoCode('SAVE20', { subtotal: 50, client, forUpdate: true });
+
+    expect(client.query.mock.calls[0][0]).toMatch(/FOR UPDATE$/);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
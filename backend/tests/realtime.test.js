@@ -0,0 +1,104 @@
+const http = require('http');
+const { WebSocket } = require('ws');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../src/middleware/auth', () => ({ authenticateToken: jest.fn() }));
+
+const db = require('../src/config/database');
+const { authenticateToken } = require('../src/middleware/auth');
+const realtime = require('../src/services/realtime');
+
+const ORDER_ID = '6f1c2a5e-8d4b-4c3a-9e7f-1a2b3c4d5e6f';
+
+let server;
+let wss;
+let url;
+
+// Resolves with the next message the socket receives
+function nextMessage(socket) {
+  return new Promise(resolve => {
+    socket.once('message', data => resolve(JSON.parse(data.toString())));
+  });
+}
+
+function connect(query = '?token=valid') {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${url}${query}`);
+    socket.once('open', () => resolve(socket));
+    socket.once('unexpected-response', (req, res) => reject(res.statusCode));
+    socket.once('error', reject);
+  });
+}
+
+beforeAll(done => {
+  server = http.createServer();
+  wss = realtime.attach(server);
+  server.listen(0, () => {
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+    done();
+  });
+});
+
+afterAll(done => {
+  wss.close();
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  authenticateToken.mockImplementation(async token => (token === 'valid' ? { clerkId: 'user_1' } : null));
+  db.query.mockReset();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('realtime order tracking', () => {
+  test('rejects connections without a valid session token', async () => {
+    await expect(connect('')).rejects.toBe(401);
+    await expect(connect('?token=expired')).rejects.toBe(401);
+  });
+
+  test('pushes status changes to subscribers of an owned order', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: ORDER_ID }] });
+    const socket = await connect();
+
+    socket.send(JSON.stringify({ type: 'subscribe', orderId: ORDER_ID }));
+    expect(await nextMessage(socket)).toEqual({ type: 'subscribed', orderId: ORDER_ID });
+    expect(db.query.mock.calls[0][1]).toEqual([ORDER_ID, 'user_1']);
+
+    const update = nextMessage(socket);
+    realtime.publishStatusChange({ id: ORDER_ID, status: 'picked_up' }, 'pending');
+    expect(await update).toMatchObject({
+      type: 'order.status_changed',
+      orderId: ORDER_ID,
+      oldStatus: 'pending',
+      status: 'picked_up'
+    });
+
+    socket.close();
+  });
+
+  test('refuses subscriptions to orders the caller does not own', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+    const socket = await connect();
+
+    socket.send(JSON.stringify({ type: 'subscribe', orderId: ORDER_ID }));
+    expect(await nextMessage(socket)).toEqual({ type: 'error', orderId: ORDER_ID, error: 'Order not found' });
+
+    socket.close();
+  });
+
+  test('validates client messages', async () => {
+    const socket = await connect();
+
+    socket.send('not json');
+    expect(await nextMessage(socket)).toEqual({ type: 'error', error: 'Invalid JSON' });
+
+    socket.send(JSON.stringify({ type: 'subscribe', orderId: 'nope' }));
+    expect(await nextMessage(socket)).toMatchObject({ type: 'error', error: 'Validation error' });
+
+    socket.close();
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({ paymentIntents: { create: jest.fn() } }));
+jest.mock('../src/services/orders', () => ({ insertOrder: jest.fn() }));
+jest.mock('../src/services/stripeCustomers', () => ({ getDefaultPaymentMethodId: jest.fn() }));
+jest.mock('../src/services/stripeEvents', () => ({ retryUnmatched: jest.fn() }));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const orders = require('../src/services/orders');
+const stripeCustomers = require('../src/services/stripeCustomers');
+const recurringOrders = require('../src/services/recurringOrders');
+const recurringOrderController = require('../src/controllers/recurringOrderController');
+const { callController } = require('./helpers');
+
+const NEXT_PICKUP = new Date('2026-03-02T15:00:00Z');
+
+function recurrence(overrides = {}) {
+  return {
+    id: 'recurrence-1',
+    user_id: 'user-1',
+    status: 'active',
+    frequency: 'weekly',
+    next_sequence: 3,
+    next_pickup_at: NEXT_PICKUP,
+    pickup_address: { street: '1 Main St' },
+    delivery_address: { street: '1 Main St' },
+    service_type: 'standard',
+    item_count: 10,
+    weight_lbs: null,
+    addons: [],
+    notes: null,
+    auto_charge: false,
+    ...overrides
+  };
+}
+
+let client;
+
+// Transaction client that serves the locked recurrence and logs writes
+function mockClient(locked) {
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM recurring_orders') && sql.includes('FOR UPDATE')) {
+        return { rows: locked ? [locked] : [] };
+      }
+      if (sql.includes('generate_series')) {
+        return { rows: [{ sequence: params[1], pickup_at: new Date('2026-03-09T15:00:00Z') }] };
+      }
+      if (sql.includes('SET next_sequence')) {
+        return { rows: [{ ...locked, next_sequence: params[0], next_pickup_at: params[1] }] };
+      }
+      if (sql.includes('INSERT INTO recurring_order_occurrences')) {
+        return { rows: [{ sequence: params[1], status: params[3] || 'skipped' }] };
+      }
+      return { rows: [{ ...locked }] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+const occurrenceParams = () => client.query.mock.calls
+  .find(([sql]) => sql.includes('INSERT INTO recurring_order_occurrences'))[1];
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset();
+  db.pool.connect.mockReset();
+  orders.insertOrder.mockReset();
+  stripe.paymentIntents.create.mockReset();
+  stripeCustomers.getDefaultPaymentMethodId.mockReset();
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('generateDue', () => {
+  test('creates the order for the next pickup and advances the recurrence', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'recurrence-1' }] });
+    mockClient(recurrence());
+    orders.insertOrder.mockResolvedValue({ id: 'order-1', price: '25.00' });
+
+    await recurringOrders.generateDue();
+
+    expect(orders.insertOrder).toHaveBeenCalledWith(client, expect.objectContaining({
+      userId: 'user-1',
+      scheduledTime: NEXT_PICKUP,
+      recurringOrderId: 'recurrence-1'
+    }));
+    expect(occurrenceParams()).toEqual(['recurrence-1', 3, NEXT_PICKUP, 'created', 'order-1', null]);
+    expect(client.query.mock.calls.find(([sql]) => sql.includes('generate_series'))[1][1]).toBe(4);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  test('records a failed occurrence and moves on when the order cannot be created', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'recurrence-1' }] });
+    mockClient(recurrence({ auto_charge: true }));
+    orders.insertOrder.mockRejectedValue(new Error('This pickup slot is full'));
+
+    await recurringOrders.generateDue();
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT recurring_order');
+    expect(occurrenceParams()).toEqual(['recurrence-1', 3, NEXT_PICKUP, 'failed', null, 'This pickup slot is full']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  test('charges the default card off-session once per order when auto-charge is on', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'recurrence-1' }] })
+      .mockResolvedValue({ rows: [{ stripe_customer_id: 'cus_1' }] });
+    mockClient(recurrence({ auto_charge: true }));
+    orders.insertOrder.mockResolvedValue({ id: 'order-1', user_id: 'user-1', price: '25.00', recurring_order_id: 'recurrence-1' });
+    stripeCustomers.getDefaultPaymentMethodId.mockResolvedValue('pm_1');
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_1', status: 'succeeded' });
+
+    await recurringOrders.generateDue();
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[0];
+    expect(params).toMatchObject({ amount: 2500, customer: 'cus_1', payment_method: 'pm_1', off_session: true });
+    expect(options).toEqual({ idempotencyKey: 'recurring-charge:order-1' });
+    expect(db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payments'))[1][5]).toBe('completed');
+  });
+
+  test('tries each due recurrence once per run even if it stays due', async () => {
+    const ids = Array.from({ length: 25 }, (_, i) => `recurrence-${i}`);
+    db.query.mockImplementation(async (sql, [, limit, attempted]) => ({
+      rows: ids.filter(id => !attempted.includes(id)).slice(0, limit).map(id => ({ id }))
+    }));
+    mockClient(null);
+
+    await recurringOrders.generateDue();
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(db.pool.connect).toHaveBeenCalledTimes(25);
+    expect(orders.insertOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('customer changes', () => {
+  test('skipping records the pickup without an order and advances past it', async () => {
+    mockClient(recurrence());
+
+    const result = await recurringOrders.skip('user-1', 'recurrence-1');
+
+    expect(result.skipped).toEqual({ sequence: 3, status: 'skipped' });
+    expect(result.recurrence.next_sequence).toBe(4);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('rejects changes that do not fit the current status', async () => {
+    mockClient(recurrence({ status: 'paused' }));
+    await expect(recurringOrders.pause('user-1', 'recurrence-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(recurringOrders.skip('user-1', 'recurrence-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    mockClient(recurrence({ status: 'cancelled' }));
+    await expect(recurringOrders.cancel('user-1', 'recurrence-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('only lets customers change their own recurrences', async () => {
+    mockClient(null);
+
+    await expect(recurringOrders.cancel('user-2', 'recurrence-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('createRecurringOrder', () => {
+  test('rejects start dates that are not calendar dates', async () => {
+    const body = { frequency: 'weekly', pickupTime: '09:00', addressIndex: 0, serviceType: 'standard' };
+
+    for (const startDate of ['2026-02-30', '2026-13-01', 'next week']) {
+      const { error } = await callController(recurringOrderController.createRecurringOrder, {
+        user: { clerkId: 'user_1' },
+        body: { ...body, startDate }
+      });
+      expect(error.details[0].message).toBe('startDate must be a date (YYYY-MM-DD)');
+    }
+
+    const { error } = await callController(recurringOrderController.createRecurringOrder, {
+      user: { clerkId: 'user_1' },
+      body: { ...body, frequency: 'daily', startDate: '2026-03-02' }
+    });
+    expect(error.details[0].path).toEqual(['frequency']);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
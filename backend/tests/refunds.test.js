@@ -0,0 +1,116 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({ refunds: { create: jest.fn() } }));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const refunds = require('../src/services/refunds');
+const { getRefundPercentage } = require('../src/config/refundPolicy');
+
+function payment(overrides = {}) {
+  return {
+    id: 'payment-1',
+    order_id: 'order-1',
+    stripe_payment_intent_id: 'pi_1',
+    amount: '40.00',
+    refunded_amount: '0.00',
+    status: 'completed',
+    ...overrides
+  };
+}
+
+let client;
+
+// Transaction client that serves the locked payment and echoes writes
+function mockClient(lockedPayment) {
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) return { rows: lockedPayment ? [lockedPayment] : [] };
+      if (sql.includes('INSERT INTO refunds')) return { rows: [{ amount: params[3], stripe_refund_id: params[2] }] };
+      if (sql.includes('UPDATE payments')) return { rows: [{ refunded_amount: params[0], fullyRefunded: params[1] }] };
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  stripe.refunds.create.mockReset();
+  stripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'succeeded' });
+});
+
+describe('refundPayment', () => {
+  test('refunds part of a payment and keeps it completed', async () => {
+    mockClient(payment({ refunded_amount: '10.00' }));
+
+    const result = await refunds.refundPayment('payment-1', { amount: 12.5, reason: 'Missing item' });
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_1', amount: 1250 }));
+    expect(result.refund.amount).toBe(12.5);
+    expect(result.payment).toEqual({ refunded_amount: 22.5, fullyRefunded: false });
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('refunds whatever is left when no amount is given', async () => {
+    mockClient(payment({ refunded_amount: '15.00' }));
+
+    const result = await refunds.refundPayment('payment-1');
+
+    expect(stripe.refunds.create.mock.calls[0][0].amount).toBe(2500);
+    expect(result.payment).toEqual({ refunded_amount: 40, fullyRefunded: true });
+  });
+
+  test('never refunds more than was charged', async () => {
+    mockClient(payment({ refunded_amount: '30.00' }));
+
+    await expect(refunds.refundPayment('payment-1', { amount: 10.01 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Refund amount must be between $0.01 and $10.00' });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('only refunds completed payments', async () => {
+    mockClient(payment({ status: 'refunded' }));
+
+    await expect(refunds.refundPayment('payment-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot refund a payment with status refunded' });
+  });
+
+  test('returns 404 for unknown payments', async () => {
+    mockClient(null);
+
+    await expect(refunds.refundPayment('payment-1')).rejects.toMatchObject({ statusCode: 404 });
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('refundCancelledOrder', () => {
+  test('follows the default policy by status at cancellation', () => {
+    expect(getRefundPercentage('pending')).toBe(100);
+    expect(getRefundPercentage('picked_up')).toBe(50);
+    expect(getRefundPercentage('in_laundry')).toBe(0);
+  });
+
+  test('refunds nothing when the policy gives nothing back', async () => {
+    expect(await refunds.refundCancelledOrder('order-1', 'ready', 'user-1')).toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('refunds the policy share of each payment, less refunds for price decreases', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        payment({ amount: '40.00', refunded_amount: '8.00', modification_refunds: '8.00' }),
+        payment({ id: 'payment-2', amount: '5.00', modification_refunds: '0' })
+      ]
+    });
+    mockClient(payment({ amount: '40.00', refunded_amount: '8.00' }));
+
+    const results = await refunds.refundCancelledOrder('order-1', 'picked_up', 'user-1');
+
+    // 50% of (40 - 8) and 50% of 5
+    expect(results).toHaveLength(2);
+    expect(stripe.refunds.create.mock.calls.map(([params]) => params.amount)).toEqual([1600, 250]);
+    expect(stripe.refunds.create.mock.calls[0][0].metadata.reason).toBe('Order cancelled while picked_up (50% refund)');
+  });
+});
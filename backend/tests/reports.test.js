@@ -0,0 +1,69 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const reports = require('../src/services/reports');
+
+const range = { from: '2030-01-01', to: '2030-02-01' };
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('toCsv', () => {
+  test('writes a header row and one line per row', () => {
+    const csv = reports.toCsv({
+      columns: ['period_start', 'payments', 'net_revenue'],
+      rows: [
+        { period_start: '2030-01-01', payments: 3, net_revenue: 97.5 },
+        { period_start: '2030-01-02', payments: 0, net_revenue: 0 }
+      ]
+    });
+
+    expect(csv).toBe('period_start,payments,net_revenue\r\n2030-01-01,3,97.5\r\n2030-01-02,0,0\r\n');
+  });
+
+  test('quotes values with commas, quotes or line breaks and blanks missing ones', () => {
+    const csv = reports.toCsv({
+      columns: ['name', 'note', 'at', 'missing'],
+      rows: [{ name: 'Smith, Ann', note: 'said "hi"\nbye', at: new Date('2030-01-01T00:00:00Z'), missing: null }]
+    });
+
+    expect(csv.split('\r\n')[1]).toBe('"Smith, Ann","said ""hi""\nbye",2030-01-01T00:00:00.000Z,');
+  });
+});
+
+describe('revenue', () => {
+  test('buckets payments by the requested period', async () => {
+    const report = await reports.revenue({ ...range, period: 'week' });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['2030-01-01', '2030-02-01', 'week']);
+    expect(report.columns).toEqual(['period_start', 'payments', 'gross_revenue', 'refunded', 'net_revenue']);
+  });
+
+  test('splits each period by service tier when asked', async () => {
+    const report = await reports.revenue({ ...range, period: 'day', byServiceType: true });
+
+    expect(db.query.mock.calls[0][0]).toMatch(/GROUP BY b\.period_start, t\.service_type/);
+    expect(report.columns).toContain('service_type');
+  });
+});
+
+describe('turnaround', () => {
+  test('reports each consecutive transition, skipping dispatch entries', async () => {
+    await reports.turnaround(range);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/h\.old_status IS DISTINCT FROM h\.new_status/);
+    expect(params).toEqual(['2030-01-01', '2030-02-01', null]);
+  });
+
+  test('measures from one status to another when both are given', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ from_status: 'picked_up', to_status: 'completed', transitions: 4, avg_hours: 30.5, median_hours: 28 }] });
+
+    const report = await reports.turnaround({ ...range, serviceType: 'express', fromStatus: 'picked_up', toStatus: 'completed' });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['2030-01-01', '2030-02-01', 'express', 'picked_up', 'completed']);
+    expect(report.rows[0].avg_hours).toBe(30.5);
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const scheduling = require('../src/services/scheduling');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A slot starting `hoursAhead` from now, on the hour
+function slotRow(hoursAhead, { capacity = 3, booked = 0 } = {}) {
+  const start = new Date(Math.ceil((Date.now() + hoursAhead * HOUR_MS) / HOUR_MS) * HOUR_MS);
+  return {
+    slot_start: start,
+    slot_end: new Date(start.getTime() + HOUR_MS),
+    capacity,
+    booked
+  };
+}
+
+function mockClient(rows) {
+  return { query: jest.fn(async sql => (sql.includes('WITH slots') ? { rows } : { rows: [] })) };
+}
+
+describe('slot capacity', () => {
+  test('reports what is left in each slot', async () => {
+    const client = mockClient([
+      slotRow(24, { capacity: 3, booked: 1 }),
+      slotRow(25, { capacity: 3, booked: 3 }),
+      slotRow(26, { capacity: 2, booked: 5 })
+    ]);
+
+    const slots = await scheduling.getSlots('area-1', '2030-01-01', '2030-01-02', client);
+
+    expect(slots.map(({ remaining, available }) => ({ remaining, available }))).toEqual([
+      { remaining: 2, available: true },
+      { remaining: 0, available: false },
+      { remaining: 0, available: false }
+    ]);
+  });
+
+  test('slots starting within the lead time cannot be booked', async () => {
+    const soon = new Date(Date.now() + 15 * 60 * 1000);
+    const client = mockClient([{ slot_start: soon, slot_end: new Date(soon.getTime() + HOUR_MS), capacity: 3, booked: 0 }]);
+
+    const [slot] = await scheduling.getSlots('area-1', '2030-01-01', '2030-01-01', client);
+
+    expect(scheduling.MIN_LEAD_MINUTES).toBe(60);
+    expect(slot.available).toBe(false);
+  });
+
+  test('locking a full slot fails with 409', async () => {
+    const full = slotRow(24, { capacity: 2, booked: 2 });
+    const client = mockClient([full]);
+
+    await expect(scheduling.lockSlot(client, 'area-1', full.slot_start))
+      .rejects.toMatchObject({ statusCode: 409, message: 'This pickup slot is fully booked' });
+    expect(client.query.mock.calls[0][0]).toMatch(/pg_advisory_xact_lock/);
+  });
+
+  test('locking returns a slot with room left', async () => {
+    const open = slotRow(24, { capacity: 2, booked: 1 });
+    const client = mockClient([open]);
+
+    const slot = await scheduling.lockSlot(client, 'area-1', open.slot_start.toISOString());
+
+    expect(slot).toMatchObject({ start: open.slot_start, remaining: 1, available: true });
+  });
+
+  test('times that are not the start of a slot are rejected', async () => {
+    const open = slotRow(24);
+    const client = mockClient([open]);
+
+    await expect(scheduling.lockSlot(client, 'area-1', new Date(open.slot_start.getTime() + 15 * 60 * 1000)))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/must be the start of a pickup slot/) });
+  });
+
+  test('bookings too far ahead are rejected before locking', async () => {
+    const client = mockClient([]);
+    const tooFar = new Date(Date.now() + (scheduling.MAX_DAYS_AHEAD + 1) * 24 * HOUR_MS);
+
+    await expect(scheduling.lockSlot(client, 'area-1', tooFar)).rejects.toMatchObject({ statusCode: 400 });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('deliveryWindow', () => {
+  test('counts the turnaround from the end of pickup', () => {
+    const window = scheduling.deliveryWindow({ minHours: 24, maxHours: 48 }, '2030-01-01T10:00:00Z');
+
+    expect(window.earliest.toISOString()).toBe('2030-01-02T10:00:00.000Z');
+    expect(window.latest.toISOString()).toBe('2030-01-03T10:00:00.000Z');
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const serviceAreas = require('../src/services/serviceAreas');
+
+// A square around downtown with a square hole in the middle
+const DOWNTOWN = {
+  type: 'Polygon',
+  coordinates: [
+    [[-122.45, 37.75], [-122.39, 37.75], [-122.39, 37.80], [-122.45, 37.80], [-122.45, 37.75]],
+    [[-122.43, 37.77], [-122.41, 37.77], [-122.41, 37.78], [-122.43, 37.78], [-122.43, 37.77]]
+  ]
+};
+
+function area(overrides = {}) {
+  return {
+    id: 'area-1',
+    name: 'San Francisco',
+    zip_codes: ['94102', '94103'],
+    boundary: null,
+    price_multiplier: '1.00',
+    surcharge: '0.00',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+});
+
+describe('polygonContains', () => {
+  test('matches points inside the outer ring', () => {
+    expect(serviceAreas.polygonContains(DOWNTOWN, -122.44, 37.76)).toBe(true);
+  });
+
+  test('excludes points outside the polygon or inside a hole', () => {
+    expect(serviceAreas.polygonContains(DOWNTOWN, -122.30, 37.76)).toBe(false);
+    expect(serviceAreas.polygonContains(DOWNTOWN, -122.42, 37.775)).toBe(false);
+  });
+
+  test('ignores anything that is not a Polygon', () => {
+    expect(serviceAreas.polygonContains(null, -122.44, 37.76)).toBe(false);
+    expect(serviceAreas.polygonContains({ type: 'Point', coordinates: [-122.44, 37.76] }, -122.44, 37.76)).toBe(false);
+  });
+});
+
+describe('findServiceArea', () => {
+  test('prefers a zip code match over a boundary match', async () => {
+    const byBoundary = area({ id: 'area-2', zip_codes: [], boundary: DOWNTOWN });
+    const byZip = area();
+    db.query.mockResolvedValueOnce({ rows: [byBoundary, byZip] });
+
+    const found = await serviceAreas.findServiceArea({ zipCode: ' 94103 ', latitude: 37.76, longitude: -122.44 });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['94103']);
+    expect(found).toBe(byZip);
+  });
+
+  test('falls back to the boundary for unlisted zip codes', async () => {
+    const byBoundary = area({ id: 'area-2', zip_codes: [], boundary: DOWNTOWN });
+    db.query.mockResolvedValueOnce({ rows: [byBoundary] });
+
+    expect(await serviceAreas.findServiceArea({ zipCode: '94999', latitude: 37.76, longitude: -122.44 })).toBe(byBoundary);
+  });
+
+  test('returns null outside every area', async () => {
+    db.query.mockResolvedValueOnce({ rows: [area({ zip_codes: [], boundary: DOWNTOWN })] });
+
+    expect(await serviceAreas.findServiceArea({ zipCode: '10001' })).toBeNull();
+  });
+
+  test('does not query without a zip code or coordinates', async () => {
+    expect(await serviceAreas.findServiceArea({})).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyAreaPricing', () => {
+  test('multiplies the subtotal, then adds the surcharge', () => {
+    const quote = serviceAreas.applyAreaPricing(
+      { totalPrice: 33.33 },
+      area({ price_multiplier: '1.15', surcharge: '4.50' })
+    );
+
+    // 33.33 * 1.15 = 38.33 (rounded) + 4.50
+    expect(quote.totalPrice).toBe(42.83);
+    expect(quote.areaAdjustment).toBe(9.5);
+    expect(quote.serviceArea).toEqual({ id: 'area-1', name: 'San Francisco', priceMultiplier: 1.15, surcharge: 4.5 });
+  });
+});
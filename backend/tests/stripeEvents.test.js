@@ -0,0 +1,152 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({}));
+jest.mock('../src/services/payments', () => ({ syncPaymentIntent: jest.fn() }));
+jest.mock('../src/services/memberships', () => ({ recordInvoicePaid: jest.fn(), syncSubscription: jest.fn() }));
+jest.mock('../src/services/refunds', () => ({ syncChargeRefunds: jest.fn() }));
+jest.mock('../src/services/webhooks', () => ({ emit: jest.fn() }));
+
+const db = require('../src/config/database');
+const { syncPaymentIntent } = require('../src/services/payments');
+const memberships = require('../src/services/memberships');
+const webhooks = require('../src/services/webhooks');
+const stripeEvents = require('../src/services/stripeEvents');
+
+function paymentIntentEvent(overrides = {}) {
+  return {
+    id: 'evt_1',
+    type: 'payment_intent.succeeded',
+    created: 1700000000,
+    data: { object: { object: 'payment_intent', id: 'pi_1', status: 'succeeded', ...overrides } }
+  };
+}
+
+let client;
+
+// Transaction client that serves the stored event and echoes the update
+function mockClient(stored) {
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM stripe_events')) return { rows: stored ? [stored] : [] };
+      if (sql.includes('UPDATE stripe_events')) {
+        return { rows: [{ status: params[0], attempts: params[1], retryIn: params[2] }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+}
+
+function stored(event, attempts = 0) {
+  return { id: event.id, type: event.type, payload: event, attempts };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset();
+  db.pool.connect.mockReset();
+  syncPaymentIntent.mockReset();
+  memberships.syncSubscription.mockReset();
+  webhooks.emit.mockReset();
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('record', () => {
+  test('stores new events with the objects they refer to', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'evt_2' }] });
+
+    const event = {
+      id: 'evt_2',
+      type: 'charge.refunded',
+      created: 1700000000,
+      data: { object: { object: 'charge', payment_intent: 'pi_1' } }
+    };
+
+    expect(await stripeEvents.record(event)).toBe(true);
+    expect(db.query.mock.calls[0][1].slice(0, 4)).toEqual(['evt_2', 'charge.refunded', 'pi_1', null]);
+  });
+
+  test('reports redelivered events as duplicates', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await stripeEvents.record(paymentIntentEvent())).toBe(false);
+    expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (id) DO NOTHING');
+  });
+});
+
+describe('processEvent', () => {
+  test('applies an event once and marks it processed in the same transaction', async () => {
+    const event = paymentIntentEvent();
+    mockClient(stored(event));
+    syncPaymentIntent.mockResolvedValue({ id: 'payment-1' });
+
+    const result = await stripeEvents.processEvent('evt_1');
+
+    expect(result).toEqual({ status: 'processed', attempts: 1, retryIn: null });
+    expect(syncPaymentIntent).toHaveBeenCalledWith(event.data.object, client);
+    expect(webhooks.emit).toHaveBeenCalledWith('payment.completed', { payment: { id: 'payment-1' } }, 'payment-1', client);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('skips events that are already handled or locked', async () => {
+    mockClient(null);
+
+    expect(await stripeEvents.processEvent('evt_1')).toBeNull();
+    expect(client.query.mock.calls[1][1]).toEqual(['evt_1', false, ['pending', 'unmatched', 'failed']]);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('reprocesses handled events when forced', async () => {
+    mockClient(null);
+
+    await stripeEvents.processEvent('evt_1', { force: true });
+
+    expect(client.query.mock.calls[1][1][1]).toBe(true);
+  });
+
+  test('leaves events for unknown payments unmatched with a backoff', async () => {
+    mockClient(stored(paymentIntentEvent(), 2));
+    syncPaymentIntent.mockResolvedValue(null);
+
+    expect(await stripeEvents.processEvent('evt_1')).toEqual({ status: 'unmatched', attempts: 3, retryIn: 240 });
+    expect(webhooks.emit).not.toHaveBeenCalled();
+  });
+
+  test('ignores events for membership invoices and unhandled types', async () => {
+    mockClient(stored(paymentIntentEvent({ invoice: 'in_1' })));
+    syncPaymentIntent.mockResolvedValue(null);
+    expect((await stripeEvents.processEvent('evt_1')).status).toBe('ignored');
+
+    mockClient(stored({ id: 'evt_3', type: 'customer.created', data: { object: {} } }));
+    expect((await stripeEvents.processEvent('evt_3')).status).toBe('ignored');
+  });
+
+  test('marks events failed outside the rolled back transaction when the handler throws', async () => {
+    mockClient(stored({ id: 'evt_4', type: 'customer.subscription.updated', created: 1, data: { object: {} } }, 9));
+    memberships.syncSubscription.mockRejectedValue(new Error('Deadlock'));
+    db.query.mockResolvedValueOnce({ rows: [{ status: 'failed' }] });
+
+    expect(await stripeEvents.processEvent('evt_4')).toEqual({ status: 'failed' });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(db.query.mock.calls[0][1]).toEqual([10, 'Deadlock', null, 'evt_4']);
+  });
+});
+
+describe('retryUnmatched', () => {
+  test('processes the unmatched events for a PaymentIntent oldest first', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'evt_1' }, { id: 'evt_5' }] });
+    mockClient(null);
+
+    await stripeEvents.retryUnmatched('pi_1');
+
+    expect(db.query.mock.calls[0][0]).toContain('ORDER BY stripe_created_at');
+    expect(db.pool.connect).toHaveBeenCalledTimes(2);
+    expect(client.query.mock.calls.filter(call => call[1]).map(call => call[1][0])).toEqual(['evt_1', 'evt_5']);
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../src/config/stripe', () => ({
+  paymentIntents: { retrieve: jest.fn(), confirm: jest.fn() }
+}));
+
+const db = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const paymentController = require('../src/controllers/paymentController');
+const { PAYMENT_STATUS_BY_INTENT, syncPaymentIntent } = require('../src/services/payments');
+const { callController } = require('./helpers');
+
+beforeEach(() => {
+  db.query.mockReset();
+  stripe.paymentIntents.retrieve.mockReset();
+  stripe.paymentIntents.confirm.mockReset();
+});
+
+describe('syncPaymentIntent', () => {
+  test('maps each PaymentIntent status to a payment status', () => {
+    expect(PAYMENT_STATUS_BY_INTENT).toMatchObject({
+      succeeded: 'completed',
+      requires_action: 'requires_action',
+      processing: 'processing',
+      canceled: 'canceled',
+      requires_payment_method: 'failed'
+    });
+  });
+
+  test('records why a failed intent failed', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'failed' }] });
+
+    await syncPaymentIntent({
+      id: 'pi_1',
+      status: 'requires_payment_method',
+      last_payment_error: { message: 'Authentication failed' }
+    });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['failed', null, 'Authentication failed', 'pi_1']);
+  });
+
+  test('never moves settled payments back', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await syncPaymentIntent({ id: 'pi_1', status: 'processing' })).toBeNull();
+    expect(db.query.mock.calls[0][0]).toMatch(/status NOT IN \('completed', 'refunded'\)/);
+  });
+
+  test('uses the transaction client when given one', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await syncPaymentIntent({ id: 'pi_1', status: 'succeeded', latest_charge: 'ch_1' }, client);
+
+    expect(client.query.mock.calls[0][1]).toEqual(['completed', 'ch_1', null, 'pi_1']);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmPayment', () => {
+  const req = { body: { paymentIntentId: 'pi_1' }, user: { clerkId: 'user_1' } };
+
+  test('confirms intents left awaiting confirmation after authentication', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'requires_action' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'completed' }] });
+    stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'requires_confirmation' });
+    stripe.paymentIntents.confirm.mockResolvedValue({ id: 'pi_1', status: 'succeeded', client_secret: 'secret' });
+
+    const { res } = await callController(paymentController.confirmPayment, req);
+
+    expect(stripe.paymentIntents.confirm).toHaveBeenCalledWith('pi_1');
+    expect(res.body).toEqual({
+      success: true,
+      payment: { id: 'payment-1', status: 'completed' },
+      clientSecret: 'secret',
+      requiresAction: false,
+      nextAction: null
+    });
+  });
+
+  test('reports when the card still needs authentication', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'requires_action' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    stripe.paymentIntents.retrieve.mockResolvedValue({
+      id: 'pi_1',
+      status: 'requires_action',
+      client_secret: 'secret',
+      next_action: { type: 'use_stripe_sdk' }
+    });
+
+    const { res } = await callController(paymentController.confirmPayment, req);
+
+    expect(stripe.paymentIntents.confirm).not.toHaveBeenCalled();
+    expect(res.body).toMatchObject({ requiresAction: true, nextAction: 'use_stripe_sdk' });
+  });
+
+  test('only confirms the caller\'s own payments', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { res } = await callController(paymentController.confirmPayment, req);
+
+    expect(db.query.mock.calls[0][1]).toEqual(['pi_1', 'user_1']);
+    expect(res.statusCode).toBe(404);
+    expect(stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const http = require('http');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const db = require('../src/config/database');
+const webhooks = require('../src/services/webhooks');
+
+const SECRET = 'whsec_test';
+
+let server;
+let baseUrl;
+let received;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = req.url === '/ok' ? 200 : 500;
+      res.end(req.url === '/ok' ? 'thanks' : 'oops');
+    });
+  });
+  server.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  received = [];
+  db.query.mockReset();
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+describe('signing', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ type: 'order.created' });
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    expect(webhooks.sign(SECRET, body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+    expect(webhooks.sign('whsec_other', body, 1700000000)).not.toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test('generates distinct prefixed secrets', () => {
+    const secret = webhooks.generateSecret();
+
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(webhooks.generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('emit', () => {
+  test('queues the event on the given client keyed by occurrence', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'd-1' }, { id: 'd-2' }] }) };
+
+    expect(await webhooks.emit('payment.completed', { paymentId: 'p-1' }, 'p-1', client)).toBe(2);
+
+    const [sql, [eventId, type, key, payload]] = client.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (endpoint_id, event_key)');
+    expect(type).toBe('payment.completed');
+    expect(key).toBe('payment.completed:p-1');
+    expect(JSON.parse(payload)).toMatchObject({ id: eventId, type, data: { paymentId: 'p-1' } });
+  });
+
+  test('leaves unkeyed events without a deduplication key', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    expect(await webhooks.emit('order.created', { orderId: 'o-1' }, null, client)).toBe(0);
+    expect(client.query.mock.calls[0][1][2]).toBeNull();
+  });
+});
+
+describe('processDeliveries', () => {
+  const delivery = (path, attempts = 1) => ({
+    id: `d-${attempts}`,
+    url: `${baseUrl}${path}`,
+    secret: SECRET,
+    event_type: 'order.created',
+    attempts,
+    payload: { id: 'evt-1', type: 'order.created', data: { orderId: 'o-1' } }
+  });
+
+  function mockDue(...deliveries) {
+    db.query.mockResolvedValueOnce({ rows: deliveries });
+  }
+
+  const updates = () => db.query.mock.calls.slice(1).map(call => call[1]);
+
+  test('POSTs signed requests and records the response', async () => {
+    mockDue(delivery('/ok'));
+
+    await webhooks.processDeliveries();
+
+    const [{ headers, body }] = received;
+    expect(headers['x-happylaunderer-event']).toBe('order.created');
+    expect(headers['x-happylaunderer-delivery']).toBe('d-1');
+
+    const timestamp = Number(/t=(\d+)/.exec(headers['x-happylaunderer-signature'])[1]);
+    expect(headers['x-happylaunderer-signature']).toBe(webhooks.sign(SECRET, body, timestamp));
+
+    expect(db.query.mock.calls[1][0]).toContain("status = 'succeeded'");
+    expect(updates()).toEqual([[200, 'thanks', 'd-1']]);
+  });
+
+  test('retries failed deliveries with exponential backoff', async () => {
+    mockDue(delivery('/fail', 1), delivery('/fail', 4));
+
+    await webhooks.processDeliveries();
+
+    expect(updates()).toEqual([
+      ['pending', 500, 'oops', 'Endpoint responded 500', 60, 'd-1'],
+      ['pending', 500, 'oops', 'Endpoint responded 500', 480, 'd-4']
+    ]);
+  });
+
+  test('gives up after the last attempt', async () => {
+    mockDue(delivery('/fail', 8));
+
+    await webhooks.processDeliveries();
+
+    expect(updates()[0][0]).toBe('failed');
+  });
+});